@@ -0,0 +1,42 @@
+const path = require("path");
+
+// All runtime settings come from the environment so secrets stay out of the source.
+const env = process.env;
+
+const isProduction = env.NODE_ENV === "production";
+
+if (!env.JWT_SECRET && isProduction) {
+  throw new Error("JWT_SECRET must be set in production");
+}
+if (!env.JWT_SECRET) {
+  console.warn("JWT_SECRET not set; using an insecure development secret");
+}
+
+const DATA_DIR = env.DATA_DIR || path.join(__dirname, "data");
+
+module.exports = {
+  PORT: Number(env.PORT) || 5000,
+  JWT_SECRET: env.JWT_SECRET || "dev-only-secret",
+  ACCESS_TOKEN_TTL: env.ACCESS_TOKEN_TTL || "15m",
+  REFRESH_TOKEN_TTL_DAYS: Number(env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  DATA_DIR,
+  APP_URL: env.APP_URL || "http://localhost:3000",
+  RESET_TOKEN_TTL_MINUTES: Number(env.RESET_TOKEN_TTL_MINUTES) || 30,
+  MAIL_TRANSPORT: env.MAIL_TRANSPORT || "console",
+  MAIL_DIR: env.MAIL_DIR || path.join(DATA_DIR, "outbox"),
+  TRASH_RETENTION_DAYS: Number(env.TRASH_RETENTION_DAYS) || 30,
+  REMINDER_INTERVAL_MINUTES: Number(env.REMINDER_INTERVAL_MINUTES) || 15,
+  IMPORT_LIMIT: env.IMPORT_LIMIT || "5mb",
+  STORAGE_DRIVER: env.STORAGE_DRIVER || "disk",
+  UPLOAD_DIR: env.UPLOAD_DIR || path.join(DATA_DIR, "uploads"),
+  UPLOAD_MAX_MB: Number(env.UPLOAD_MAX_MB) || 10,
+  // Comma-separated MIME types; "type/*" allows a whole family
+  UPLOAD_TYPES: (
+    env.UPLOAD_TYPES ||
+    "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,text/markdown,application/json,application/zip," +
+      "application/msword,application/vnd.ms-excel,application/vnd.ms-powerpoint,application/vnd.openxmlformats-officedocument.*"
+  )
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean),
+};
@@ -0,0 +1,40 @@
+const fs = require("fs");
+const path = require("path");
+
+// Collections created on startup. Add new entities here so that existing
+// data files pick them up on the next boot.
+const COLLECTIONS = ["users", "projects", "tasks", "messages", "notifications", "passwordResets", "sessions", "invites", "comments", "taskHistory", "activity", "timeEntries", "attachments"];
+
+// Opens (or creates) the JSON data file in `dataDir`. All collections live in
+// memory and are flushed to disk with an atomic write on every save(), so the
+// file can be copied at any time for backups.
+function openStore(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, "db.json");
+
+  let data = {};
+  let revision = 0;
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function collection(name) {
+    if (!Array.isArray(data[name])) data[name] = [];
+    return data[name];
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+    revision += 1;
+  }
+
+  COLLECTIONS.forEach(collection);
+  save();
+
+  // Bumped by every save, so derived data (the search index) knows when to rebuild
+  return { file, collection, save, revision: () => revision };
+}
+
+module.exports = { openStore, COLLECTIONS };
@@ -1,52 +1,1935 @@
-const express = require("express");
-const bodyParser = require("body-parser");
-const cors = require("cors");
-const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
-
-const app = express();
-const PORT = 5000;
-const SECRET = "supersecretkey"; // change in production
-
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-
-// Fake in-memory user store
-const users = [];
-
-// Signup
-app.post("/api/signup", async (req, res) => {
-  const { firstName, lastName, email, password } = req.body;
-  if (!email || !password) {
-    return res.status(400).json({ error: "Email and password required" });
-  }
-  const existing = users.find((u) => u.email === email);
-  if (existing) {
-    return res.status(400).json({ error: "User already exists" });
-  }
-  const hashedPassword = await bcrypt.hash(password, 10);
-  const newUser = { firstName, lastName, email, password: hashedPassword };
-  users.push(newUser);
-  res.json({ message: "Signup successful" });
-});
-
-// Login
-app.post("/api/login", async (req, res) => {
-  const { email, password } = req.body;
-  const user = users.find((u) => u.email === email);
-  if (!user) {
-    return res.status(400).json({ error: "User not found" });
-  }
-  const valid = await bcrypt.compare(password, user.password);
-  if (!valid) {
-    return res.status(400).json({ error: "Invalid password" });
-  }
-  const token = jwt.sign({ email: user.email }, SECRET, { expiresIn: "1h" });
-  res.json({ message: "Login successful", token });
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+const express = require("express");
+const bodyParser = require("body-parser");
+const cors = require("cors");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const multer = require("multer");
+const config = require("./config");
+const { openStore } = require("./db");
+const { createMailer } = require("./mailer");
+const { createRealtime } = require("./realtime");
+const { createStorage } = require("./storage");
+const { createSearchIndex } = require("./search");
+
+const app = express();
+const { PORT, JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS, DATA_DIR, APP_URL, RESET_TOKEN_TTL_MINUTES } = config;
+
+// Middleware
+app.use(cors());
+// Imported boards can be much larger than any other request
+app.use("/api/projects/import", bodyParser.json({ limit: config.IMPORT_LIMIT }));
+app.use(bodyParser.json());
+
+// Persistent store (JSON file under DATA_DIR)
+const db = openStore(DATA_DIR);
+const users = db.collection("users");
+const projects = db.collection("projects");
+const tasks = db.collection("tasks");
+const messages = db.collection("messages");
+const notifications = db.collection("notifications");
+const passwordResets = db.collection("passwordResets");
+const sessions = db.collection("sessions");
+const invites = db.collection("invites");
+const comments = db.collection("comments");
+const taskHistory = db.collection("taskHistory");
+const activity = db.collection("activity");
+const timeEntries = db.collection("timeEntries");
+const attachments = db.collection("attachments");
+
+// Outgoing mail (MAIL_TRANSPORT=console|file)
+const mailer = createMailer({ transport: config.MAIL_TRANSPORT, dir: config.MAIL_DIR });
+
+// Uploaded file contents (STORAGE_DRIVER=disk keeps them under UPLOAD_DIR)
+const files = createStorage({ driver: config.STORAGE_DRIVER, dir: config.UPLOAD_DIR });
+
+// Helpers
+function uid(prefix = "id") {
+  return `${prefix}_${Math.random().toString(36).slice(2, 10)}_${Date.now()}`;
+}
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function removeWhere(list, predicate) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (predicate(list[i])) list.splice(i, 1);
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// Whether a request field holds text; optional ones may also be null or left out
+function isText(value, optional = false) {
+  return typeof value === "string" || (optional && (value === null || value === undefined));
+}
+
+// Offline clients name the records they create, so that queued follow-up
+// changes can refer to them, and may send a create again when the reply got
+// lost. Returns { id } to use, plus `existing` when that id is already taken.
+function claimId(list, requested, prefix) {
+  const id = String(requested || "");
+  if (!id.startsWith(`${prefix}_`) || !/^[\w-]+$/.test(id)) return { id: uid(prefix) };
+  return { id, existing: list.find((x) => x.id === id) };
+}
+
+function findUserByEmail(email) {
+  return users.find((u) => u.email.toLowerCase() === normalizeEmail(email));
+}
+
+function publicUser(user) {
+  const name = user.name || [user.firstName, user.lastName].filter(Boolean).join(" ");
+  return { id: user.id, email: user.email, name: name || user.email };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Sessions: one record per login. The refresh token rotates on every use; the
+// hashes of spent tokens are kept so that replaying one can be detected.
+function startSession(user, req) {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const session = {
+    id: uid("sess"),
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    usedTokenHashes: [],
+    userAgent: req.headers["user-agent"] || "",
+    createdAt: nowISO(),
+    lastUsedAt: nowISO(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+  };
+  sessions.push(session);
+  return { session, refreshToken };
+}
+
+function rotateSession(session) {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  session.usedTokenHashes.push(session.refreshTokenHash);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = nowISO();
+  return refreshToken;
+}
+
+function revokeSessions(predicate) {
+  const at = nowISO();
+  const revoked = sessions.filter((s) => !s.revokedAt && predicate(s));
+  revoked.forEach((s) => {
+    s.revokedAt = at;
+  });
+  realtime.disconnect(revoked.map((s) => s.id));
+}
+
+function issueTokens(user, session, refreshToken) {
+  const token = jwt.sign({ email: user.email, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Notifications. Each has a type so users can opt out per event; projectId and
+// taskId (when set) let the client link to what the notification is about.
+const NOTIFICATION_TYPES = ["assigned", "status", "comment", "mention", "invite", "joined", "dueSoon", "overdue"];
+
+function notificationPrefs(user) {
+  return Object.fromEntries(NOTIFICATION_TYPES.map((t) => [t, !(user.notificationPrefs && user.notificationPrefs[t] === false)]));
+}
+
+function notify(userId, type, text, { projectId = null, taskId = null } = {}) {
+  const user = userId && users.find((u) => u.id === userId);
+  if (!user || !notificationPrefs(user)[type]) return;
+  const notification = { id: uid("ntf"), userId, type, text, projectId, taskId, createdAt: nowISO(), read: false };
+  notifications.unshift(notification);
+  realtime.toUser(userId, { type: "notification", notification });
+}
+
+// Resolves an access token issued by /api/login to { user, session }, or { error }
+function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { error: "Invalid or expired token" };
+  }
+  const user = users.find((u) => u.email === payload.email);
+  if (!user) {
+    return { error: "User not found" };
+  }
+  // Tokens issued before the last password change are no longer valid
+  if (user.passwordChangedAt && payload.iat < Math.floor(Date.parse(user.passwordChangedAt) / 1000)) {
+    return { error: "Invalid or expired token" };
+  }
+  const session = sessions.find((s) => s.id === payload.sid && s.userId === user.id);
+  if (!session || session.revokedAt) {
+    return { error: "Session has been revoked" };
+  }
+  return { user, session };
+}
+
+// Auth middleware: verifies the bearer token
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Missing token" });
+  }
+  const { user, session, error } = verifyAccessToken(token);
+  if (error) {
+    return res.status(401).json({ error });
+  }
+  req.user = user;
+  req.session = session;
+  next();
+}
+
+// Live updates (WebSocket at /ws); attached to the HTTP server on startup
+const realtime = createRealtime({
+  authenticate: verifyAccessToken,
+  isMember: (userId, projectId) => {
+    const project = projects.find((p) => p.id === projectId);
+    return Boolean(project && project.members.includes(userId));
+  },
+});
+
+// Project roles. The creator (first member) is the owner of projects that
+// predate roles; everyone else defaults to "member".
+const ROLES = ["owner", "admin", "member", "viewer"];
+const PERMISSIONS = {
+  editProject: ["owner", "admin"],
+  deleteProject: ["owner"],
+  manageMembers: ["owner", "admin"],
+  deleteTask: ["owner", "admin"],
+  editTasks: ["owner", "admin", "member"],
+  postMessages: ["owner", "admin", "member"],
+  transferProject: ["owner"],
+};
+// Archived projects are read-only; only these still apply until they are unarchived
+const ARCHIVED_PERMISSIONS = ["editProject", "deleteProject", "manageMembers", "transferProject"];
+
+function roleOf(project, userId) {
+  if (!project.members.includes(userId)) return null;
+  return (project.roles && project.roles[userId]) || (project.members[0] === userId ? "owner" : "member");
+}
+
+function can(project, userId, permission) {
+  if (project.archivedAt && !ARCHIVED_PERMISSIONS.includes(permission)) return false;
+  return PERMISSIONS[permission].includes(roleOf(project, userId));
+}
+
+// Admins manage members and viewers; only owners can grant or touch owner/admin roles.
+function canManageRole(project, actorId, role) {
+  const actor = roleOf(project, actorId);
+  return actor === "owner" || (actor === "admin" && (role === "member" || role === "viewer"));
+}
+
+function ownerCount(project) {
+  return project.members.filter((id) => roleOf(project, id) === "owner").length;
+}
+
+function setRole(project, userId, role) {
+  project.roles = { ...project.roles, [userId]: role };
+}
+
+// Invitations: pending until the invitee (matched by email) accepts or declines
+function publicInvite(invite) {
+  const project = projects.find((p) => p.id === invite.projectId);
+  const inviter = users.find((u) => u.id === invite.invitedBy);
+  return {
+    ...invite,
+    projectName: project ? project.name : invite.projectName,
+    inviterName: inviter ? publicUser(inviter).name : "",
+  };
+}
+
+// Creates a pending invite (or updates the role of the existing one) and lets
+// the invitee know. `taskIds` are tasks they get assigned once they accept.
+// Resolves to the invite, marked `emailFailed` when the email couldn't be sent.
+async function sendInvite(project, inviter, email, role, taskIds = []) {
+  const user = findUserByEmail(email);
+  let invite = invites.find((i) => i.projectId === project.id && i.email === email && i.status === "pending");
+  if (invite) {
+    invite.role = role;
+    invite.taskIds = [...new Set([...(invite.taskIds || []), ...taskIds])];
+    return invite;
+  }
+  invite = {
+    id: uid("inv"),
+    projectId: project.id,
+    projectName: project.name,
+    email,
+    role,
+    invitedBy: inviter.id,
+    taskIds,
+    status: "pending",
+    createdAt: nowISO(),
+    respondedAt: null,
+  };
+  invites.push(invite);
+  logActivity(project, inviter.id, "invite.sent", { type: "invite", id: invite.id, label: email }, null, { role });
+  if (user) notify(user.id, "invite", `${publicUser(inviter).name} invited you to ${project.name}.`, { projectId: project.id });
+  // Saved before mailing, so a failed email doesn't lose the invite
+  db.save();
+  try {
+    await mailer.send({
+      to: email,
+      subject: `You're invited to ${project.name} on SynergySphere`,
+      text:
+        `${publicUser(inviter).name} invited you to join "${project.name}".\n` +
+        `${user ? "Log in" : "Sign up"} with this email address at ${APP_URL} to accept.`,
+    });
+  } catch (err) {
+    console.error(`Failed to send the invite email to ${email}:`, err.message);
+    return { ...invite, emailFailed: true };
+  }
+  return invite;
+}
+
+function acceptInvite(invite, user) {
+  const project = projects.find((p) => p.id === invite.projectId);
+  invite.status = "accepted";
+  invite.respondedAt = nowISO();
+  if (!project) return null;
+  if (!project.members.includes(user.id)) {
+    project.members.push(user.id);
+    setRole(project, user.id, invite.role);
+    logActivity(project, user.id, "member.joined", userTarget(user), null, { role: invite.role });
+    notify(invite.invitedBy, "joined", `${publicUser(user).name} joined ${project.name}.`, { projectId: project.id });
+    realtime.toProject(project.id, { type: "user", user: publicUser(user) });
+    realtime.toProject(project.id, { type: "project", project });
+  }
+  // Imported tasks that were theirs, unless someone has taken them meanwhile
+  const taskIds = invite.taskIds || [];
+  tasks
+    .filter((t) => taskIds.includes(t.id) && t.projectId === project.id && !t.assigneeId && !t.deletedAt)
+    .forEach((t) => {
+      t.assigneeId = user.id;
+      recordChange(t, invite.invitedBy, "assigneeId", null, user.id);
+      realtime.toProject(project.id, { type: "task", task: t });
+    });
+  return project;
+}
+
+// Board columns. Task.status holds a column id; "done" always exists so that
+// progress and overdue checks keep working, and new tasks land in the first column.
+const DEFAULT_COLUMNS = [
+  { id: "todo", label: "To-Do", wipLimit: null },
+  { id: "inprogress", label: "In Progress", wipLimit: null },
+  { id: "done", label: "Done", wipLimit: null },
+];
+
+function projectColumns(project) {
+  return project.columns && project.columns.length ? project.columns : DEFAULT_COLUMNS;
+}
+
+function columnLabel(project, status) {
+  const column = projectColumns(project).find((c) => c.id === status);
+  return column ? column.label : status;
+}
+
+// Returns a cleaned column list, or an error string
+function parseColumns(input) {
+  if (!Array.isArray(input) || input.length === 0) return "At least one column required";
+  const seen = new Set();
+  const columns = [];
+  for (const c of input) {
+    const id = String((c && c.id) || "");
+    const label = String((c && c.label) || "").trim();
+    if (!/^[\w-]+$/.test(id) || seen.has(id)) return "Columns need unique ids";
+    if (!label) return "Column name required";
+    const wipLimit = c.wipLimit === null || c.wipLimit === undefined || c.wipLimit === "" ? null : Number(c.wipLimit);
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) return "WIP limit must be a positive whole number";
+    seen.add(id);
+    columns.push({ id, label, wipLimit });
+  }
+  if (!seen.has("done")) return "The Done column can't be removed";
+  return columns;
+}
+
+// Project settings besides the name. Returns the cleaned fields present in
+// `input`, or an error string; dates are checked against the `current` ones.
+const PROJECT_DETAILS = ["description", "startDate", "endDate", "color", "icon", "tags"];
+const PROJECT_COLORS = ["indigo", "sky", "emerald", "amber", "rose", "violet", "slate"];
+const PROJECT_ICONS = ["folder", "rocket", "code", "megaphone", "briefcase", "palette", "flask", "heart"];
+
+function parseProjectDetails(input, current = {}) {
+  const details = {};
+  if (input.description !== undefined) {
+    if (!isText(input.description, true)) return "Description must be text";
+    details.description = (input.description || "").trim();
+    if (details.description.length > 2000) return "Description is too long";
+  }
+  for (const key of ["startDate", "endDate"]) {
+    if (input[key] === undefined) continue;
+    details[key] = input[key] || null;
+    if (details[key] && !isDateKey(details[key])) return "Dates must be YYYY-MM-DD";
+  }
+  const { startDate, endDate } = { ...current, ...details };
+  if (startDate && endDate && startDate > endDate) return "The end date can't be before the start date";
+  if (input.color !== undefined) {
+    if (!PROJECT_COLORS.includes(input.color)) return "Invalid color";
+    details.color = input.color;
+  }
+  if (input.icon !== undefined) {
+    if (!PROJECT_ICONS.includes(input.icon)) return "Invalid icon";
+    details.icon = input.icon;
+  }
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags)) return "Tags must be a list";
+    if (!input.tags.every((t) => isText(t))) return "Tags must be text";
+    const tags = [...new Set(input.tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > 10) return "Use at most 10 tags";
+    if (tags.some((t) => t.length > 30)) return "Tags can be at most 30 characters";
+    details.tags = tags;
+  }
+  return details;
+}
+
+// Task history: one entry per changed field, plus created/deleted/restored events
+const TRACKED_FIELDS = ["title", "description", "assigneeId", "startDate", "dueDate", "status", "recurrence", "estimate"];
+
+function recordChange(task, actorId, field, from = null, to = null) {
+  taskHistory.push({
+    id: uid("hist"),
+    taskId: task.id,
+    projectId: task.projectId,
+    actorId,
+    field,
+    from,
+    to,
+    at: nowISO(),
+  });
+}
+
+function lastChangeAt(task, field) {
+  return taskHistory.reduce((at, h) => (h.taskId === task.id && h.field === field && h.at > at ? h.at : at), "");
+}
+
+// Field-level merge for edits made against an older copy of the task (e.g.
+// offline): `base` holds the values the client saw, `editedAt` when it made the
+// change. Fields nobody else touched apply as usual. For the others the later
+// change wins, by the time in the task history; a field without history (such
+// as the board order) goes to the edit being applied. Returns the patch to
+// apply and the conflicts, with the value that was kept.
+function mergeEdit(task, patch, base, editedAt) {
+  const merged = { ...patch };
+  const conflicts = [];
+  const value = (v) => (v === undefined || v === "" ? null : v); // "" and null both mean "not set"
+  const same = (a, b) => JSON.stringify(value(a)) === JSON.stringify(value(b));
+  Object.keys(patch)
+    .filter((f) => f in base)
+    .forEach((f) => {
+      const current = value(task[f]);
+      if (same(current, base[f]) || same(current, patch[f])) return;
+      const changedAt = lastChangeAt(task, f);
+      const mine = !changedAt || String(editedAt || "") > changedAt;
+      if (!mine) delete merged[f];
+      conflicts.push({ field: f, mine: value(patch[f]), theirs: current, kept: mine ? "mine" : "theirs" });
+    });
+  return { patch: merged, conflicts };
+}
+
+// Recurring tasks. `task.recurrence` is the rule: "daily" every `interval`
+// days, "weekly" on `weekdays` (0 = Sunday) every `interval` weeks, "monthly"
+// on `monthDay` every `interval` months, ending after `until` or `count`
+// occurrences. `task.series` ties the occurrences together ({ id, index }) and
+// holds the title, description and assignee each new occurrence starts with.
+// Completing an occurrence creates the next one; the client mirrors this.
+const RECURRENCE_FREQS = ["daily", "weekly", "monthly"];
+const SERIES_FIELDS = ["title", "description", "assigneeId"];
+
+// Calendar days are "YYYY-MM-DD" strings, as the client sends them
+function parseDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// A real calendar day written as YYYY-MM-DD
+function isDateKey(value) {
+  return typeof value === "string" && DATE_KEY_PATTERN.test(value) && dateKey(parseDateKey(value)) === value;
+}
+
+function addDays(key, days) {
+  const d = parseDateKey(key);
+  d.setDate(d.getDate() + days);
+  return dateKey(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / (1000 * 60 * 60 * 24));
+}
+
+// Returns the normalized rule (null for none) or an error message
+function parseRecurrence(rule, dueDate) {
+  if (!rule) return null;
+  if (!RECURRENCE_FREQS.includes(rule.freq)) return "Unknown repeat frequency";
+  const interval = Number(rule.interval || 1);
+  if (!Number.isInteger(interval) || interval < 1) return "Repeat interval must be a positive whole number";
+  const weekdays = [...new Set((Array.isArray(rule.weekdays) ? rule.weekdays : []).map(Number))]
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort((a, b) => a - b);
+  if (rule.freq === "weekly" && weekdays.length === 0) return "Pick at least one weekday";
+  const monthDay = Number(rule.monthDay || 1);
+  if (rule.freq === "monthly" && (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31)) return "Day of the month must be 1-31";
+  const count = rule.count === "" || rule.count === null || rule.count === undefined ? null : Number(rule.count);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return "Number of occurrences must be a positive whole number";
+  const until = rule.until || "";
+  if (until && !isDateKey(until)) return "Repeat end date must be YYYY-MM-DD";
+  if (!dueDate) return "Recurring tasks need a due date";
+  if (until && until < dueDate) return "The repeat end date can't be before the due date";
+  return {
+    freq: rule.freq,
+    interval,
+    weekdays: rule.freq === "weekly" ? weekdays : [],
+    monthDay: rule.freq === "monthly" ? monthDay : null,
+    until,
+    count,
+  };
+}
+
+// Task dates are day keys; the date maths relies on it
+function taskDatesProblem(fields) {
+  return ["startDate", "dueDate"].some((k) => fields[k] && !isDateKey(fields[k])) ? "Dates must be YYYY-MM-DD" : null;
+}
+
+// First day after `from` that the rule falls on. The loops stop after a full
+// cycle, which only runs out (null) when the rule or date is malformed.
+function nextDueDate(rule, from) {
+  if (rule.freq === "daily") return addDays(from, rule.interval);
+  if (rule.freq === "weekly") {
+    const monday = (key) => addDays(key, -((parseDateKey(key).getDay() + 6) % 7));
+    const firstWeek = monday(from);
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      const day = addDays(from, i);
+      const weeks = daysBetween(firstWeek, monday(day)) / 7;
+      if (weeks % rule.interval === 0 && rule.weekdays.includes(parseDateKey(day).getDay())) return day;
+    }
+    return null;
+  }
+  const start = parseDateKey(from);
+  for (let months = 0; months <= rule.interval; months += rule.interval) {
+    const lastDay = new Date(start.getFullYear(), start.getMonth() + months + 1, 0).getDate();
+    const day = dateKey(new Date(start.getFullYear(), start.getMonth() + months, Math.min(rule.monthDay, lastDay)));
+    if (day > from) return day;
+  }
+  return null;
+}
+
+// The task's series with `fields` taken over from the task (a new series for a task without one)
+function seriesOf(task, fields = SERIES_FIELDS) {
+  const series = task.series || { id: uid("series"), index: 1 };
+  return { ...series, ...Object.fromEntries((task.series ? fields : SERIES_FIELDS).map((f) => [f, task[f]])) };
+}
+
+// The occurrence after a completed one, or null when the series has ended or
+// the next occurrence exists already (the task was completed before)
+function nextOccurrence(task, project) {
+  const { recurrence: rule, series } = task;
+  if (!rule || !series || !task.dueDate) return null;
+  if (rule.count && series.index >= rule.count) return null;
+  if (tasks.some((t) => t.series && t.series.id === series.id && t.series.index > series.index && !t.deletedAt)) return null;
+  const dueDate = nextDueDate(rule, task.dueDate);
+  if (!dueDate || (rule.until && dueDate > rule.until)) return null;
+  return {
+    id: uid("task"),
+    projectId: task.projectId,
+    title: series.title,
+    description: series.description,
+    assigneeId: project.members.includes(series.assigneeId) ? series.assigneeId : null,
+    startDate: task.startDate ? addDays(dueDate, -daysBetween(task.startDate, task.dueDate)) : "",
+    dueDate,
+    status: projectColumns(project)[0].id,
+    recurrence: rule,
+    series: { ...series, index: series.index + 1 },
+    createdAt: nowISO(),
+  };
+}
+
+// Activity log: an append-only record per project of who did what to which
+// task, member, message or setting. `before`/`after` hold only what changed.
+function logActivity(project, actorId, action, target, before = null, after = null) {
+  const entry = {
+    id: uid("act"),
+    projectId: project.id,
+    actorId,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    targetLabel: target.label,
+    before,
+    after,
+    at: nowISO(),
+  };
+  activity.push(entry);
+  realtime.toProject(project.id, { type: "activity", activity: entry });
+}
+
+function taskTarget(task) {
+  return { type: "task", id: task.id, label: task.title };
+}
+
+function userTarget(user) {
+  return { type: "user", id: user.id, label: publicUser(user).name };
+}
+
+function messageTarget(msg) {
+  return { type: "message", id: msg.id, label: msg.content.slice(0, 80) };
+}
+
+// Picks the keys whose values differ, as { before, after }
+function diffFields(before, after, keys) {
+  const changed = keys.filter((k) => JSON.stringify(before[k] ?? null) !== JSON.stringify(after[k] ?? null));
+  if (changed.length === 0) return null;
+  return {
+    before: Object.fromEntries(changed.map((k) => [k, before[k] ?? null])),
+    after: Object.fromEntries(changed.map((k) => [k, after[k] ?? null])),
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Due-date reminders. A task gets at most one "due soon" and one "overdue"
+// notification per due date, so moving the date re-arms them.
+function dueSoon(dueDate) {
+  const diff = new Date(dueDate).getTime() - Date.now();
+  return diff > 0 && diff < 1000 * 60 * 60 * 24 * 2; // within 48h
+}
+
+function isOverdue(task) {
+  return Boolean(task.dueDate) && new Date(task.dueDate).getTime() < Date.now() && task.status !== "done";
+}
+
+function sendDueReminders() {
+  let sent = false;
+  tasks
+    .filter((t) => !t.deletedAt && t.assigneeId && t.dueDate && t.status !== "done")
+    .forEach((t) => {
+      const project = projects.find((p) => p.id === t.projectId);
+      const reminded = t.reminded || {};
+      if (!project || project.archivedAt) return;
+      const refs = { projectId: t.projectId, taskId: t.id };
+      if (isOverdue(t) && reminded.overdue !== t.dueDate) {
+        notify(t.assigneeId, "overdue", `"${t.title}" in ${project.name} is overdue.`, refs);
+        t.reminded = { ...reminded, overdue: t.dueDate };
+        sent = true;
+      } else if (dueSoon(t.dueDate) && reminded.dueSoon !== t.dueDate) {
+        notify(t.assigneeId, "dueSoon", `"${t.title}" in ${project.name} is due ${new Date(t.dueDate).toLocaleDateString()}.`, refs);
+        t.reminded = { ...reminded, dueSoon: t.dueDate };
+        sent = true;
+      }
+    });
+  if (sent) db.save();
+}
+
+// Deleted tasks stay in the trash for TRASH_RETENTION_DAYS before they are purged
+function purgeTrash() {
+  const cutoff = Date.now() - config.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = new Set(tasks.filter((t) => t.deletedAt && Date.parse(t.deletedAt) < cutoff).map((t) => t.id));
+  if (expired.size === 0) return;
+  removeWhere(tasks, (t) => expired.has(t.id));
+  removeWhere(comments, (c) => expired.has(c.taskId));
+  removeWhere(taskHistory, (h) => expired.has(h.taskId));
+  removeAttachments((a) => expired.has(a.taskId));
+  db.save();
+}
+
+// Chat markup: mentions are stored as @[Name](userId) and task references as
+// #[Title](taskId), so renames don't break them.
+const MENTION_PATTERN = /@\[[^\]]+\]\(([\w-]+)\)/g;
+
+// Chat content as read: @[Name](id) -> @Name, #[Title](id) -> #Title
+function plainText(content) {
+  return content.replace(/([@#])\[([^\]]+)\]\([\w-]+\)/g, "$1$2");
+}
+
+function mentionedIds(content) {
+  return [...new Set([...content.matchAll(MENTION_PATTERN)].map((m) => m[1]))];
+}
+
+// Notifies members mentioned in `content` who weren't already mentioned in `previous`
+function notifyMentions(project, author, content, previous = "") {
+  const before = mentionedIds(previous);
+  mentionedIds(content)
+    .filter((id) => id !== author.id && project.members.includes(id) && !before.includes(id))
+    .forEach((id) => notify(id, "mention", `${publicUser(author).name} mentioned you in ${project.name}.`, { projectId: project.id }));
+}
+
+// Project middleware: loads :projectId and rejects non-members
+function requireMember(req, res, next) {
+  const project = projects.find((p) => p.id === req.params.projectId);
+  if (!project) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+  if (!project.members.includes(req.user.id)) {
+    return res.status(403).json({ error: "Not a member of this project" });
+  }
+  req.project = project;
+  next();
+}
+
+// Invite middleware: loads a pending :inviteId addressed to the current user
+function requireInvitee(req, res, next) {
+  const invite = invites.find((i) => i.id === req.params.inviteId && i.email === normalizeEmail(req.user.email));
+  if (!invite || invite.status !== "pending") {
+    return res.status(404).json({ error: "Invite not found" });
+  }
+  req.invite = invite;
+  next();
+}
+
+// Task middleware: run after requireMember; loads :taskId unless it is in the trash
+function requireTask(req, res, next) {
+  const task = tasks.find((t) => t.id === req.params.taskId && t.projectId === req.project.id && !t.deletedAt);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+  req.task = task;
+  next();
+}
+
+// Role middleware: run after requireMember
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.project.archivedAt && !ARCHIVED_PERMISSIONS.includes(permission)) {
+      return res.status(403).json({ error: "This project is archived" });
+    }
+    if (!can(req.project, req.user.id, permission)) {
+      return res.status(403).json({ error: "You don't have permission to do that" });
+    }
+    next();
+  };
+}
+
+// For changes that aren't covered by a permission, such as removing your own time
+function requireActive(req, res, next) {
+  if (req.project.archivedAt) {
+    return res.status(403).json({ error: "This project is archived" });
+  }
+  next();
+}
+
+// Signup
+app.post("/api/signup", async (req, res) => {
+  const { firstName, lastName, name, password } = req.body;
+  const email = normalizeEmail(req.body.email);
+  if (!email || !password || typeof password !== "string") {
+    return res.status(400).json({ error: "Email and password required" });
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: "Enter a valid email address" });
+  }
+  const existing = findUserByEmail(email);
+  if (existing) {
+    return res.status(400).json({ error: "User already exists" });
+  }
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const newUser = { id: uid("user"), firstName, lastName, name, email, password: hashedPassword };
+  users.push(newUser);
+  // Registering with an invited address joins those projects straight away
+  invites
+    .filter((i) => i.status === "pending" && i.email === email)
+    .forEach((i) => acceptInvite(i, newUser));
+  db.save();
+  res.json({ message: "Signup successful" });
+});
+
+// Login
+app.post("/api/login", async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password || typeof password !== "string") {
+    return res.status(400).json({ error: "Email and password required" });
+  }
+  const user = findUserByEmail(email);
+  if (!user) {
+    return res.status(400).json({ error: "User not found" });
+  }
+  const valid = await bcrypt.compare(password, user.password);
+  if (!valid) {
+    return res.status(400).json({ error: "Invalid password" });
+  }
+  const { session, refreshToken } = startSession(user, req);
+  db.save();
+  res.json({ message: "Login successful", ...issueTokens(user, session, refreshToken) });
+});
+
+// Refresh: trades a refresh token for a new access/refresh pair
+app.post("/api/refresh", (req, res) => {
+  const hash = hashToken(req.body.refreshToken || "");
+  const session = sessions.find((s) => s.refreshTokenHash === hash);
+  if (!session) {
+    // A spent token coming back means it was stolen (or leaked): kill every session of that user
+    const reused = sessions.find((s) => s.usedTokenHashes.includes(hash));
+    if (reused) {
+      revokeSessions((s) => s.userId === reused.userId);
+      db.save();
+    }
+    return res.status(401).json({ error: "Invalid refresh token" });
+  }
+  const user = users.find((u) => u.id === session.userId);
+  if (!user || session.revokedAt || Date.parse(session.expiresAt) < Date.now()) {
+    return res.status(401).json({ error: "Session expired" });
+  }
+  const refreshToken = rotateSession(session);
+  db.save();
+  res.json(issueTokens(user, session, refreshToken));
+});
+
+// Logout: revokes the session behind the given refresh token
+app.post("/api/logout", (req, res) => {
+  const hash = hashToken(req.body.refreshToken || "");
+  revokeSessions((s) => s.refreshTokenHash === hash);
+  db.save();
+  res.json({ message: "Logged out" });
+});
+
+// Sign out everywhere
+app.post("/api/logout/all", authenticate, (req, res) => {
+  revokeSessions((s) => s.userId === req.user.id);
+  db.save();
+  res.json({ message: "Logged out of all sessions" });
+});
+
+// Forgot password: always answers the same way so emails can't be probed
+app.post("/api/password/forgot", async (req, res) => {
+  const user = findUserByEmail(req.body.email);
+  if (user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    passwordResets.push({
+      id: uid("reset"),
+      userId: user.id,
+      tokenHash: hashToken(token),
+      createdAt: nowISO(),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+      usedAt: null,
+    });
+    db.save();
+    try {
+      await mailer.send({
+        to: user.email,
+        subject: "Reset your SynergySphere password",
+        text:
+          `Use this link to choose a new password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes):\n` +
+          `${APP_URL}/reset?token=${token}\n\nIf you didn't ask for this, you can ignore this email.`,
+      });
+    } catch (err) {
+      // Answered the same way regardless, so a mail failure can't reveal the account
+      console.error("Failed to send password reset email:", err.message);
+    }
+  }
+  res.json({ message: "If that email is registered, a reset link is on its way" });
+});
+
+// Reset password with a single-use token
+app.post("/api/password/reset", async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password || typeof password !== "string") {
+    return res.status(400).json({ error: "Token and password required" });
+  }
+  const reset = passwordResets.find((r) => r.tokenHash === hashToken(token));
+  if (!reset || reset.usedAt || Date.parse(reset.expiresAt) < Date.now()) {
+    return res.status(400).json({ error: "Reset link is invalid or has expired" });
+  }
+  const user = users.find((u) => u.id === reset.userId);
+  if (!user) {
+    return res.status(400).json({ error: "Reset link is invalid or has expired" });
+  }
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = nowISO();
+  // Burn this token and any other outstanding ones for the same user
+  passwordResets
+    .filter((r) => r.userId === user.id && !r.usedAt)
+    .forEach((r) => {
+      r.usedAt = user.passwordChangedAt;
+    });
+  revokeSessions((s) => s.userId === user.id);
+  db.save();
+  res.json({ message: "Password updated" });
+});
+
+// Current user
+app.get("/api/me", authenticate, (req, res) => {
+  res.json({ ...publicUser(req.user), notificationPrefs: notificationPrefs(req.user) });
+});
+
+app.patch("/api/me", authenticate, (req, res) => {
+  const { name, notificationPrefs: prefs } = req.body;
+  if (prefs !== undefined && (typeof prefs !== "object" || prefs === null)) {
+    return res.status(400).json({ error: "Invalid notification preferences" });
+  }
+  if (name !== undefined && !isText(name)) {
+    return res.status(400).json({ error: "Name must be text" });
+  }
+  if (name !== undefined) {
+    req.user.name = name.trim();
+  }
+  if (prefs) {
+    const known = NOTIFICATION_TYPES.filter((t) => prefs[t] !== undefined);
+    req.user.notificationPrefs = { ...req.user.notificationPrefs, ...Object.fromEntries(known.map((t) => [t, Boolean(prefs[t])])) };
+  }
+  db.save();
+  res.json({ ...publicUser(req.user), notificationPrefs: notificationPrefs(req.user) });
+});
+
+// Active sessions of the current user
+app.get("/api/sessions", authenticate, (req, res) => {
+  const active = sessions
+    .filter((s) => s.userId === req.user.id && !s.revokedAt && Date.parse(s.expiresAt) > Date.now())
+    .map((s) => ({
+      id: s.id,
+      userAgent: s.userAgent,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: s.id === req.session.id,
+    }));
+  res.json(active);
+});
+
+app.delete("/api/sessions/:id", authenticate, (req, res) => {
+  const session = sessions.find((s) => s.id === req.params.id && s.userId === req.user.id);
+  if (!session) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  revokeSessions((s) => s.id === session.id);
+  db.save();
+  res.status(204).end();
+});
+
+// Projects
+app.get("/api/projects", authenticate, (req, res) => {
+  res.json(projects.filter((p) => p.members.includes(req.user.id)));
+});
+
+app.post("/api/projects", authenticate, (req, res) => {
+  const name = isText(req.body.name) ? req.body.name.trim() : "";
+  if (!name) {
+    return res.status(400).json({ error: "Project name required" });
+  }
+  const details = parseProjectDetails(req.body);
+  if (typeof details === "string") {
+    return res.status(400).json({ error: details });
+  }
+  const project = {
+    id: uid("proj"),
+    name,
+    ...details,
+    members: [req.user.id],
+    roles: { [req.user.id]: "owner" },
+    createdAt: nowISO(),
+  };
+  projects.unshift(project);
+  logActivity(project, req.user.id, "project.created", { type: "project", id: project.id, label: name });
+  db.save();
+  res.status(201).json(project);
+});
+
+// Import: creates a project from a board exported here or elsewhere. The client
+// parses the file and resolves people to emails; everyone but the importer is
+// invited, and the tasks assigned to them are handed over when they accept.
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+app.post("/api/projects/import", authenticate, async (req, res) => {
+  const name = isText(req.body.name) ? req.body.name.trim() : "";
+  if (!name) {
+    return res.status(400).json({ error: "Project name required" });
+  }
+  const columns = req.body.columns === undefined ? null : parseColumns(req.body.columns);
+  if (typeof columns === "string") {
+    return res.status(400).json({ error: columns });
+  }
+  const rows = Array.isArray(req.body.tasks) ? req.body.tasks : [];
+  for (const [i, row] of rows.entries()) {
+    if (!row || !isText(row.title) || !row.title.trim()) {
+      return res.status(400).json({ error: `Task ${i + 1}: title required` });
+    }
+    if (!isText(row.description, true)) {
+      return res.status(400).json({ error: `Task ${i + 1}: description must be text` });
+    }
+    const { startDate = "", dueDate = "" } = row;
+    if (taskDatesProblem(row)) {
+      return res.status(400).json({ error: `Task ${i + 1}: dates must be YYYY-MM-DD` });
+    }
+    if (startDate && dueDate && startDate > dueDate) {
+      return res.status(400).json({ error: `Task ${i + 1}: start date can't be after the due date` });
+    }
+  }
+  const project = {
+    id: uid("proj"),
+    name,
+    members: [req.user.id],
+    roles: { [req.user.id]: "owner" },
+    createdAt: nowISO(),
+    ...(columns ? { columns } : {}),
+  };
+  const ids = projectColumns(project).map((c) => c.id);
+  const me = normalizeEmail(req.user.email);
+  const handover = {}; // email -> ids of the tasks waiting for them
+  (Array.isArray(req.body.invites) ? req.body.invites : []).forEach((email) => (handover[normalizeEmail(email)] = []));
+  const created = rows.map((row, i) => {
+    const email = normalizeEmail(row.assigneeEmail);
+    const task = {
+      id: uid("task"),
+      projectId: project.id,
+      title: row.title.trim(),
+      description: (row.description || "").trim(),
+      assigneeId: email === me ? req.user.id : null,
+      startDate: row.startDate || "",
+      dueDate: row.dueDate || "",
+      status: ids.includes(row.status) ? row.status : ids[0],
+      order: i, // keeps the order of the file
+      createdAt: nowISO(),
+    };
+    if (email !== me && EMAIL_PATTERN.test(email)) handover[email] = [...(handover[email] || []), task.id];
+    return task;
+  });
+  projects.unshift(project);
+  tasks.unshift(...created);
+  created.forEach((task) => recordChange(task, req.user.id, "created"));
+  logActivity(project, req.user.id, "project.imported", { type: "project", id: project.id, label: name }, null, { tasks: created.length });
+  const sent = [];
+  for (const [email, taskIds] of Object.entries(handover)) {
+    if (email !== me && EMAIL_PATTERN.test(email)) sent.push(await sendInvite(project, req.user, email, "member", taskIds));
+  }
+  db.save();
+  res.status(201).json({ project, tasks: created, invites: sent.map(publicInvite) });
+});
+
+app.get("/api/projects/:projectId", authenticate, requireMember, (req, res) => {
+  res.json(req.project);
+});
+
+app.patch("/api/projects/:projectId", authenticate, requireMember, requirePermission("editProject"), (req, res) => {
+  const before = { ...req.project };
+  const details = parseProjectDetails(req.body, req.project);
+  if (typeof details === "string") {
+    return res.status(400).json({ error: details });
+  }
+  // Changing columns moves tasks, which archived projects keep as they are
+  if (req.body.columns !== undefined && req.project.archivedAt) {
+    return res.status(403).json({ error: "This project is archived" });
+  }
+  if (req.body.name !== undefined && !isText(req.body.name)) {
+    return res.status(400).json({ error: "Project name required" });
+  }
+  const name = req.body.name === undefined ? undefined : req.body.name.trim();
+  if (name === "") {
+    return res.status(400).json({ error: "Project name required" });
+  }
+  const columns = req.body.columns === undefined ? undefined : parseColumns(req.body.columns);
+  if (typeof columns === "string") {
+    return res.status(400).json({ error: columns });
+  }
+  if (name !== undefined) req.project.name = name;
+  if (columns !== undefined) {
+    // Tasks in removed columns fall back to the first column
+    const ids = columns.map((c) => c.id);
+    tasks
+      .filter((t) => t.projectId === req.project.id && !ids.includes(t.status))
+      .forEach((t) => {
+        const from = t.status;
+        t.status = ids[0];
+        recordChange(t, req.user.id, "status", from, t.status);
+        logActivity(req.project, req.user.id, "task.updated", taskTarget(t), { status: from }, { status: t.status });
+        realtime.toProject(t.projectId, { type: "task", task: t });
+      });
+    req.project.columns = columns;
+  }
+  Object.assign(req.project, details);
+  if (req.body.archived !== undefined) {
+    req.project.archivedAt = req.body.archived ? before.archivedAt || nowISO() : null;
+  }
+  const target = { type: "project", id: req.project.id, label: req.project.name };
+  const changes = diffFields(before, req.project, ["name", "columns", ...PROJECT_DETAILS]);
+  if (changes) {
+    logActivity(req.project, req.user.id, "project.updated", target, changes.before, changes.after);
+  }
+  if (Boolean(before.archivedAt) !== Boolean(req.project.archivedAt)) {
+    logActivity(req.project, req.user.id, req.project.archivedAt ? "project.archived" : "project.unarchived", target);
+  }
+  db.save();
+  realtime.toProject(req.project.id, { type: "project", project: req.project });
+  res.json(req.project);
+});
+
+app.delete("/api/projects/:projectId", authenticate, requireMember, requirePermission("deleteProject"), (req, res) => {
+  const pid = req.project.id;
+  // Told while they are still members, so the event reaches them
+  realtime.toProject(pid, { type: "projectRemoved", projectId: pid });
+  projects.splice(projects.indexOf(req.project), 1);
+  removeWhere(tasks, (t) => t.projectId === pid);
+  removeWhere(messages, (m) => m.projectId === pid);
+  removeWhere(comments, (c) => c.projectId === pid);
+  removeWhere(taskHistory, (h) => h.projectId === pid);
+  removeWhere(activity, (a) => a.projectId === pid);
+  removeWhere(timeEntries, (e) => e.projectId === pid);
+  removeAttachments((a) => a.projectId === pid);
+  removeWhere(notifications, (n) => n.projectId === pid);
+  removeWhere(invites, (i) => i.projectId === pid);
+  db.save();
+  res.status(204).end();
+});
+
+// Ownership moves to another member; the previous owner stays on as an admin
+app.post("/api/projects/:projectId/transfer", authenticate, requireMember, requirePermission("transferProject"), (req, res) => {
+  const userId = String(req.body.userId || "");
+  if (!roleOf(req.project, userId)) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: "You already own this project" });
+  }
+  const member = users.find((u) => u.id === userId);
+  setRole(req.project, userId, "owner");
+  setRole(req.project, req.user.id, "admin");
+  logActivity(req.project, req.user.id, "project.transferred", userTarget(member));
+  db.save();
+  realtime.toProject(req.project.id, { type: "project", project: req.project });
+  res.json(req.project);
+});
+
+// Members
+app.get("/api/projects/:projectId/members", authenticate, requireMember, (req, res) => {
+  const members = req.project.members
+    .map((id) => users.find((u) => u.id === id))
+    .filter(Boolean)
+    .map((u) => ({ ...publicUser(u), role: roleOf(req.project, u.id) }));
+  res.json(members);
+});
+
+
+app.patch("/api/projects/:projectId/members/:userId", authenticate, requireMember, requirePermission("manageMembers"), (req, res) => {
+  const { role } = req.body;
+  const current = roleOf(req.project, req.params.userId);
+  if (!current) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
+  if (!canManageRole(req.project, req.user.id, current) || !canManageRole(req.project, req.user.id, role)) {
+    return res.status(403).json({ error: "You can't grant that role" });
+  }
+  if (current === "owner" && role !== "owner" && ownerCount(req.project) === 1) {
+    return res.status(400).json({ error: "A project needs at least one owner" });
+  }
+  setRole(req.project, req.params.userId, role);
+  if (role !== current) {
+    const member = users.find((u) => u.id === req.params.userId);
+    logActivity(req.project, req.user.id, "member.role", userTarget(member), { role: current }, { role });
+  }
+  db.save();
+  realtime.toProject(req.project.id, { type: "project", project: req.project });
+  res.json({ userId: req.params.userId, role });
+});
+
+app.delete("/api/projects/:projectId/members/:userId", authenticate, requireMember, requirePermission("manageMembers"), (req, res) => {
+  const { members } = req.project;
+  const current = roleOf(req.project, req.params.userId);
+  if (!current) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+  if (!canManageRole(req.project, req.user.id, current)) {
+    return res.status(403).json({ error: "You can't remove that member" });
+  }
+  if (current === "owner" && ownerCount(req.project) === 1) {
+    return res.status(400).json({ error: "A project needs at least one owner" });
+  }
+  members.splice(members.indexOf(req.params.userId), 1);
+  req.project.roles = { ...req.project.roles };
+  delete req.project.roles[req.params.userId];
+  const member = users.find((u) => u.id === req.params.userId);
+  logActivity(req.project, req.user.id, "member.removed", userTarget(member), { role: current });
+  db.save();
+  realtime.toProject(req.project.id, { type: "project", project: req.project });
+  res.status(204).end();
+});
+
+// The last owner has to hand the project over (or delete it) before leaving
+app.post("/api/projects/:projectId/leave", authenticate, requireMember, (req, res) => {
+  const { members } = req.project;
+  const current = roleOf(req.project, req.user.id);
+  if (current === "owner" && ownerCount(req.project) === 1) {
+    return res.status(400).json({ error: "Transfer ownership before leaving, or delete the project" });
+  }
+  members.splice(members.indexOf(req.user.id), 1);
+  req.project.roles = { ...req.project.roles };
+  delete req.project.roles[req.user.id];
+  logActivity(req.project, req.user.id, "member.left", userTarget(req.user), { role: current });
+  db.save();
+  realtime.toProject(req.project.id, { type: "project", project: req.project });
+  realtime.toUser(req.user.id, { type: "projectRemoved", projectId: req.project.id });
+  res.status(204).end();
+});
+
+// Invitations
+app.get("/api/projects/:projectId/invites", authenticate, requireMember, requirePermission("manageMembers"), (req, res) => {
+  res.json(invites.filter((i) => i.projectId === req.project.id && i.status === "pending").map(publicInvite));
+});
+
+app.post("/api/projects/:projectId/invites", authenticate, requireMember, requirePermission("manageMembers"), async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const role = req.body.role || "member";
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: "Enter a valid email address" });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: "Invalid role" });
+  }
+  if (!canManageRole(req.project, req.user.id, role)) {
+    return res.status(403).json({ error: "You can't grant that role" });
+  }
+  const user = findUserByEmail(email);
+  if (user && req.project.members.includes(user.id)) {
+    return res.status(400).json({ error: "Already a member of this project" });
+  }
+  const invite = await sendInvite(req.project, req.user, email, role);
+  db.save();
+  res.status(201).json(publicInvite(invite));
+});
+
+app.delete("/api/projects/:projectId/invites/:inviteId", authenticate, requireMember, requirePermission("manageMembers"), (req, res) => {
+  const invite = invites.find((i) => i.id === req.params.inviteId && i.projectId === req.project.id);
+  if (!invite || invite.status !== "pending") {
+    return res.status(404).json({ error: "Invite not found" });
+  }
+  invite.status = "revoked";
+  invite.respondedAt = nowISO();
+  logActivity(req.project, req.user.id, "invite.revoked", { type: "invite", id: invite.id, label: invite.email });
+  db.save();
+  res.status(204).end();
+});
+
+// Invitations addressed to the current user
+app.get("/api/invites", authenticate, (req, res) => {
+  const email = normalizeEmail(req.user.email);
+  res.json(invites.filter((i) => i.email === email && i.status === "pending").map(publicInvite));
+});
+
+app.post("/api/invites/:inviteId/accept", authenticate, requireInvitee, (req, res) => {
+  const project = acceptInvite(req.invite, req.user);
+  db.save();
+  if (!project) {
+    return res.status(404).json({ error: "Project no longer exists" });
+  }
+  res.json(project);
+});
+
+app.post("/api/invites/:inviteId/decline", authenticate, requireInvitee, (req, res) => {
+  req.invite.status = "declined";
+  req.invite.respondedAt = nowISO();
+  db.save();
+  res.json(publicInvite(req.invite));
+});
+
+// Tasks
+app.get("/api/projects/:projectId/tasks", authenticate, requireMember, (req, res) => {
+  res.json(tasks.filter((t) => t.projectId === req.project.id && !t.deletedAt));
+});
+
+app.get("/api/projects/:projectId/tasks/:taskId", authenticate, requireMember, requireTask, (req, res) => {
+  res.json(req.task);
+});
+
+app.post("/api/projects/:projectId/tasks", authenticate, requireMember, requirePermission("editTasks"), (req, res) => {
+  const { title, description, assigneeId, startDate, dueDate } = req.body;
+  const { id, existing } = claimId(tasks, req.body.id, "task");
+  if (existing) {
+    // A replayed create gets what the first attempt made
+    return existing.projectId === req.project.id ? res.json(existing) : res.status(409).json({ error: "Id already in use" });
+  }
+  if (!isText(title) || !title.trim()) {
+    return res.status(400).json({ error: "Task title required" });
+  }
+  if (!isText(description, true)) {
+    return res.status(400).json({ error: "Description must be text" });
+  }
+  const datesProblem = taskDatesProblem(req.body);
+  if (datesProblem) {
+    return res.status(400).json({ error: datesProblem });
+  }
+  if (startDate && dueDate && startDate > dueDate) {
+    return res.status(400).json({ error: "Start date can't be after the due date" });
+  }
+  if (assigneeId && !req.project.members.includes(assigneeId)) {
+    return res.status(400).json({ error: "Assignee must be a project member" });
+  }
+  const recurrence = parseRecurrence(req.body.recurrence, dueDate);
+  if (typeof recurrence === "string") {
+    return res.status(400).json({ error: recurrence });
+  }
+  if (!validMinutes(req.body.estimate, true)) {
+    return res.status(400).json({ error: "Estimate must be a positive number of minutes" });
+  }
+  const task = {
+    id,
+    projectId: req.project.id,
+    title: title.trim(),
+    description: (description || "").trim(),
+    assigneeId: assigneeId || null,
+    startDate: startDate || "",
+    dueDate: dueDate || "",
+    status: projectColumns(req.project)[0].id,
+    createdAt: nowISO(),
+  };
+  if (req.body.estimate) task.estimate = Number(req.body.estimate);
+  if (recurrence) {
+    task.recurrence = recurrence;
+    task.series = seriesOf(task);
+  }
+  tasks.unshift(task);
+  recordChange(task, req.user.id, "created");
+  logActivity(req.project, req.user.id, "task.created", taskTarget(task));
+  notify(task.assigneeId, "assigned", `You were assigned "${task.title}" in ${req.project.name}.`, { projectId: task.projectId, taskId: task.id });
+  db.save();
+  realtime.toProject(task.projectId, { type: "task", task });
+  res.status(201).json(task);
+});
+
+// Edits that send `base` (and `editedAt`) are merged with changes made since,
+// see mergeEdit(); they are answered with { task, conflicts, related }, where
+// `related` lists the other tasks the edit created or changed.
+//
+// On a recurring task, title/description/assignee edits change just that
+// occurrence unless `scope` is "series"; rule changes always apply to the series.
+app.patch("/api/projects/:projectId/tasks/:taskId", authenticate, requireMember, requirePermission("editTasks"), requireTask, (req, res) => {
+  const task = req.task;
+  const before = { ...task };
+  const { base, editedAt, scope, ...fields } = req.body;
+  const { patch, conflicts } = base && typeof base === "object" ? mergeEdit(task, fields, base, editedAt) : { patch: fields, conflicts: null };
+  const { title, description, assigneeId, startDate, dueDate, status, order, recurrence, estimate } = patch;
+  if (title !== undefined && (!isText(title) || !title.trim())) {
+    return res.status(400).json({ error: "Task title required" });
+  }
+  if (!isText(description, true)) {
+    return res.status(400).json({ error: "Description must be text" });
+  }
+  const datesProblem = taskDatesProblem(patch);
+  if (datesProblem) {
+    return res.status(400).json({ error: datesProblem });
+  }
+  const nextStart = startDate !== undefined ? startDate || "" : task.startDate || "";
+  const nextDue = dueDate !== undefined ? dueDate || "" : task.dueDate;
+  if (nextStart && nextDue && nextStart > nextDue) {
+    return res.status(400).json({ error: "Start date can't be after the due date" });
+  }
+  const rule = parseRecurrence(recurrence !== undefined ? recurrence : task.recurrence, nextDue);
+  if (typeof rule === "string") {
+    return res.status(400).json({ error: rule });
+  }
+  if (status !== undefined && !projectColumns(req.project).some((c) => c.id === status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  if (order !== undefined && !Number.isFinite(order)) {
+    return res.status(400).json({ error: "Invalid order" });
+  }
+  if (estimate !== undefined && !validMinutes(estimate, true)) {
+    return res.status(400).json({ error: "Estimate must be a positive number of minutes" });
+  }
+  if (assigneeId && !req.project.members.includes(assigneeId)) {
+    return res.status(400).json({ error: "Assignee must be a project member" });
+  }
+  if (title !== undefined) task.title = title.trim();
+  if (description !== undefined) task.description = (description || "").trim();
+  if (startDate !== undefined) task.startDate = startDate || "";
+  if (dueDate !== undefined) task.dueDate = dueDate || "";
+  if (order !== undefined) task.order = order;
+  if (estimate !== undefined) task.estimate = estimate ? Number(estimate) : null;
+  if (assigneeId !== undefined && assigneeId !== task.assigneeId) {
+    task.assigneeId = assigneeId || null;
+    notify(task.assigneeId, "assigned", `You were assigned "${task.title}" in ${req.project.name}.`, { projectId: task.projectId, taskId: task.id });
+  }
+  if (recurrence !== undefined && JSON.stringify(rule) !== JSON.stringify(task.recurrence || null)) task.recurrence = rule;
+  const related = [];
+  const seriesWide = scope === "series" || recurrence !== undefined;
+  if (task.recurrence && (seriesWide || !task.series)) task.series = seriesOf(task, SERIES_FIELDS.filter((f) => patch[f] !== undefined));
+  if (seriesWide && task.series) related.push(...updateSeries(task, patch, req.user.id));
+  if (status !== undefined && status !== task.status) {
+    task.status = status;
+    notify(task.assigneeId, "status", `Task "${task.title}" marked ${columnLabel(req.project, status)}.`, { projectId: task.projectId, taskId: task.id });
+    const next = status === "done" && nextOccurrence(task, req.project);
+    if (next) {
+      tasks.unshift(next);
+      recordChange(next, req.user.id, "created");
+      logActivity(req.project, req.user.id, "task.recurred", taskTarget(next), null, { dueDate: next.dueDate });
+      related.push(next);
+    }
+  }
+  recordChanges(task, before, req.user.id);
+  const changes = diffFields(before, task, TRACKED_FIELDS);
+  if (changes) logActivity(req.project, req.user.id, "task.updated", taskTarget(task), changes.before, changes.after);
+  db.save();
+  [task, ...related].forEach((t) => realtime.toProject(t.projectId, { type: "task", task: t }));
+  res.json(conflicts ? { task, conflicts, related } : task);
+});
+
+function recordChanges(task, before, actorId) {
+  TRACKED_FIELDS.filter((f) => JSON.stringify(before[f] ?? null) !== JSON.stringify(task[f] ?? null)).forEach((f) =>
+    recordChange(task, actorId, f, before[f] ?? null, task[f] ?? null)
+  );
+}
+
+// Hands a series-wide edit on to the other occurrences: all of them take the
+// new rule and starting values, open ones also the edited fields. Returns the
+// tasks that changed.
+function updateSeries(task, patch, actorId) {
+  return tasks
+    .filter((t) => t !== task && t.series && t.series.id === task.series.id && !t.deletedAt)
+    .map((t) => {
+      const before = { ...t };
+      t.recurrence = task.recurrence;
+      t.series = { ...task.series, index: t.series.index };
+      if (t.status !== "done") SERIES_FIELDS.filter((f) => patch[f] !== undefined).forEach((f) => (t[f] = task[f]));
+      recordChanges(t, before, actorId);
+      return t;
+    });
+}
+
+// Deleting moves the task to the trash; it can be restored until it is purged
+app.delete("/api/projects/:projectId/tasks/:taskId", authenticate, requireMember, requirePermission("deleteTask"), requireTask, (req, res) => {
+  req.task.deletedAt = nowISO();
+  req.task.deletedBy = req.user.id;
+  recordChange(req.task, req.user.id, "deleted");
+  logActivity(req.project, req.user.id, "task.deleted", taskTarget(req.task));
+  db.save();
+  realtime.toProject(req.task.projectId, { type: "task", task: req.task });
+  res.status(204).end();
+});
+
+app.get("/api/projects/:projectId/trash", authenticate, requireMember, requirePermission("deleteTask"), (req, res) => {
+  purgeTrash();
+  res.json(tasks.filter((t) => t.projectId === req.project.id && t.deletedAt));
+});
+
+app.post("/api/projects/:projectId/trash/:taskId/restore", authenticate, requireMember, requirePermission("deleteTask"), (req, res) => {
+  const task = tasks.find((t) => t.id === req.params.taskId && t.projectId === req.project.id && t.deletedAt);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found in trash" });
+  }
+  delete task.deletedAt;
+  delete task.deletedBy;
+  // The column it was in may have been removed meanwhile
+  const columns = projectColumns(req.project);
+  if (!columns.some((c) => c.id === task.status)) task.status = columns[0].id;
+  recordChange(task, req.user.id, "restored");
+  logActivity(req.project, req.user.id, "task.restored", taskTarget(task));
+  db.save();
+  realtime.toProject(task.projectId, { type: "task", task });
+  res.json(task);
+});
+
+// Task comments and history
+app.get("/api/projects/:projectId/tasks/:taskId/comments", authenticate, requireMember, requireTask, (req, res) => {
+  res.json(comments.filter((c) => c.taskId === req.task.id));
+});
+
+// Comments on every task in the project, for exports
+app.get("/api/projects/:projectId/comments", authenticate, requireMember, (req, res) => {
+  res.json(comments.filter((c) => c.projectId === req.project.id));
+});
+
+app.post("/api/projects/:projectId/tasks/:taskId/comments", authenticate, requireMember, requirePermission("postMessages"), requireTask, (req, res) => {
+  const content = isText(req.body.content) ? req.body.content.trim() : "";
+  if (!content) {
+    return res.status(400).json({ error: "Comment required" });
+  }
+  const { id, existing } = claimId(comments, req.body.id, "cmt");
+  if (existing) {
+    return existing.authorId === req.user.id ? res.json(existing) : res.status(409).json({ error: "Id already in use" });
+  }
+  const comment = {
+    id,
+    taskId: req.task.id,
+    projectId: req.project.id,
+    authorId: req.user.id,
+    content,
+    createdAt: nowISO(),
+  };
+  comments.push(comment);
+  logActivity(req.project, req.user.id, "comment.added", taskTarget(req.task), null, { content });
+  if (req.task.assigneeId !== req.user.id) {
+    notify(req.task.assigneeId, "comment", `${publicUser(req.user).name} commented on "${req.task.title}".`, {
+      projectId: req.project.id,
+      taskId: req.task.id,
+    });
+  }
+  db.save();
+  realtime.toProject(comment.projectId, { type: "comment", comment });
+  res.status(201).json(comment);
+});
+
+app.get("/api/projects/:projectId/tasks/:taskId/history", authenticate, requireMember, requireTask, (req, res) => {
+  res.json(taskHistory.filter((h) => h.taskId === req.task.id));
+});
+
+// History of every task in the project, which the analytics charts are built from
+app.get("/api/projects/:projectId/history", authenticate, requireMember, (req, res) => {
+  res.json(taskHistory.filter((h) => h.projectId === req.project.id));
+});
+
+// Time tracking. Entries log `minutes` of a member's work on a task on `date`,
+// either typed in or from a timer. A running timer is an entry with
+// `startedAt` and no minutes yet; each user has at most one. Entries are
+// removed by setting `deletedAt`, which live updates pass on like any change.
+const TIMER_MIN_MS = 60 * 1000; // shorter timers are dropped rather than logged
+const ENTRY_MAX_MINUTES = 24 * 60; // one entry covers at most a day; longer timers are cut to it
+
+function validMinutes(value, optional = false) {
+  if (optional && (value === null || value === undefined || value === "")) return true;
+  return Number.isInteger(Number(value)) && Number(value) > 0;
+}
+
+function stopTimer(userId) {
+  const entry = timeEntries.find((e) => e.userId === userId && e.startedAt && e.minutes === null && !e.deletedAt);
+  if (!entry) return null;
+  const elapsed = Date.now() - Date.parse(entry.startedAt);
+  entry.endedAt = nowISO();
+  if (elapsed < TIMER_MIN_MS) entry.deletedAt = entry.endedAt;
+  else entry.minutes = Math.min(Math.round(elapsed / 60000), ENTRY_MAX_MINUTES);
+  realtime.toProject(entry.projectId, { type: "timeEntry", timeEntry: entry });
+  return entry;
+}
+
+app.get("/api/projects/:projectId/time", authenticate, requireMember, (req, res) => {
+  res.json(timeEntries.filter((e) => e.projectId === req.project.id && !e.deletedAt));
+});
+
+app.post("/api/projects/:projectId/tasks/:taskId/time", authenticate, requireMember, requirePermission("editTasks"), requireTask, (req, res) => {
+  const { date, minutes } = req.body;
+  if (!isDateKey(date)) {
+    return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+  }
+  if (!validMinutes(minutes)) {
+    return res.status(400).json({ error: "Time must be a positive number of minutes" });
+  }
+  if (!isText(req.body.note, true)) {
+    return res.status(400).json({ error: "Note must be text" });
+  }
+  if (Number(minutes) > ENTRY_MAX_MINUTES) {
+    return res.status(400).json({ error: "One entry can be at most 24h" });
+  }
+  const entry = {
+    id: uid("time"),
+    projectId: req.project.id,
+    taskId: req.task.id,
+    userId: req.user.id,
+    date,
+    minutes: Number(minutes),
+    note: (req.body.note || "").trim(),
+    createdAt: nowISO(),
+  };
+  timeEntries.push(entry);
+  db.save();
+  realtime.toProject(entry.projectId, { type: "timeEntry", timeEntry: entry });
+  res.status(201).json(entry);
+});
+
+// Starting a timer stops the one already running, wherever it is.
+// Responds with { started, stopped }.
+app.post("/api/projects/:projectId/tasks/:taskId/timer", authenticate, requireMember, requirePermission("editTasks"), requireTask, (req, res) => {
+  const date = String(req.body.date || "");
+  if (!isDateKey(date)) {
+    return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+  }
+  const stopped = stopTimer(req.user.id);
+  const started = {
+    id: uid("time"),
+    projectId: req.project.id,
+    taskId: req.task.id,
+    userId: req.user.id,
+    date, // the day it started where the user is
+    minutes: null,
+    note: "",
+    startedAt: nowISO(),
+    createdAt: nowISO(),
+  };
+  timeEntries.push(started);
+  db.save();
+  realtime.toProject(started.projectId, { type: "timeEntry", timeEntry: started });
+  res.status(201).json({ started, stopped });
+});
+
+// Responds with the stopped entry (`deletedAt` set if it was too short to log)
+app.post("/api/timer/stop", authenticate, (req, res) => {
+  const stopped = stopTimer(req.user.id);
+  if (!stopped) {
+    return res.status(404).json({ error: "No timer running" });
+  }
+  db.save();
+  res.json(stopped);
+});
+
+app.delete("/api/projects/:projectId/time/:entryId", authenticate, requireMember, requireActive, (req, res) => {
+  const entry = timeEntries.find((e) => e.id === req.params.entryId && e.projectId === req.project.id && !e.deletedAt);
+  if (!entry) {
+    return res.status(404).json({ error: "Time entry not found" });
+  }
+  if (entry.userId !== req.user.id) {
+    return res.status(403).json({ error: "You can only remove your own time" });
+  }
+  entry.deletedAt = nowISO();
+  db.save();
+  realtime.toProject(entry.projectId, { type: "timeEntry", timeEntry: entry });
+  res.json(entry);
+});
+
+// Attachments. Contents go to `files` under a random key; the records say which
+// task or message they belong to and are only served to project members.
+// Chat files are uploaded before their message is sent and linked by it.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send file names as UTF-8
+  defParamCharset: "utf8",
+  limits: { fileSize: config.UPLOAD_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, done) => {
+    const allowed = config.UPLOAD_TYPES.some((t) => (t.endsWith("*") ? file.mimetype.startsWith(t.slice(0, -1)) : file.mimetype === t));
+    done(allowed ? null : new Error("That file type isn't allowed"), allowed);
+  },
+});
+
+// Unlinked chat uploads are swept after this long
+const ORPHAN_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+function publicAttachment(attachment) {
+  const { key, ...rest } = attachment;
+  return rest;
+}
+
+// Removes matching attachments and their files; resolves to the removed
+// records, marked deleted so they can be broadcast
+function removeAttachments(predicate) {
+  const removed = attachments.filter(predicate);
+  removeWhere(attachments, predicate);
+  removed.forEach((a) => files.remove(a.key).catch((err) => console.error(`Failed to remove upload ${a.key}:`, err.message)));
+  return removed.map((a) => ({ ...publicAttachment(a), deletedAt: nowISO() }));
+}
+
+function sweepUploads() {
+  const cutoff = Date.now() - ORPHAN_UPLOAD_MS;
+  if (removeAttachments((a) => !a.taskId && !a.messageId && Date.parse(a.createdAt) < cutoff).length) db.save();
+}
+
+// Parses the multipart "file" field into req.file
+function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Files can be up to ${config.UPLOAD_MAX_MB} MB` });
+    }
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "File required" });
+    }
+    next();
+  });
+}
+
+async function storeUpload(req, res, links) {
+  let key;
+  try {
+    key = await files.save(req.file.buffer);
+  } catch (err) {
+    console.error("Failed to store upload:", err.message);
+    return res.status(500).json({ error: "Couldn't store the file" });
+  }
+  const attachment = {
+    id: uid("att"),
+    projectId: req.project.id,
+    taskId: null,
+    messageId: null,
+    ...links,
+    uploaderId: req.user.id,
+    name: req.file.originalname.slice(0, 200),
+    type: req.file.mimetype,
+    size: req.file.size,
+    key,
+    createdAt: nowISO(),
+  };
+  attachments.push(attachment);
+  if (attachment.taskId) {
+    logActivity(req.project, req.user.id, "task.attached", taskTarget(req.task), null, { name: attachment.name });
+  }
+  db.save();
+  realtime.toProject(req.project.id, { type: "attachment", attachment: publicAttachment(attachment) });
+  res.status(201).json(publicAttachment(attachment));
+}
+
+app.get("/api/projects/:projectId/attachments", authenticate, requireMember, (req, res) => {
+  res.json(attachments.filter((a) => a.projectId === req.project.id).map(publicAttachment));
+});
+
+app.post(
+  "/api/projects/:projectId/tasks/:taskId/attachments",
+  authenticate,
+  requireMember,
+  requirePermission("editTasks"),
+  requireTask,
+  receiveFile,
+  (req, res) => storeUpload(req, res, { taskId: req.task.id })
+);
+
+app.post("/api/projects/:projectId/attachments", authenticate, requireMember, requirePermission("postMessages"), receiveFile, (req, res) =>
+  storeUpload(req, res, {})
+);
+
+app.get("/api/projects/:projectId/attachments/:attachmentId/file", authenticate, requireMember, (req, res) => {
+  const attachment = attachments.find((a) => a.id === req.params.attachmentId && a.projectId === req.project.id);
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+  const stream = files.open(attachment.key);
+  stream.on("error", () => {
+    if (!res.headersSent) res.status(404).json({ error: "File is missing" });
+    else res.destroy();
+  });
+  stream.once("open", () => {
+    // Only images are shown inline; everything else downloads
+    const disposition = attachment.type.startsWith("image/") ? "inline" : "attachment";
+    res.set({
+      "Content-Type": attachment.type,
+      "Content-Length": attachment.size,
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=86400",
+    });
+  });
+  stream.pipe(res);
+});
+
+// Uploaders can remove their own files; those who can delete tasks can remove any
+app.delete("/api/projects/:projectId/attachments/:attachmentId", authenticate, requireMember, requireActive, (req, res) => {
+  const attachment = attachments.find((a) => a.id === req.params.attachmentId && a.projectId === req.project.id);
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+  if (attachment.uploaderId !== req.user.id && !(attachment.taskId && can(req.project, req.user.id, "deleteTask"))) {
+    return res.status(403).json({ error: "You can only remove your own files" });
+  }
+  const [removed] = removeAttachments((a) => a.id === attachment.id);
+  const task = attachment.taskId && tasks.find((t) => t.id === attachment.taskId);
+  if (task) {
+    logActivity(req.project, req.user.id, "task.detached", taskTarget(task), { name: attachment.name }, null);
+  }
+  db.save();
+  realtime.toProject(req.project.id, { type: "attachment", attachment: removed });
+  res.json(removed);
+});
+
+// Messages
+app.get("/api/projects/:projectId/messages", authenticate, requireMember, (req, res) => {
+  res.json(messages.filter((m) => m.projectId === req.project.id));
+});
+
+app.post("/api/projects/:projectId/messages", authenticate, requireMember, requirePermission("postMessages"), (req, res) => {
+  if (!isText(req.body.content, true)) {
+    return res.status(400).json({ error: "Message content must be text" });
+  }
+  const content = (req.body.content || "").trim();
+  const parentId = req.body.parentId || null;
+  const attachmentIds = Array.isArray(req.body.attachmentIds) ? req.body.attachmentIds : [];
+  // Files sent with a message are uploaded first (see the attachment routes)
+  // and must be the sender's own, not yet linked to anything
+  const linked = attachmentIds.map((aid) =>
+    attachments.find((a) => a.id === aid && a.projectId === req.project.id && a.uploaderId === req.user.id)
+  );
+  if (!content && linked.length === 0) {
+    return res.status(400).json({ error: "Message content required" });
+  }
+  if (parentId && !messages.some((m) => m.id === parentId && m.projectId === req.project.id)) {
+    return res.status(400).json({ error: "Parent message not found" });
+  }
+  const { id, existing } = claimId(messages, req.body.id, "msg");
+  if (existing) {
+    return existing.authorId === req.user.id ? res.json(existing) : res.status(409).json({ error: "Id already in use" });
+  }
+  if (linked.some((a) => !a || a.taskId || a.messageId)) {
+    return res.status(400).json({ error: "Attachment not found" });
+  }
+  const msg = {
+    id,
+    projectId: req.project.id,
+    authorId: req.user.id,
+    content,
+    parentId,
+    createdAt: nowISO(),
+  };
+  messages.push(msg);
+  linked.forEach((a) => {
+    a.messageId = msg.id;
+  });
+  logActivity(req.project, req.user.id, "message.posted", messageTarget(msg), null, { content });
+  notifyMentions(req.project, req.user, content);
+  db.save();
+  realtime.toProject(msg.projectId, { type: "message", message: msg });
+  linked.forEach((a) => realtime.toProject(msg.projectId, { type: "attachment", attachment: publicAttachment(a) }));
+  res.status(201).json(msg);
+});
+
+// Message middleware: run after requireMember; loads :messageId and only lets its author through
+function requireAuthor(req, res, next) {
+  const msg = messages.find((m) => m.id === req.params.messageId && m.projectId === req.project.id && !m.deletedAt);
+  if (!msg) {
+    return res.status(404).json({ error: "Message not found" });
+  }
+  if (msg.authorId !== req.user.id) {
+    return res.status(403).json({ error: "You can only change your own messages" });
+  }
+  req.message = msg;
+  next();
+}
+
+app.patch("/api/projects/:projectId/messages/:messageId", authenticate, requireMember, requirePermission("postMessages"), requireAuthor, (req, res) => {
+  const content = isText(req.body.content) ? req.body.content.trim() : "";
+  if (!content) {
+    return res.status(400).json({ error: "Message content required" });
+  }
+  const previous = req.message.content;
+  if (content !== previous) {
+    req.message.content = content;
+    req.message.editedAt = nowISO();
+    logActivity(req.project, req.user.id, "message.edited", messageTarget(req.message), { content: previous }, { content });
+    notifyMentions(req.project, req.user, content, previous);
+  }
+  db.save();
+  realtime.toProject(req.project.id, { type: "message", message: req.message });
+  res.json(req.message);
+});
+
+// Deleted messages keep their place (replies stay attached) but lose their content
+app.delete("/api/projects/:projectId/messages/:messageId", authenticate, requireMember, requirePermission("postMessages"), requireAuthor, (req, res) => {
+  logActivity(req.project, req.user.id, "message.deleted", messageTarget(req.message), { content: req.message.content });
+  req.message.content = "";
+  req.message.deletedAt = nowISO();
+  const removed = removeAttachments((a) => a.messageId === req.message.id);
+  db.save();
+  realtime.toProject(req.project.id, { type: "message", message: req.message });
+  removed.forEach((a) => realtime.toProject(req.project.id, { type: "attachment", attachment: a }));
+  res.json(req.message);
+});
+
+// Activity log, newest first. Optional filters: ?action= (an action such as
+// "task.updated", or a prefix such as "task"), ?actorId=, ?since= and ?until=
+// (ISO dates). ?format=csv downloads it as a spreadsheet for reviews.
+app.get("/api/projects/:projectId/activity", authenticate, requireMember, (req, res) => {
+  const { action, actorId, since, until, format } = req.query;
+  const entries = activity
+    .filter((a) => a.projectId === req.project.id)
+    .filter((a) => !action || a.action === action || a.action.startsWith(`${action}.`))
+    .filter((a) => !actorId || a.actorId === actorId)
+    .filter((a) => !since || a.at >= since)
+    .filter((a) => !until || a.at <= until)
+    .reverse();
+  if (format !== "csv") return res.json(entries);
+  const actorName = (id) => {
+    const user = users.find((u) => u.id === id);
+    return user ? publicUser(user).name : id;
+  };
+  const rows = entries.map((a) => [a.at, actorName(a.actorId), a.action, a.targetType, a.targetId, a.targetLabel, a.before, a.after]);
+  const filename = `${req.project.name.replace(/[^\w-]+/g, "-").toLowerCase()}-activity.csv`;
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(toCsv(["at", "actor", "action", "targetType", "targetId", "target", "before", "after"], rows));
+});
+
+// Search across every project the user belongs to: ?q= and optional ?limit=
+// (up to 50). Results carry highlight ranges ([start, end]) for their title
+// and snippet.
+const searchIndex = createSearchIndex({
+  revision: db.revision,
+  documents: () => [
+    ...projects.map((p) => ({ kind: "project", id: p.id, projectId: p.id, title: p.name, body: "", at: p.createdAt })),
+    ...tasks
+      .filter((t) => !t.deletedAt)
+      .map((t) => ({ kind: "task", id: t.id, projectId: t.projectId, title: t.title, body: t.description || "", at: t.createdAt })),
+    ...messages
+      .filter((m) => !m.deletedAt)
+      .map((m) => ({ kind: "message", id: m.id, projectId: m.projectId, title: "", body: plainText(m.content), at: m.createdAt })),
+  ],
+});
+
+app.get("/api/search", authenticate, (req, res) => {
+  const query = String(req.query.q || "").slice(0, 200);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+  const projectIds = projects.filter((p) => p.members.includes(req.user.id)).map((p) => p.id);
+  res.json(searchIndex.search(query, { projectIds, limit }));
+});
+
+// Notifications
+app.get("/api/notifications", authenticate, (req, res) => {
+  res.json(notifications.filter((n) => n.userId === req.user.id));
+});
+
+// Marks the given ids (or every notification when `ids` is omitted) as read
+app.post("/api/notifications/read", authenticate, (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: "ids must be a list" });
+  }
+  const mine = notifications.filter((n) => n.userId === req.user.id && (!ids || ids.includes(n.id)));
+  mine.forEach((n) => {
+    n.read = true;
+  });
+  db.save();
+  res.json(mine);
+});
+
+app.patch("/api/notifications/:id", authenticate, (req, res) => {
+  const notif = notifications.find((n) => n.id === req.params.id && n.userId === req.user.id);
+  if (!notif) {
+    return res.status(404).json({ error: "Notification not found" });
+  }
+  if (req.body.read !== undefined) notif.read = Boolean(req.body.read);
+  db.save();
+  res.json(notif);
+});
+
+app.delete("/api/notifications/:id", authenticate, (req, res) => {
+  const index = notifications.findIndex((n) => n.id === req.params.id && n.userId === req.user.id);
+  if (index === -1) {
+    return res.status(404).json({ error: "Notification not found" });
+  }
+  notifications.splice(index, 1);
+  db.save();
+  res.status(204).end();
+});
+
+// Errors that reach Express (malformed JSON bodies among them) answer in JSON
+// like everything else instead of with an HTML page
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body isn't valid JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body is too large" });
+  }
+  console.error(err);
+  res.status(500).json({ error: "Something went wrong" });
+});
+
+// Start server
+purgeTrash();
+setInterval(purgeTrash, 60 * 60 * 1000).unref();
+sweepUploads();
+setInterval(sweepUploads, 60 * 60 * 1000).unref();
+sendDueReminders();
+setInterval(sendDueReminders, config.REMINDER_INTERVAL_MINUTES * 60 * 1000).unref();
+
+const server = app.listen(PORT, () => {
+  console.log(`Server running at http://localhost:${PORT}`);
+});
+realtime.attach(server);
@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+// Transports deliver a message object ({ to, subject, text }). Swap in an SMTP
+// or API-backed transport here; "console" and "file" keep development offline.
+const transports = {
+  console() {
+    return async (message) => {
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    };
+  },
+  file({ dir }) {
+    fs.mkdirSync(dir, { recursive: true });
+    return async (message) => {
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    };
+  },
+};
+
+function createMailer({ transport = "console", from = "no-reply@synergysphere.local", ...options } = {}) {
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${transport}"`);
+  }
+  const deliver = factory(options);
+  return {
+    send(message) {
+      return deliver({ from, ...message });
+    },
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,99 @@
+const { WebSocketServer } = require("ws");
+
+// Live updates over WebSockets. A client connects to `path` and sends
+// { type: "auth", token } with its access token; from then on it receives the
+// events of every project its user belongs to, plus that user's notifications.
+//
+// Clients send "subscribe"/"unsubscribe" with a projectId while they have the
+// project open, which is what presence is based on, and "typing" to tell the
+// other members that they are writing in the project chat.
+//
+// `authenticate(token)` resolves to { user, session } or { error };
+// `isMember(userId, projectId)` decides who may see a project's events.
+function createRealtime({ authenticate, isMember, path = "/ws", authTimeoutMs = 10000 }) {
+  const clients = new Set();
+
+  function send(client, event) {
+    if (client.socket.readyState === client.socket.OPEN) client.socket.send(JSON.stringify(event));
+  }
+
+  function toProject(projectId, event, except = null) {
+    clients.forEach((c) => {
+      if (c !== except && c.userId && isMember(c.userId, projectId)) send(c, event);
+    });
+  }
+
+  function toUser(userId, event) {
+    clients.forEach((c) => {
+      if (c.userId === userId) send(c, event);
+    });
+  }
+
+  // Ids of the users who currently have the project open
+  function online(projectId) {
+    const userIds = [...clients].filter((c) => c.projects.has(projectId)).map((c) => c.userId);
+    return [...new Set(userIds)];
+  }
+
+  function broadcastPresence(projectId) {
+    toProject(projectId, { type: "presence", projectId, userIds: online(projectId) });
+  }
+
+  function handle(client, msg) {
+    if (!client.userId) {
+      if (msg.type !== "auth") return;
+      const { user, session } = authenticate(String(msg.token || ""));
+      if (!user) return client.socket.close(4001, "Unauthorized");
+      client.userId = user.id;
+      client.sessionId = session.id;
+      send(client, { type: "ready", userId: user.id });
+      return;
+    }
+    const { projectId } = msg;
+    if (!projectId || !isMember(client.userId, projectId)) return;
+    if (msg.type === "subscribe") {
+      client.projects.add(projectId);
+      broadcastPresence(projectId);
+    } else if (msg.type === "unsubscribe") {
+      client.projects.delete(projectId);
+      broadcastPresence(projectId);
+    } else if (msg.type === "typing") {
+      toProject(projectId, { type: "typing", projectId, userId: client.userId, typing: Boolean(msg.typing) }, client);
+    }
+  }
+
+  function attach(server) {
+    const wss = new WebSocketServer({ server, path });
+    wss.on("connection", (socket) => {
+      const client = { socket, userId: null, sessionId: null, projects: new Set() };
+      clients.add(client);
+      const timer = setTimeout(() => !client.userId && socket.close(4001, "Unauthorized"), authTimeoutMs);
+      socket.on("message", (raw) => {
+        let msg;
+        try {
+          msg = JSON.parse(raw);
+        } catch (err) {
+          return;
+        }
+        if (msg && typeof msg === "object") handle(client, msg);
+      });
+      socket.on("close", () => {
+        clearTimeout(timer);
+        clients.delete(client);
+        client.projects.forEach(broadcastPresence);
+      });
+    });
+    return wss;
+  }
+
+  // Drops the connections of revoked sessions
+  function disconnect(sessionIds) {
+    clients.forEach((c) => {
+      if (sessionIds.includes(c.sessionId)) c.socket.close(4001, "Session revoked");
+    });
+  }
+
+  return { attach, toProject, toUser, online, disconnect };
+}
+
+module.exports = { createRealtime };
@@ -0,0 +1,208 @@
+// Full-text search over projects, tasks and messages. `documents()` lists what
+// can be found as { kind, id, projectId, title, body, at }; the first search
+// after `revision()` changes (i.e. after a save) compares it with the index and
+// re-indexes only the documents that were added, changed or removed.
+//
+// Query words match indexed words exactly, by prefix or within a small edit
+// distance, so "mesage" still finds "message". Every query word has to match
+// somewhere in a document; title matches count double.
+const WORD = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 160;
+
+function normalize(word) {
+  return word.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+// Words of `text` with their positions, so matches can be highlighted
+function words(text) {
+  return [...text.matchAll(WORD)].map((m) => ({ word: normalize(m[0]), start: m.index, end: m.index + m[0].length }));
+}
+
+// Typos allowed in a query word of this length
+function tolerance(length) {
+  return length >= 8 ? 2 : length >= 4 ? 1 : 0;
+}
+
+// Edit distance counting swapped neighbours as one edit, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], before[j - 2] + 1);
+    }
+    if (Math.min(...row) > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well an indexed word matches a query word: 1 exact, 0.7 prefix, 0.4 with typos
+function matchScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.7;
+  const max = tolerance(term.length);
+  if (!max) return 0;
+  // The last query word may still be half typed, so compare prefixes too
+  return editDistance(term, word, max) <= max || editDistance(term, word.slice(0, term.length), max) <= max ? 0.4 : 0;
+}
+
+// The letter pairs of `word`, plus its first letter marked as such. One edit
+// changes at most three of them, which is how words too far from a query word
+// are ruled out before measuring the distance.
+function grams(word) {
+  const list = [`^${word[0]}`];
+  for (let i = 1; i < word.length; i++) list.push(word.slice(i - 1, i + 1));
+  return new Set(list);
+}
+
+function queryTerms(query) {
+  return [...new Set(words(query).map((w) => w.word))];
+}
+
+// Ranges of `text` ([start, end]) holding words that match any term
+function highlights(text, terms) {
+  return words(text)
+    .filter(({ word }) => terms.some((t) => matchScore(t, word) > 0))
+    .map(({ start, end }) => [start, end]);
+}
+
+// Score of a document for `terms`, or 0 unless every term matches
+function scoreDocument(doc, terms) {
+  let total = 0;
+  for (const term of terms) {
+    const best = (list, weight) => Math.max(0, ...list.map(({ word }) => matchScore(term, word) * weight));
+    const score = Math.max(best(doc.titleWords, 2), best(doc.bodyWords, 1));
+    if (!score) return 0;
+    total += score;
+  }
+  return total;
+}
+
+// The part of `body` around its first match, with highlight ranges relative to it
+function snippet(body, terms) {
+  const ranges = highlights(body, terms);
+  if (body.length <= SNIPPET_LENGTH) return { text: body, ranges };
+  let start = ranges.length ? Math.max(0, ranges[0][0] - 40) : 0;
+  if (start > 0) start = body.indexOf(" ", start) + 1 || start;
+  const end = start + SNIPPET_LENGTH;
+  const prefix = start > 0 ? "…" : "";
+  const text = `${prefix}${body.slice(start, end)}${end < body.length ? "…" : ""}`;
+  const shift = prefix.length - start;
+  return {
+    text,
+    ranges: ranges.filter(([s, e]) => s >= start && e <= end).map(([s, e]) => [s + shift, e + shift]),
+  };
+}
+
+function result(doc, terms, score) {
+  const body = snippet(doc.body, terms);
+  return {
+    kind: doc.kind,
+    id: doc.id,
+    projectId: doc.projectId,
+    title: doc.title,
+    titleHighlights: highlights(doc.title, terms),
+    snippet: body.text,
+    snippetHighlights: body.ranges,
+    score,
+  };
+}
+
+function createSearchIndex({ documents, revision }) {
+  let indexed = null; // the revision the index is up to date with
+  const docs = new Map(); // "kind:id" -> document with its words
+  const postings = new Map(); // word -> Set of document keys
+  const gramWords = new Map(); // letter pair -> Set of indexed words holding it
+
+  function post(key, doc) {
+    [...doc.titleWords, ...doc.bodyWords].forEach(({ word }) => {
+      if (!postings.has(word)) {
+        postings.set(word, new Set());
+        grams(word).forEach((g) => (gramWords.get(g) || gramWords.set(g, new Set()).get(g)).add(word));
+      }
+      postings.get(word).add(key);
+    });
+  }
+
+  function unpost(key, doc) {
+    [...doc.titleWords, ...doc.bodyWords].forEach(({ word }) => {
+      const keys = postings.get(word);
+      if (!keys || !keys.delete(key) || keys.size > 0) return;
+      postings.delete(word);
+      grams(word).forEach((g) => {
+        gramWords.get(g).delete(word);
+        if (gramWords.get(g).size === 0) gramWords.delete(g);
+      });
+    });
+  }
+
+  function refresh() {
+    if (indexed === revision()) return;
+    const seen = new Set();
+    for (const d of documents()) {
+      const key = `${d.kind}:${d.id}`;
+      const old = docs.get(key);
+      seen.add(key);
+      if (old && old.title === d.title && old.body === d.body) {
+        Object.assign(old, { projectId: d.projectId, at: d.at });
+        continue;
+      }
+      if (old) unpost(key, old);
+      const doc = { ...d, titleWords: words(d.title), bodyWords: words(d.body) };
+      docs.set(key, doc);
+      post(key, doc);
+    }
+    docs.forEach((doc, key) => {
+      if (seen.has(key)) return;
+      unpost(key, doc);
+      docs.delete(key);
+    });
+    indexed = revision();
+  }
+
+  // Indexed words that could match `term`: those sharing enough of its letter
+  // pairs to be within its typo tolerance (or all of them for short words)
+  function wordsNear(term) {
+    const termGrams = grams(term);
+    const needed = termGrams.size - 3 * tolerance(term.length);
+    if (needed <= 0) return postings.keys();
+    const shared = new Map();
+    termGrams.forEach((g) => (gramWords.get(g) || []).forEach((word) => shared.set(word, (shared.get(word) || 0) + 1)));
+    return [...shared].filter(([, n]) => n >= needed).map(([word]) => word);
+  }
+
+  // Documents in `projectIds` matching `query`, best first
+  function search(query, { projectIds, limit = 20 }) {
+    const terms = queryTerms(query);
+    if (terms.length === 0) return [];
+    refresh();
+    const allowed = new Set(projectIds);
+    // Candidates hold a word matching each term; scoring then ranks them
+    let candidates = null;
+    for (const term of terms) {
+      const found = new Set();
+      for (const word of wordsNear(term)) {
+        if (matchScore(term, word) > 0) postings.get(word).forEach((key) => (!candidates || candidates.has(key)) && found.add(key));
+      }
+      candidates = found;
+      if (candidates.size === 0) return [];
+    }
+    return [...candidates]
+      .map((key) => docs.get(key))
+      .filter((doc) => allowed.has(doc.projectId))
+      .map((doc) => ({ doc, score: scoreDocument(doc, terms) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || (b.doc.at || "").localeCompare(a.doc.at || ""))
+      .slice(0, limit)
+      .map(({ doc, score }) => result(doc, terms, score));
+  }
+
+  return { search };
+}
+
+module.exports = { createSearchIndex };
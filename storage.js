@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Drivers keep file contents under an opaque key. Swap in an object-store
+// driver here; "disk" writes one file per key under `dir`.
+const drivers = {
+  disk({ dir }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileOf = (key) => path.join(dir, key);
+    return {
+      put: (key, buffer) => fs.promises.writeFile(fileOf(key), buffer),
+      open: (key) => fs.createReadStream(fileOf(key)),
+      remove: (key) => fs.promises.rm(fileOf(key), { force: true }),
+    };
+  },
+};
+
+function createStorage({ driver = "disk", ...options } = {}) {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  const store = factory(options);
+  return {
+    // Stores `buffer` under a new key and resolves to that key
+    async save(buffer) {
+      const key = crypto.randomBytes(16).toString("hex");
+      await store.put(key, buffer);
+      return key;
+    },
+    // Readable stream of the contents; it emits "error" if the key is gone
+    open(key) {
+      return store.open(key);
+    },
+    remove(key) {
+      return store.remove(key);
+    },
+  };
+}
+
+module.exports = { createStorage };
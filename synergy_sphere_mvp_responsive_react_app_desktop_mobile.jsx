@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Card,
@@ -36,43 +36,144 @@ import {
   DropdownMenuLabel,
 } from "@/components/ui/dropdown-menu";
 import { Avatar, AvatarFallback } from "@/components/ui/avatar";
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from "recharts";
 import {
+  Area,
+  AreaChart,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Line,
+  LineChart,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import {
+  DndContext,
+  KeyboardSensor,
+  PointerSensor,
+  TouchSensor,
+  closestCorners,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from "@dnd-kit/core";
+import {
+  SortableContext,
+  arrayMove,
+  sortableKeyboardCoordinates,
+  useSortable,
+  verticalListSortingStrategy,
+} from "@dnd-kit/sortable";
+import { CSS } from "@dnd-kit/utilities";
+import {
+  Activity,
+  AlertTriangle,
+  Archive,
+  ArchiveRestore,
+  ArrowDown,
+  ArrowUp,
+  BarChart3,
   Bell,
+  Briefcase,
+  CalendarDays,
+  Check,
   CheckCircle2,
   ChevronLeft,
   ChevronRight,
   CircleUser,
   Clock,
+  Cloud,
+  CloudOff,
+  Code2,
+  Download,
+  FileText,
+  FlaskConical,
+  Folder,
+  GripVertical,
+  Heart,
+  History,
   LogOut,
+  Megaphone,
   MessageSquarePlus,
   MoreVertical,
+  Palette,
+  Paperclip,
+  Play,
   Plus,
+  RefreshCw,
+  Repeat,
+  Rocket,
+  Search,
   Send,
   Settings,
+  SlidersHorizontal,
+  Square,
+  Timer,
   Trash2,
+  Undo2,
+  Upload,
   Users,
+  X,
 } from "lucide-react";
 
 /*****
  * SynergySphere – LocalStorage MVP (Desktop + Mobile)
  * ---------------------------------------------------
  * This single-file React app implements a functional MVP:
- * - Register/Login (email + password)
- * - Project CRUD (create, list)
- * - Members: add by email/name; attach existing users if present
- * - Tasks: create, assign, due date, status (To-Do/In Progress/Done)
- * - Project chat with threaded replies
+ * - Register/Login (email + password), password reset via emailed link
+ * - Projects: description, dates, color/icon and tags; archive (read-only) and
+ *   unarchive, delete with everything in them, leave, transfer ownership
+ * - Members: invite by email; invitees accept/decline (or join on signup)
+ * - Project roles (owner/admin/member/viewer) gating what each member can change
+ * - Tasks: create, assign, start/due dates, status (To-Do/In Progress/Done)
+ * - Time tracking: start/stop timer and manual entries per task against an
+ *   estimate, and a weekly timesheet by project and member with CSV export
+ * - Recurring tasks (daily, weekly on chosen days, monthly, every N): completing
+ *   one schedules the next; edits apply to one occurrence or the whole series
+ * - Board, calendar (month/week) and timeline views; drag to reschedule, plus a
+ *   cross-project "My calendar"
+ * - Task detail view: edit fields, comments, change history, trash with restore
+ * - Project activity feed (who did what, filterable, CSV export)
+ * - Export of the workspace or a project as versioned JSON and of tasks as
+ *   CSV; import from those, Trello boards or CSV (e.g. Jira) with a preview
+ * - Project analytics: burndown, cumulative flow, cycle time/throughput and
+ *   workload per member, scoped to a date range
+ * - Kanban: drag & drop (mouse, touch, keyboard), custom columns, WIP limits
+ * - Search (Ctrl/Cmd+K) across projects, tasks and chat with typo tolerance,
+ *   plus quick actions such as "New task in..." and "Go to profile"
+ * - Project chat with threaded replies, @mentions, #task links, light
+ *   markdown, and editing/deleting your own messages
+ * - File attachments on tasks and chat messages, with image previews (http
+ *   mode stores them on the server; local mode keeps small files in storage)
+ * - Live updates (http mode): chat, tasks and notifications pushed over a
+ *   WebSocket, plus who is online and who is typing in each project
+ * - Offline use (http mode): task, comment and chat changes queue while the
+ *   server is unreachable and replay later with a field-level merge; the
+ *   header shows the sync state and what was merged or rejected
  * - Progress visualization (status breakdown)
- * - Basic notifications (task assignment, due soon, status changes)
- * - Profile & settings (name/email, notification toggle)
+ * - Notification center (assignments, status changes, comments, invites,
+ *   due-soon/overdue reminders) with per-user preferences by event type
+ * - Profile & settings (name/email, notification preferences)
  * - Fully responsive UI (Tailwind + shadcn/ui + Recharts)
  *
- * Storage: LocalStorage (STORAGE_KEY). Replace with an API later without touching UI much.
+ * Storage: pluggable data adapters (see DATA_MODE). "local" keeps everything in
+ * LocalStorage (STORAGE_KEY), versioned and upgraded on load (see MIGRATIONS),
+ * and merges what other open tabs save record by record (see mergeData);
+ * "http" talks to the Express backend at API_BASE.
  *****/
 
 // ------------------ Utilities & Storage ------------------
 const STORAGE_KEY = "synergySphere.v1";
+const DATA_MODE = "local"; // "local" | "http"
+const API_BASE = "http://localhost:5000/api";
+const LIVE_URL = "ws://localhost:5000/ws";
 
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 10)}_${Date.now()}`;
@@ -82,742 +183,6646 @@ function nowISO() {
   return new Date().toISOString();
 }
 
+// Builds a CSV document (RFC 4180 quoting); objects are written as JSON
+function toCsv(header, rows) {
+  const cell = (value) => {
+    const text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Reads a CSV document into rows of strings (quoted fields may span lines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// File name part for a project: "Q3 Launch!" -> "q3-launch-"
+function fileSlug(name) {
+  return name.replace(/[^\w-]+/g, "-").toLowerCase();
+}
+
+function downloadFile(filename, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Replaces the record with the same id, or appends it
+function upsertById(list, item) {
+  return list.some((x) => x.id === item.id) ? list.map((x) => (x.id === item.id ? item : x)) : [...list, item];
+}
+
 const DEFAULT_DATA = {
   users: [],
   currentUserId: null,
   projects: [],
-  tasks: [],
+  tasks: [], // deleted tasks stay here with `deletedAt` until purged from the trash
+  comments: [], // task comments
+  taskHistory: [], // per-field task changes
+  activity: [], // append-only project activity log
+  timeEntries: [], // logged time and running timers
+  attachments: [], // files on tasks and chat messages; local mode keeps the contents as data URLs
   messages: [], // project messages (threads)
   notifications: [],
-  settings: { notificationsEnabled: true },
+  invites: [], // pending/answered project invitations
+  passwordResets: [], // local mode only; the server keeps its own
+  settings: {}, // device-local UI settings
 };
 
-function loadData() {
+// Stored data carries a `schemaVersion`. MIGRATIONS[n] upgrades version n to
+// n + 1; data saved before versioning counts as version 0. Migrations run
+// before validation, so they must pass over records they don't understand.
+const MIGRATIONS = [
+  // 1: roles, start dates and reply threads are spelled out on every record
+  (data) => ({
+    ...data,
+    projects: mapRecords(data.projects, (p) =>
+      p.roles || !Array.isArray(p.members) ? p : { ...p, roles: Object.fromEntries(p.members.map((id, i) => [id, i === 0 ? "owner" : "member"])) }
+    ),
+    tasks: mapRecords(data.tasks, (t) => ({ description: "", assigneeId: null, startDate: "", dueDate: "", ...t })),
+    messages: mapRecords(data.messages, (m) => ({ parentId: null, ...m })),
+  }),
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+const QUARANTINE_KEY = `${STORAGE_KEY}.quarantine`;
+
+function mapRecords(list, fn) {
+  return Array.isArray(list) ? list.map((r) => (r && typeof r === "object" ? fn(r) : r)) : list;
+}
+
+// What each stored record needs for the UI to work with it. Records that fall
+// short are set aside (see quarantine()) instead of breaking the app.
+const RECORD_FIELDS = {
+  users: { id: "string", email: "string" },
+  projects: { id: "string", name: "string", members: "array" },
+  tasks: { id: "string", projectId: "string", title: "string", status: "string" },
+  comments: { id: "string", taskId: "string", projectId: "string", content: "string" },
+  taskHistory: { id: "string", taskId: "string", projectId: "string", field: "string", at: "string" },
+  activity: { id: "string", projectId: "string", action: "string", at: "string" },
+  messages: { id: "string", projectId: "string", content: "string" },
+  notifications: { id: "string", userId: "string", text: "string" },
+  invites: { id: "string", projectId: "string", email: "string", status: "string" },
+  timeEntries: { id: "string", projectId: "string", taskId: "string", userId: "string", date: "string" },
+  attachments: { id: "string", projectId: "string", name: "string", type: "string" },
+  passwordResets: { token: "string", userId: "string" },
+};
+
+function recordProblem(record, fields) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) return "not an object";
+  const bad = Object.entries(fields)
+    .filter(([key, type]) => (type === "array" ? !Array.isArray(record[key]) : typeof record[key] !== type))
+    .map(([key]) => key);
+  return bad.length ? `missing or invalid ${bad.join(", ")}` : null;
+}
+
+// Splits stored data into the usable part and a list of { collection, record, reason }
+function validateData(stored) {
+  const data = { ...DEFAULT_DATA, ...stored };
+  const issues = [];
+  Object.entries(RECORD_FIELDS).forEach(([collection, fields]) => {
+    if (!Array.isArray(data[collection])) {
+      issues.push({ collection, record: data[collection], reason: "not a list" });
+      data[collection] = [];
+      return;
+    }
+    data[collection] = data[collection].filter((record) => {
+      const reason = recordProblem(record, fields);
+      if (reason) issues.push({ collection, record, reason });
+      return !reason;
+    });
+  });
+  if (!data.settings || typeof data.settings !== "object") data.settings = {};
+  if (!data.users.some((u) => u.id === data.currentUserId)) data.currentUserId = null;
+  return { data, issues };
+}
+
+function readQuarantine() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return DEFAULT_DATA;
-    return { ...DEFAULT_DATA, ...JSON.parse(raw) };
+    return JSON.parse(localStorage.getItem(QUARANTINE_KEY) || "[]");
   } catch (e) {
-    console.warn("Failed to load storage", e);
-    return DEFAULT_DATA;
+    return [];
   }
 }
 
-function saveData(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+// Keeps rejected records under QUARANTINE_KEY, where they survive later saves.
+// Every load finds them again until the data is saved, so each is kept once.
+function quarantine(issues, data = DEFAULT_DATA) {
+  const key = (i) => `${i.collection}:${i.record && i.record.id ? i.record.id : JSON.stringify(i.record)}`;
+  const kept = readQuarantine();
+  const known = new Set(kept.map(key));
+  const fresh = issues.filter((i) => !known.has(key(i)));
+  if (fresh.length) {
+    const at = nowISO();
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify([...kept, ...fresh.map((i) => ({ ...i, at }))]));
+    console.warn(`Set aside ${fresh.length} unreadable stored record(s)`, fresh);
+  }
+  return { data, issues };
 }
 
-function useLocalStore() {
-  const [store, setStore] = useState(loadData);
-  useEffect(() => saveData(store), [store]);
-  return [store, setStore];
+// Reads, upgrades and validates the stored data into { data, issues }. The data
+// as it was before migrating is backed up under `${STORAGE_KEY}.backup.v<n>`.
+function loadData() {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return { data: DEFAULT_DATA, issues: [] };
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (e) {
+    stored = null;
+  }
+  if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+    return quarantine([{ collection: null, record: raw, reason: "saved data isn't valid JSON" }]);
+  }
+  const version = Number.isInteger(stored.schemaVersion) ? stored.schemaVersion : 0;
+  if (version < SCHEMA_VERSION) {
+    localStorage.setItem(`${STORAGE_KEY}.backup.v${version}`, raw);
+    try {
+      stored = { ...MIGRATIONS.slice(version).reduce((d, migrate) => migrate(d), stored), schemaVersion: SCHEMA_VERSION };
+    } catch (e) {
+      return quarantine([{ collection: null, record: raw, reason: `upgrading from version ${version} failed: ${e.message}` }]);
+    }
+  }
+  const { data, issues } = validateData(stored);
+  return quarantine(issues, data);
 }
 
-// ------------------ Models & Helpers ------------------
-const STATUS = {
-  todo: { label: "To-Do" },
-  inprogress: { label: "In Progress" },
-  done: { label: "Done" },
-};
-
-function initials(name = "?") {
-  return name
-    .split(" ")
-    .map((s) => s[0])
-    .filter(Boolean)
-    .slice(0, 2)
-    .join("")
-    .toUpperCase();
+function saveData(data) {
+  // Never stamp data from a newer version with our older one
+  const schemaVersion = Math.max(data.schemaVersion || 0, SCHEMA_VERSION);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...data, schemaVersion }));
+  } catch (e) {
+    if (e.name !== "QuotaExceededError") throw e;
+    throw new Error("Browser storage is full, so your last change wasn't saved. Remove some attachments and try again.");
+  }
 }
 
-function dateFriendly(iso) {
-  if (!iso) return "—";
-  const d = new Date(iso);
-  return d.toLocaleDateString();
+// Three-way merge of two copies of the stored data that both started out as
+// `base`, e.g. what two tabs made of it. Records are matched by id: one changed
+// (or removed) on one side only takes that side's version, and one changed on
+// both sides takes ours. Everything else merges the same way as a whole value.
+const RECORD_KEYS = { passwordResets: "token" };
+
+function mergeData(base, ours, theirs) {
+  const merged = { ...theirs };
+  Object.keys({ ...theirs, ...ours }).forEach((key) => {
+    if (key in RECORD_FIELDS) {
+      merged[key] = mergeRecords(base[key] || [], ours[key] || [], theirs[key] || [], RECORD_KEYS[key] || "id");
+    } else if (JSON.stringify(ours[key]) !== JSON.stringify(base[key])) {
+      merged[key] = ours[key];
+    }
+  });
+  return merged;
 }
 
-function dueSoon(iso) {
-  if (!iso) return false;
-  const d = new Date(iso).getTime();
-  const diff = d - Date.now();
-  return diff > 0 && diff < 1000 * 60 * 60 * 24 * 2; // within 48h
+function mergeRecords(base, ours, theirs, idKey) {
+  const byId = (list) => new Map(list.map((r) => [r[idKey], r]));
+  const [before, mine, other] = [byId(base), byId(ours), byId(theirs)];
+  const pick = (id) => (JSON.stringify(mine.get(id)) !== JSON.stringify(before.get(id)) ? mine.get(id) : other.get(id));
+  // Their order, with records only we have placed before the record that follows them on our side
+  const merged = theirs.map((r) => pick(r[idKey])).filter(Boolean);
+  ours.forEach((r, i) => {
+    if (other.has(r[idKey]) || pick(r[idKey]) !== r) return;
+    const later = new Set(ours.slice(i + 1).map((n) => n[idKey]));
+    const at = merged.findIndex((m) => later.has(m[idKey]));
+    merged.splice(at === -1 ? merged.length : at, 0, r);
+  });
+  return merged;
 }
 
-// ------------------ Root App ------------------
-export default function App() {
-  const [store, setStore] = useLocalStore();
-  const currentUser = store.users.find((u) => u.id === store.currentUserId) || null;
-  const [route, setRoute] = useState(
-    currentUser ? { name: "dashboard" } : { name: "auth", mode: "login" }
-  );
+// ------------------ Data Adapters ------------------
+// Every adapter method receives the current store snapshot and resolves to an
+// updater `(s) => nextStore`, so the UI applies results the same way whether
+// they were computed locally or returned by the server.
+const ADAPTER_ACTIONS = [
+  "login",
+  "signup",
+  "signOut",
+  "signOutEverywhere",
+  "requestPasswordReset",
+  "resetPassword",
+  "updateProfile",
+  "markNotificationsRead",
+  "createProject",
+  "importProject",
+  "inviteMember",
+  "revokeInvite",
+  "acceptInvite",
+  "declineInvite",
+  "setMemberRole",
+  "removeMember",
+  "updateProject",
+  "deleteProject",
+  "leaveProject",
+  "transferOwnership",
+  "createTask",
+  "updateTask",
+  "removeTask",
+  "restoreTask",
+  "loadTaskActivity",
+  "loadActivity",
+  "loadProjectHistory",
+  "loadProjectRecords",
+  "addComment",
+  "postMessage",
+  "editMessage",
+  "deleteMessage",
+  "addTimeEntry",
+  "startTimer",
+  "stopTimer",
+  "removeTimeEntry",
+  "uploadAttachment",
+  "removeAttachment",
+];
 
-  // session guard
-  useEffect(() => {
-    if (!currentUser) setRoute({ name: "auth", mode: "login" });
-  }, [store.currentUserId]);
+// Other tabs share the stored data. Each tab remembers what it last read or
+// wrote (`synced`) and merges anything another tab saved since then into its
+// own copy (see mergeData), so neither tab's changes are lost; that includes
+// signing in and out, which is shared too.
+function createLocalAdapter() {
+  let issues = [];
+  let synced = null;
+  let syncedRaw = null;
 
-  function signOut() {
-    setStore((s) => ({ ...s, currentUserId: null }));
-    setRoute({ name: "auth", mode: "login" });
+  function remember(data) {
+    synced = data;
+    syncedRaw = localStorage.getItem(STORAGE_KEY);
   }
 
-  return (
-    <div className="min-h-screen bg-slate-50 text-slate-900">
-      <Header
-        currentUser={currentUser}
-        onProfile={() => setRoute({ name: "profile" })}
-        onDashboard={() => setRoute({ name: "dashboard" })}
-        onSignOut={signOut}
-        store={store}
-      />
+  return {
+    mode: "local",
+    async load() {
+      const loaded = loadData();
+      issues = loaded.issues;
+      remember(loaded.data);
+      return purgeTrash(loaded.data);
+    },
+    // Records the last load() had to set aside
+    storageIssues() {
+      return issues;
+    },
+    // Returns what was saved: `data`, with whatever other tabs saved since we
+    // last heard from them merged in
+    persist(data) {
+      const changed = synced && localStorage.getItem(STORAGE_KEY) !== syncedRaw;
+      const next = changed ? mergeData(synced, data, loadData().data) : data;
+      saveData(next);
+      remember(next);
+      return next;
+    },
+    // Calls `apply` with an updater whenever another tab saves; returns an unsubscribe function
+    watchTabs(apply) {
+      const onStorage = (e) => {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if ((e.key !== STORAGE_KEY && e.key !== null) || raw === syncedRaw) return;
+        const base = synced;
+        const theirs = loadData().data;
+        remember(theirs);
+        apply((st) => (base ? mergeData(base, st, theirs) : theirs));
+      };
+      window.addEventListener("storage", onStorage);
+      return () => window.removeEventListener("storage", onStorage);
+    },
+    async login(s, { email, password }) {
+      const u = s.users.find((x) => x.email === email.trim().toLowerCase());
+      if (!u || u.password !== password) throw new Error("Invalid credentials");
+      return (st) => ({ ...st, currentUserId: u.id });
+    },
+    async signup(s, { name, email, password }) {
+      const emailLower = email.trim().toLowerCase();
+      if (!isEmail(emailLower)) throw new Error("Enter a valid email address");
+      if (s.users.some((x) => x.email === emailLower)) throw new Error("Email already registered");
+      const id = uid("user");
+      const user = { id, email: emailLower, name: name.trim() || email, password };
+      // Registering with an invited address joins those projects straight away
+      return (st) =>
+        st.invites
+          .filter((i) => i.status === "pending" && i.email === emailLower)
+          .reduce((next, i) => joinFromInvite(next, i, user), { ...st, users: [...st.users, user], currentUserId: id });
+    },
+    async signOut() {
+      return (st) => ({ ...st, currentUserId: null });
+    },
+    async signOutEverywhere(s) {
+      return this.signOut(s);
+    },
+    async requestPasswordReset(s, email) {
+      const u = s.users.find((x) => x.email === email.trim().toLowerCase());
+      if (!u) return (st) => st;
+      const reset = { token: uid("reset"), userId: u.id, expiresAt: Date.now() + 1000 * 60 * 30, used: false };
+      // No mail server in local mode: the console stands in as the transport.
+      console.info(`[mail] Password reset for ${u.email}: ${window.location.origin}${routeToUrl({ name: "reset", token: reset.token })}`);
+      return (st) => ({ ...st, passwordResets: [...st.passwordResets, reset] });
+    },
+    async resetPassword(s, { token, password }) {
+      const reset = s.passwordResets.find((r) => r.token === token.trim());
+      if (!reset || reset.used || reset.expiresAt < Date.now()) throw new Error("Reset link is invalid or has expired");
+      return (st) => ({
+        ...st,
+        users: st.users.map((u) => (u.id === reset.userId ? { ...u, password } : u)),
+        passwordResets: st.passwordResets.map((r) => (r.userId === reset.userId ? { ...r, used: true } : r)),
+      });
+    },
+    async updateProfile(s, { name, notificationPrefs }) {
+      return (st) => ({
+        ...st,
+        users: st.users.map((u) =>
+          u.id === s.currentUserId ? { ...u, name, notificationPrefs: { ...u.notificationPrefs, ...notificationPrefs } } : u
+        ),
+      });
+    },
+    async markNotificationsRead(s, ids) {
+      const mine = (n) => n.userId === s.currentUserId && (!ids || ids.includes(n.id));
+      return (st) => ({ ...st, notifications: st.notifications.map((n) => (mine(n) ? { ...n, read: true } : n)) });
+    },
+    async checkReminders() {
+      return dueReminders;
+    },
+    async createProject(s, { name, ...details }) {
+      if (!name.trim()) throw new Error("Project name required");
+      const project = {
+        id: uid("proj"),
+        name: name.trim(),
+        ...checkProjectDetails(details),
+        members: [s.currentUserId],
+        roles: { [s.currentUserId]: "owner" },
+        createdAt: nowISO(),
+      };
+      const target = { type: "project", id: project.id, label: project.name };
+      return (st) => logActivity({ ...st, projects: [project, ...st.projects] }, project.id, s.currentUserId, "project.created", target);
+    },
+    // `payload` comes from importPayload(); everyone but us is invited and gets
+    // their tasks when they accept
+    async importProject(s, { name, columns, tasks, invites = [] }) {
+      if (!name.trim()) throw new Error("Project name required");
+      const me = s.users.find((u) => u.id === s.currentUserId);
+      const project = {
+        id: uid("proj"),
+        name: name.trim(),
+        members: [me.id],
+        roles: { [me.id]: "owner" },
+        createdAt: nowISO(),
+        ...(columns ? { columns: checkColumns(columns) } : {}),
+      };
+      const ids = projectColumns(project).map((c) => c.id);
+      const handover = Object.fromEntries(invites.map((email) => [email, []]));
+      const created = tasks.map((row, i) => {
+        if (!row.title.trim()) throw new Error(`Task ${i + 1}: title required`);
+        checkDates(row.startDate, row.dueDate);
+        const task = {
+          id: uid("task"),
+          projectId: project.id,
+          title: row.title.trim(),
+          description: row.description.trim(),
+          assigneeId: row.assigneeEmail === me.email ? me.id : null,
+          startDate: row.startDate,
+          dueDate: row.dueDate,
+          status: ids.includes(row.status) ? row.status : ids[0],
+          order: i, // keeps the order of the file
+          createdAt: nowISO(),
+        };
+        if (row.assigneeEmail && row.assigneeEmail !== me.email) handover[row.assigneeEmail] = [...(handover[row.assigneeEmail] || []), task.id];
+        return task;
+      });
+      const target = { type: "project", id: project.id, label: project.name };
+      return (st) =>
+        Object.entries(handover)
+          .filter(([email]) => email !== me.email && isEmail(email))
+          .reduce(
+            (next, [email, taskIds]) => addInvite(next, project, me.id, email, "member", taskIds),
+            logActivity(
+              {
+                ...st,
+                projects: [project, ...st.projects],
+                tasks: [...created, ...st.tasks],
+                taskHistory: [...st.taskHistory, ...created.map((t) => historyEntry(t, me.id, "created"))],
+              },
+              project.id,
+              me.id,
+              "project.imported",
+              target,
+              null,
+              { tasks: created.length }
+            )
+          );
+    },
+    async inviteMember(s, project, email, role = "member") {
+      assertCan(project, s.currentUserId, "manageMembers");
+      if (!canManageRole(project, s.currentUserId, role)) throw new Error("You can't grant that role");
+      const emailLower = email.trim().toLowerCase();
+      if (!isEmail(emailLower)) throw new Error("Enter a valid email address");
+      const user = s.users.find((u) => u.email === emailLower);
+      if (user && project.members.includes(user.id)) throw new Error("Already a member of this project");
+      const existing = s.invites.find((i) => i.projectId === project.id && i.email === emailLower && i.status === "pending");
+      if (existing) {
+        return (st) => ({ ...st, invites: st.invites.map((i) => (i.id === existing.id ? { ...i, role } : i)) });
+      }
+      return (st) => addInvite(st, project, s.currentUserId, emailLower, role);
+    },
+    async revokeInvite(s, invite) {
+      assertCan(projectOf(s, invite.projectId), s.currentUserId, "manageMembers");
+      const target = { type: "invite", id: invite.id, label: invite.email };
+      return (st) => logActivity(answerInvite(st, invite.id, "revoked"), invite.projectId, s.currentUserId, "invite.revoked", target);
+    },
+    async acceptInvite(s, invite) {
+      const user = s.users.find((u) => u.id === s.currentUserId);
+      if (!user || invite.email !== user.email || invite.status !== "pending") throw new Error("Invite not found");
+      return (st) => joinFromInvite(st, invite, user);
+    },
+    async declineInvite(s, invite) {
+      const user = s.users.find((u) => u.id === s.currentUserId);
+      if (!user || invite.email !== user.email || invite.status !== "pending") throw new Error("Invite not found");
+      return (st) => answerInvite(st, invite.id, "declined");
+    },
+    async setMemberRole(s, project, userId, role) {
+      checkRoleChange(project, s.currentUserId, userId, role);
+      const current = roleOf(project, userId);
+      const target = userTarget(s.users.find((u) => u.id === userId));
+      return (st) => {
+        const next = {
+          ...st,
+          projects: st.projects.map((p) => (p.id === project.id ? { ...p, roles: { ...p.roles, [userId]: role } } : p)),
+        };
+        if (role === current) return next;
+        return logActivity(next, project.id, s.currentUserId, "member.role", target, { role: current }, { role });
+      };
+    },
+    async removeMember(s, project, userId) {
+      checkRoleChange(project, s.currentUserId, userId, null);
+      const target = userTarget(s.users.find((u) => u.id === userId));
+      const removed = { role: roleOf(project, userId) };
+      return (st) =>
+        logActivity(
+          { ...st, projects: st.projects.map((p) => (p.id === project.id ? withoutMember(p, userId) : p)) },
+          project.id,
+          s.currentUserId,
+          "member.removed",
+          target,
+          removed
+        );
+    },
+    // `patch` may also carry the project details and `archived`
+    async updateProject(s, project, { archived, ...patch }) {
+      assertCan(project, s.currentUserId, "editProject");
+      const next = { ...patch, ...checkProjectDetails(patch, project) };
+      if (next.name !== undefined && !next.name.trim()) throw new Error("Project name required");
+      if (next.name !== undefined) next.name = next.name.trim();
+      if (next.columns !== undefined) {
+        // Changing columns moves tasks, which archived projects keep as they are
+        assertActive(project);
+        next.columns = checkColumns(next.columns);
+      }
+      if (archived !== undefined) next.archivedAt = archived ? project.archivedAt || nowISO() : null;
+      const ids = (next.columns || projectColumns(project)).map((c) => c.id);
+      const changes = diffFields(project, { ...project, ...next }, ["name", "columns", ...PROJECT_DETAILS]);
+      const toggled = archived !== undefined && Boolean(archived) !== Boolean(project.archivedAt);
+      const target = { type: "project", id: project.id, label: next.name || project.name };
+      return (st) => {
+        // Tasks in removed columns fall back to the first column
+        const moved = st.tasks.filter((t) => t.projectId === project.id && !ids.includes(t.status));
+        let updated = {
+          ...st,
+          projects: st.projects.map((p) => (p.id === project.id ? { ...p, ...next } : p)),
+          tasks: st.tasks.map((t) => (moved.includes(t) ? { ...t, status: ids[0] } : t)),
+          taskHistory: [...st.taskHistory, ...moved.map((t) => historyEntry(t, s.currentUserId, "status", t.status, ids[0]))],
+        };
+        updated = moved.reduce(
+          (acc, t) => logActivity(acc, project.id, s.currentUserId, "task.updated", taskTarget(t), { status: t.status }, { status: ids[0] }),
+          updated
+        );
+        if (changes) updated = logActivity(updated, project.id, s.currentUserId, "project.updated", target, changes.before, changes.after);
+        if (toggled) updated = logActivity(updated, project.id, s.currentUserId, archived ? "project.archived" : "project.unarchived", target);
+        return updated;
+      };
+    },
+    async deleteProject(s, project) {
+      assertCan(project, s.currentUserId, "deleteProject");
+      return (st) => removeProject(st, project.id);
+    },
+    async leaveProject(s, project) {
+      checkLeave(project, s.currentUserId);
+      const me = userTarget(s.users.find((u) => u.id === s.currentUserId));
+      const left = { role: roleOf(project, s.currentUserId) };
+      return (st) =>
+        logActivity(
+          { ...st, projects: st.projects.map((p) => (p.id === project.id ? withoutMember(p, s.currentUserId) : p)) },
+          project.id,
+          s.currentUserId,
+          "member.left",
+          me,
+          left
+        );
+    },
+    async transferOwnership(s, project, userId) {
+      checkTransfer(project, s.currentUserId, userId);
+      const target = userTarget(s.users.find((u) => u.id === userId));
+      const roles = { ...project.roles, [userId]: "owner", [s.currentUserId]: "admin" };
+      return (st) =>
+        logActivity(
+          { ...st, projects: st.projects.map((p) => (p.id === project.id ? { ...p, roles } : p)) },
+          project.id,
+          s.currentUserId,
+          "project.transferred",
+          target
+        );
+    },
+    async createTask(s, project, { recurrence, ...fields }) {
+      assertCan(project, s.currentUserId, "editTasks");
+      checkDates(fields.startDate, fields.dueDate);
+      const rule = checkRecurrence(recurrence, fields.dueDate);
+      const status = projectColumns(project)[0].id;
+      const task = { id: uid("task"), projectId: project.id, ...fields, status, createdAt: nowISO() };
+      if (rule) {
+        task.recurrence = rule;
+        task.series = seriesOf(task);
+      }
+      const created = historyEntry(task, s.currentUserId, "created");
+      return (st) =>
+        notify(
+          logActivity(
+            { ...st, tasks: [task, ...st.tasks], taskHistory: [...st.taskHistory, created] },
+            project.id,
+            s.currentUserId,
+            "task.created",
+            taskTarget(task)
+          ),
+          safeUserId(task.assigneeId),
+          "assigned",
+          `You were assigned \"${task.title}\" in ${project.name}.`,
+          taskRefs(task)
+        );
+    },
+    // On a recurring task, title/description/assignee edits change just that
+    // occurrence unless `scope` is "series"; rule changes always apply to the series.
+    async updateTask(s, task, patch, scope = "occurrence") {
+      const project = projectOf(s, task.projectId);
+      assertCan(project, s.currentUserId, "editTasks");
+      if (patch.title !== undefined && !patch.title.trim()) throw new Error("Task title required");
+      const updated = { ...task, ...patch };
+      checkDates(updated.startDate, updated.dueDate);
+      const rule = checkRecurrence(updated.recurrence, updated.dueDate);
+      if (patch.recurrence !== undefined) updated.recurrence = rule;
+      const seriesWide = scope === "series" || patch.recurrence !== undefined;
+      const edited = SERIES_FIELDS.filter((f) => patch[f] !== undefined);
+      if (updated.recurrence && (seriesWide || !updated.series)) updated.series = seriesOf(updated, edited);
+      const followers =
+        seriesWide && updated.series
+          ? s.tasks
+              .filter((t) => t.id !== task.id && t.series && t.series.id === updated.series.id && !t.deletedAt)
+              .map((t) => followSeries(t, updated, edited))
+          : [];
+      const occurrence = patch.status === "done" && task.status !== "done" ? nextOccurrence(updated, project, s.tasks) : null;
+      const changes = [
+        ...fieldChanges(task, updated, s.currentUserId),
+        ...followers.flatMap((f) => fieldChanges(s.tasks.find((t) => t.id === f.id), f, s.currentUserId)),
+        ...(occurrence ? [historyEntry(occurrence, s.currentUserId, "created")] : []),
+      ];
+      const replaced = Object.fromEntries([updated, ...followers].map((t) => [t.id, t]));
+      const diff = diffFields(task, updated, Object.keys(TRACKED_FIELDS));
+      return (st) => {
+        let next = {
+          ...st,
+          tasks: [...(occurrence ? [occurrence] : []), ...st.tasks.map((t) => replaced[t.id] || t)],
+          taskHistory: [...st.taskHistory, ...changes],
+        };
+        if (diff) next = logActivity(next, task.projectId, s.currentUserId, "task.updated", taskTarget(updated), diff.before, diff.after);
+        if (occurrence) {
+          next = logActivity(next, task.projectId, s.currentUserId, "task.recurred", taskTarget(occurrence), null, { dueDate: occurrence.dueDate });
+        }
+        if (patch.assigneeId && patch.assigneeId !== task.assigneeId) {
+          next = notify(next, patch.assigneeId, "assigned", `You were assigned \"${updated.title}\" in ${project.name}.`, taskRefs(task));
+        }
+        if (!patch.status || patch.status === task.status) return next;
+        const label = columnLabel(project, patch.status);
+        return notify(next, safeUserId(updated.assigneeId), "status", `Task \"${updated.title}\" marked ${label}.`, taskRefs(task));
+      };
+    },
+    async removeTask(s, task) {
+      assertCan(projectOf(s, task.projectId), s.currentUserId, "deleteTask");
+      const deleted = historyEntry(task, s.currentUserId, "deleted");
+      return (st) =>
+        logActivity(
+          {
+            ...st,
+            tasks: st.tasks.map((t) => (t.id === task.id ? { ...t, deletedAt: nowISO(), deletedBy: s.currentUserId } : t)),
+            taskHistory: [...st.taskHistory, deleted],
+          },
+          task.projectId,
+          s.currentUserId,
+          "task.deleted",
+          taskTarget(task)
+        );
+    },
+    async restoreTask(s, task) {
+      const project = projectOf(s, task.projectId);
+      assertCan(project, s.currentUserId, "deleteTask");
+      const restored = historyEntry(task, s.currentUserId, "restored");
+      // The column it was in may have been removed meanwhile
+      const columns = projectColumns(project);
+      const status = columns.some((c) => c.id === task.status) ? task.status : columns[0].id;
+      return (st) =>
+        logActivity(
+          {
+            ...st,
+            tasks: st.tasks.map((t) => {
+              if (t.id !== task.id) return t;
+              const { deletedAt, deletedBy, ...rest } = t;
+              return { ...rest, status };
+            }),
+            taskHistory: [...st.taskHistory, restored],
+          },
+          task.projectId,
+          s.currentUserId,
+          "task.restored",
+          taskTarget(task)
+        );
+    },
+    async loadTaskActivity() {
+      // Comments and history already live in the local store
+      return (st) => st;
+    },
+    async loadActivity() {
+      return (st) => st;
+    },
+    async loadProjectHistory() {
+      return (st) => st;
+    },
+    async loadProjectRecords() {
+      return (st) => st;
+    },
+    async addComment(s, task, content) {
+      assertCan(projectOf(s, task.projectId), s.currentUserId, "postMessages");
+      if (!content.trim()) throw new Error("Comment required");
+      const comment = {
+        id: uid("cmt"),
+        taskId: task.id,
+        projectId: task.projectId,
+        authorId: s.currentUserId,
+        content: content.trim(),
+        createdAt: nowISO(),
+      };
+      const author = s.users.find((u) => u.id === s.currentUserId);
+      return (st) => {
+        const next = logActivity(
+          { ...st, comments: [...st.comments, comment] },
+          task.projectId,
+          s.currentUserId,
+          "comment.added",
+          taskTarget(task),
+          null,
+          { content: comment.content }
+        );
+        if (task.assigneeId === s.currentUserId) return next;
+        const text = `${author.name || author.email} commented on \"${task.title}\".`;
+        return notify(next, safeUserId(task.assigneeId), "comment", text, taskRefs(task));
+      };
+    },
+    async postMessage(s, { projectId, content, parentId = null, files = [] }) {
+      const project = projectOf(s, projectId);
+      assertCan(project, s.currentUserId, "postMessages");
+      if (!content.trim() && files.length === 0) throw new Error("Message content required");
+      const msg = { id: uid("msg"), projectId, authorId: s.currentUserId, content: content.trim(), parentId, createdAt: nowISO() };
+      assertAttachmentRoom(s, files);
+      const attached = await Promise.all(files.map((file) => readAttachment(s, file, { projectId, messageId: msg.id })));
+      return (st) =>
+        notifyMentions(
+          logActivity(
+            { ...st, messages: [...st.messages, msg], attachments: [...st.attachments, ...attached] },
+            projectId,
+            s.currentUserId,
+            "message.posted",
+            messageTarget(msg),
+            null,
+            { content }
+          ),
+          project,
+          s.currentUserId,
+          content
+        );
+    },
+    async editMessage(s, message, content) {
+      assertCan(projectOf(s, message.projectId), s.currentUserId, "postMessages");
+      if (message.authorId !== s.currentUserId) throw new Error("You can only change your own messages");
+      if (!content.trim()) throw new Error("Message content required");
+      if (content.trim() === message.content) return (st) => st;
+      const edited = { ...message, content: content.trim(), editedAt: nowISO() };
+      return (st) =>
+        notifyMentions(
+          logActivity(
+            { ...st, messages: st.messages.map((m) => (m.id === message.id ? edited : m)) },
+            message.projectId,
+            s.currentUserId,
+            "message.edited",
+            messageTarget(edited),
+            { content: message.content },
+            { content: edited.content }
+          ),
+          projectOf(s, message.projectId),
+          s.currentUserId,
+          edited.content,
+          message.content
+        );
+    },
+    async deleteMessage(s, message) {
+      assertCan(projectOf(s, message.projectId), s.currentUserId, "postMessages");
+      if (message.authorId !== s.currentUserId) throw new Error("You can only change your own messages");
+      const deleted = { ...message, content: "", deletedAt: nowISO() };
+      return (st) =>
+        logActivity(
+          {
+            ...st,
+            messages: st.messages.map((m) => (m.id === message.id ? deleted : m)),
+            attachments: st.attachments.filter((a) => a.messageId !== message.id),
+          },
+          message.projectId,
+          s.currentUserId,
+          "message.deleted",
+          messageTarget(message),
+          { content: message.content }
+        );
+    },
+    async addTimeEntry(s, task, { date, minutes, note }) {
+      assertCan(projectOf(s, task.projectId), s.currentUserId, "editTasks");
+      checkTimeEntry(date, minutes);
+      const entry = { id: uid("time"), projectId: task.projectId, taskId: task.id, userId: s.currentUserId, date, minutes, note: note.trim(), createdAt: nowISO() };
+      return (st) => ({ ...st, timeEntries: [...st.timeEntries, entry] });
+    },
+    // Starting a timer stops the one already running, wherever it is
+    async startTimer(s, task) {
+      assertCan(projectOf(s, task.projectId), s.currentUserId, "editTasks");
+      const running = runningTimer(s, s.currentUserId);
+      const stopped = running && stopTimerEntry(running);
+      const started = {
+        id: uid("time"),
+        projectId: task.projectId,
+        taskId: task.id,
+        userId: s.currentUserId,
+        date: dateKey(new Date()),
+        minutes: null,
+        note: "",
+        startedAt: nowISO(),
+        createdAt: nowISO(),
+      };
+      return (st) => ({ ...st, timeEntries: [...(stopped ? upsertById(st.timeEntries, stopped) : st.timeEntries), started] });
+    },
+    async stopTimer(s) {
+      const running = runningTimer(s, s.currentUserId);
+      if (!running) throw new Error("No timer running");
+      const stopped = stopTimerEntry(running);
+      return (st) => ({ ...st, timeEntries: upsertById(st.timeEntries, stopped) });
+    },
+    async removeTimeEntry(s, entry) {
+      assertActive(projectOf(s, entry.projectId));
+      if (entry.userId !== s.currentUserId) throw new Error("You can only remove your own time");
+      const removed = { ...entry, deletedAt: nowISO() };
+      return (st) => ({ ...st, timeEntries: upsertById(st.timeEntries, removed) });
+    },
+    async uploadAttachment(s, task, file) {
+      assertCan(projectOf(s, task.projectId), s.currentUserId, "editTasks");
+      assertAttachmentRoom(s, [file]);
+      const attachment = await readAttachment(s, file, { projectId: task.projectId, taskId: task.id });
+      return (st) =>
+        logActivity(
+          { ...st, attachments: [...st.attachments, attachment] },
+          task.projectId,
+          s.currentUserId,
+          "task.attached",
+          taskTarget(task),
+          null,
+          { name: attachment.name }
+        );
+    },
+    async removeAttachment(s, attachment) {
+      const project = projectOf(s, attachment.projectId);
+      assertActive(project);
+      if (attachment.uploaderId !== s.currentUserId && !(attachment.taskId && can(project, s.currentUserId, "deleteTask"))) {
+        throw new Error("You can only remove your own files");
+      }
+      const task = s.tasks.find((t) => t.id === attachment.taskId);
+      return (st) => {
+        const next = { ...st, attachments: st.attachments.filter((a) => a.id !== attachment.id) };
+        return task ? logActivity(next, task.projectId, s.currentUserId, "task.detached", taskTarget(task), { name: attachment.name }) : next;
+      };
+    },
+    // URL the UI can show or download an attachment from
+    async fileUrl(attachment) {
+      return attachment.dataUrl;
+    },
+    async search(s, query) {
+      return searchStore(s, query);
+    },
+  };
+}
 
-      <main className="max-w-7xl mx-auto p-4 md:p-6">
-        <AnimatePresence mode="wait">
-          {route.name === "auth" && (
-            <AuthScreen
-              key="auth"
-              mode={route.mode}
-              onMode={(m) => setRoute({ name: "auth", mode: m })}
-              onAuth={(uid) => setStore((s) => ({ ...s, currentUserId: uid }))}
-              store={store}
-              setStore={setStore}
-            />
-          )}
+// Thrown when the server can't be reached at all, as opposed to an error reply
+class OfflineError extends Error {
+  constructor() {
+    super("You're offline. This change needs a connection.");
+  }
+}
 
-          {route.name === "dashboard" && currentUser && (
-            <Dashboard
-              key="dash"
-              store={store}
-              setStore={setStore}
-              currentUser={currentUser}
-              onOpenProject={(pid) => setRoute({ name: "project", id: pid })}
-            />)
-          }
+function createHttpAdapter(baseUrl, liveUrl) {
+  const TOKEN_KEY = `${STORAGE_KEY}.token`;
+  const REFRESH_KEY = `${STORAGE_KEY}.refresh`;
+  const SETTINGS_KEY = `${STORAGE_KEY}.settings`;
+  const CACHE_KEY = `${STORAGE_KEY}.cache`;
+  const OUTBOX_KEY = `${STORAGE_KEY}.outbox`;
+  const CONFLICTS_KEY = `${STORAGE_KEY}.conflicts`;
+  const MAX_CONFLICTS = 50;
+  let refreshing = null;
+  let online = true;
+  let flushing = null;
+  const fileUrls = new Map(); // attachment id -> Promise of an object URL
+  const syncWatchers = new Set();
 
-          {route.name === "project" && currentUser && (
-            <ProjectView
-              key={route.id}
-              store={store}
-              setStore={setStore}
-              currentUser={currentUser}
-              projectId={route.id}
-              onBack={() => setRoute({ name: "dashboard" })}
-            />
-          )}
+  // fetch() that reports an unreachable server as OfflineError
+  async function reach(url, options) {
+    try {
+      const res = await fetch(url, options);
+      setOnline(true);
+      return res;
+    } catch (e) {
+      setOnline(false);
+      throw new OfflineError();
+    }
+  }
 
-          {route.name === "profile" && currentUser && (
-            <ProfileSettings
-              key="profile"
-              store={store}
-              setStore={setStore}
-              currentUser={currentUser}
-              onBack={() => setRoute({ name: "dashboard" })}
-            />
-          )}
-        </AnimatePresence>
-      </main>
-      <Footer />
-    </div>
-  );
-}
+  function saveTokens({ token, refreshToken }) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_KEY, refreshToken);
+  }
 
-// ------------------ Header & Footer ------------------
-function Header({ currentUser, onProfile, onDashboard, onSignOut, store }) {
-  const unread = useMemo(
-    () => store.notifications.filter((n) => !n.read && n.userId === store.currentUserId).length,
-    [store.notifications, store.currentUserId]
-  );
+  function clearTokens() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_KEY);
+  }
 
-  return (
-    <header className="sticky top-0 z-40 bg-white/80 backdrop-blur border-b">
-      <div className="max-w-7xl mx-auto flex items-center justify-between p-3 md:p-4">
-        <div className="flex items-center gap-3">
-          <div className="h-9 w-9 rounded-2xl bg-indigo-600 text-white grid place-items-center font-bold">SS</div>
-          <button onClick={onDashboard} className="text-lg md:text-xl font-semibold">SynergySphere</button>
-          <Badge className="ml-2">MVP</Badge>
-        </div>
+  // Runs `fn` while holding a lock shared by every tab of this browser. Web Locks
+  // are missing outside secure contexts; there a short lease in storage stands in
+  // (not atomic, but it keeps tabs from lining up on the same moment).
+  async function withTabLock(name, fn) {
+    const key = `${STORAGE_KEY}.lock.${name}`;
+    if (navigator.locks) return navigator.locks.request(key, fn);
+    const readLease = () => JSON.parse(localStorage.getItem(key) || "null");
+    while (readLease()?.until > Date.now()) await new Promise((resolve) => setTimeout(resolve, 100));
+    const lease = { id: uid("lock"), until: Date.now() + 10000 };
+    localStorage.setItem(key, JSON.stringify(lease));
+    try {
+      return await fn();
+    } finally {
+      if (readLease()?.id === lease.id) localStorage.removeItem(key);
+    }
+  }
 
-        {currentUser ? (
-          <div className="flex items-center gap-2">
-            <Button variant="ghost" size="icon" title="Notifications">
-              <div className="relative">
-                <Bell className="h-5 w-5" />
-                {unread > 0 && (
-                  <span className="absolute -top-1 -right-1 text-[10px] bg-rose-600 text-white rounded-full h-4 w-4 grid place-items-center">
-                    {unread}
-                  </span>
-                )}
-              </div>
-            </Button>
+  // Refresh tokens rotate on use, and the server takes a spent one coming back as
+  // theft and ends every session of the user. So concurrent 401s share one refresh
+  // call, and tabs take turns: a tab that had to wait finds the tokens the other
+  // tab already rotated to and uses those instead of refreshing again.
+  function refreshAccessToken() {
+    if (!refreshing) {
+      const seen = localStorage.getItem(REFRESH_KEY);
+      refreshing = withTabLock("refresh", async () => {
+        const refreshToken = localStorage.getItem(REFRESH_KEY);
+        if (!refreshToken) return false;
+        if (refreshToken !== seen) return true;
+        const res = await reach(`${baseUrl}/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+        // Another tab may still have rotated it meanwhile (see withTabLock)
+        if (!res.ok) return localStorage.getItem(REFRESH_KEY) !== refreshToken;
+        saveTokens(await res.json());
+        return true;
+      })
+        // Being offline says nothing about the token, so don't sign out over it
+        .catch((e) => (e instanceof OfflineError ? Promise.reject(e) : false))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
 
-            <DropdownMenu>
-              <DropdownMenuTrigger asChild>
-                <Button variant="ghost" className="gap-2">
-                  <CircleUser className="h-5 w-5" />
-                  <span className="hidden sm:inline">{currentUser.name || currentUser.email}</span>
-                  <ChevronRight className="h-4 w-4 opacity-60" />
-                </Button>
-              </DropdownMenuTrigger>
-              <DropdownMenuContent align="end">
-                <DropdownMenuLabel className="max-w-[240px] truncate">
-                  {currentUser.email}
-                </DropdownMenuLabel>
-                <DropdownMenuSeparator />
-                <DropdownMenuItem onClick={onProfile}>
-                  <Settings className="h-4 w-4 mr-2" /> Profile & Settings
-                </DropdownMenuItem>
-                <DropdownMenuItem onClick={onDashboard}>Dashboard</DropdownMenuItem>
-                <DropdownMenuSeparator />
-                <DropdownMenuItem onClick={onSignOut} className="text-rose-600">
-                  <LogOut className="h-4 w-4 mr-2" /> Sign out
-                </DropdownMenuItem>
-              </DropdownMenuContent>
-            </DropdownMenu>
-          </div>
-        ) : (
-          <div className="text-sm px-2">Welcome</div>
-        )}
-      </div>
-    </header>
-  );
-}
+  // `body` goes out as JSON unless it is FormData (uploads); `as: "blob"`
+  // resolves to the raw response body (downloads)
+  async function request(path, { method = "GET", body, as = "json" } = {}, retried = false) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const form = body instanceof FormData;
+    const res = await reach(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(form ? {} : { "Content-Type": "application/json" }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined || form ? body : JSON.stringify(body),
+    });
+    if (res.status === 401 && token && !retried) {
+      if (await refreshAccessToken()) return request(path, { method, body, as }, true);
+      clearTokens();
+    }
+    if (res.status === 204) return null;
+    if (as === "blob" && res.ok) return res.blob();
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (res.status === 401) clearTokens();
+      throw new Error(json.error || `Request failed (${res.status})`);
+    }
+    return json;
+  }
 
-function Footer() {
-  return (
-    <footer className="border-t mt-8">
-      <div className="max-w-7xl mx-auto p-4 text-xs text-slate-500 flex flex-wrap items-center justify-between gap-2">
-        <div>© {new Date().getFullYear()} SynergySphere (MVP)</div>
-        <div>Built for clarity • mobile-first • local-only demo</div>
-      </div>
-    </footer>
-  );
-}
+  function upload(path, file) {
+    const body = new FormData();
+    body.append("file", file);
+    return request(path, { method: "POST", body });
+  }
 
-// ------------------ Auth ------------------
-function AuthScreen({ mode = "login", onMode, onAuth, store, setStore }) {
-  const [email, setEmail] = useState("");
-  const [password, setPassword] = useState("");
-  const [name, setName] = useState("");
-  const [error, setError] = useState("");
+  function loadSettings() {
+    try {
+      return { ...DEFAULT_DATA.settings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+    } catch (e) {
+      return DEFAULT_DATA.settings;
+    }
+  }
 
-  function login() {
-    const u = store.users.find((x) => x.email === email.trim().toLowerCase());
-    if (!u || u.password !== password) {
-      setError("Invalid credentials");
-      return;
+  // Pulls everything the signed-in user can see into the store shape the UI expects.
+  async function fetchAll() {
+    const me = await request("/me");
+    const projects = await request("/projects");
+    const perProject = await Promise.all(
+      projects.map((p) =>
+        Promise.all([
+          request(`/projects/${p.id}/tasks`),
+          request(`/projects/${p.id}/messages`),
+          request(`/projects/${p.id}/members`),
+          can(p, me.id, "deleteTask") ? request(`/projects/${p.id}/trash`) : [],
+          request(`/projects/${p.id}/time`),
+          request(`/projects/${p.id}/attachments`),
+        ])
+      )
+    );
+    const notifications = await request("/notifications");
+    const incoming = await request("/invites");
+    const outgoing = await Promise.all(
+      projects
+        .filter((p) => can(p, me.id, "manageMembers"))
+        .map((p) => request(`/projects/${p.id}/invites`))
+    );
+    const users = new Map();
+    perProject.forEach(([, , members]) => members.forEach((u) => users.set(u.id, u)));
+    users.set(me.id, me); // member lists don't carry the user's own preferences
+    return {
+      ...DEFAULT_DATA,
+      users: [...users.values()],
+      currentUserId: me.id,
+      projects,
+      tasks: perProject.flatMap(([tasks, , , trash]) => [...tasks, ...trash]),
+      messages: perProject.flatMap(([, messages]) => messages),
+      timeEntries: perProject.flatMap(([, , , , time]) => time),
+      attachments: perProject.flatMap(([, , , , , files]) => files),
+      notifications,
+      invites: [...incoming, ...outgoing.flat()],
+      settings: loadSettings(),
+    };
+  }
+
+  async function refreshNotifications() {
+    try {
+      const notifications = await request("/notifications");
+      return (st) => ({ ...st, notifications });
+    } catch (e) {
+      if (e instanceof OfflineError) return (st) => st;
+      throw e;
     }
-    onAuth(u.id);
   }
 
-  function signup() {
-    const exists = store.users.some((x) => x.email === email.trim().toLowerCase());
-    if (exists) return setError("Email already registered");
-    const id = uid("user");
-    const user = { id, email: email.trim().toLowerCase(), name: name.trim() || email, password };
-    setStore((s) => ({ ...s, users: [...s.users, user], currentUserId: id }));
+  // Offline support. The store is cached so the app opens without a
+  // connection, and task, comment and chat changes made offline are queued in
+  // OUTBOX_KEY, shown in the store straight away and replayed in order once
+  // the server is back. What the server merged or turned down is logged in
+  // CONFLICTS_KEY for the user to review.
+  function readList(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || "[]");
+    } catch (e) {
+      return [];
+    }
   }
 
-  return (
-    <motion.div
-      initial={{ opacity: 0, y: 10 }}
-      animate={{ opacity: 1, y: 0 }}
-      exit={{ opacity: 0, y: -10 }}
-      className="grid place-items-center py-10"
-    >
-      <Card className="w-full max-w-md">
-        <CardHeader>
-          <CardTitle className="text-center">{mode === "login" ? "Welcome back" : "Create your account"}</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          {mode === "signup" && (
-            <div>
-              <label className="text-sm">Name</label>
-              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Ada Lovelace" />
-            </div>
-          )}
-          <div>
-            <label className="text-sm">Email</label>
-            <Input value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@work.com" />
-          </div>
-          <div>
-            <label className="text-sm">Password</label>
-            <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
-          </div>
-          {error && <p className="text-rose-600 text-sm">{error}</p>}
-          <div className="grid grid-cols-2 gap-2 pt-2">
-            {mode === "login" ? (
-              <>
-                <Button onClick={login} className="col-span-2">Log in</Button>
-                <Button variant="ghost" onClick={() => onMode("signup")}>Create an account</Button>
-                <Button variant="ghost">Forgot password</Button>
-              </>
-            ) : (
-              <>
-                <Button onClick={signup} className="col-span-2">Sign up</Button>
-                <Button variant="ghost" onClick={() => onMode("login")} className="col-span-2">Back to login</Button>
-              </>
-            )}
-          </div>
-        </CardContent>
-      </Card>
-    </motion.div>
-  );
-}
+  function syncStatus() {
+    return { online, syncing: Boolean(flushing), pending: readList(OUTBOX_KEY).length, conflicts: readList(CONFLICTS_KEY) };
+  }
 
-// ------------------ Dashboard ------------------
-function Dashboard({ store, setStore, currentUser, onOpenProject }) {
-  const projects = store.projects.filter((p) => p.members.includes(currentUser.id));
-  const [newProjectOpen, setNewProjectOpen] = useState(false);
-  const [name, setName] = useState("");
+  function announceSync() {
+    const status = syncStatus();
+    syncWatchers.forEach((watcher) => watcher(status));
+  }
 
-  function createProject() {
-    if (!name.trim()) return;
-    const pid = uid("proj");
-    const project = {
-      id: pid,
-      name: name.trim(),
-      members: [currentUser.id],
-      createdAt: nowISO(),
-    };
-    setStore((s) => ({ ...s, projects: [project, ...s.projects] }));
-    setName("");
-    setNewProjectOpen(false);
+  function setOnline(value) {
+    if (online === value) return;
+    online = value;
+    announceSync();
   }
 
-  return (
-    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
-      <div className="flex items-center justify-between gap-3">
-        <div>
+  function logConflicts(entries) {
+    if (entries.length === 0) return;
+    const at = nowISO();
+    const logged = entries.map((c) => ({ id: uid("conflict"), at, ...c }));
+    localStorage.setItem(CONFLICTS_KEY, JSON.stringify([...logged, ...readList(CONFLICTS_KEY)].slice(0, MAX_CONFLICTS)));
+    announceSync();
+  }
+
+  // Replays queued changes in order and resolves to true once none are left.
+  // It stops while the server is unreachable or we are signed out; a change
+  // the server turns down is dropped and logged.
+  function flush() {
+    if (!flushing) {
+      flushing = (async () => {
+        announceSync();
+        for (let op = readList(OUTBOX_KEY)[0]; op; op = readList(OUTBOX_KEY)[0]) {
+          try {
+            const result = await request(op.path, { method: op.method, body: op.body });
+            if (result && result.conflicts) logConflicts(result.conflicts.map((c) => ({ ...c, label: op.label, projectId: op.projectId })));
+          } catch (e) {
+            if (e instanceof OfflineError || !localStorage.getItem(TOKEN_KEY)) return false;
+            logConflicts([{ label: op.label, projectId: op.projectId, error: e.message }]);
+          }
+          localStorage.setItem(OUTBOX_KEY, JSON.stringify(readList(OUTBOX_KEY).filter((o) => o.id !== op.id)));
+        }
+        return true;
+      })().finally(() => {
+        flushing = null;
+        announceSync();
+      });
+    }
+    return flushing;
+  }
+
+  // Sends a change, or queues it when the server can't be reached. While
+  // earlier changes wait, new ones queue behind them so that order is kept.
+  // `about` ({ label, projectId }) describes the change in the conflict log.
+  // Resolves to { result } or { queued: true }.
+  async function send(path, { method, body }, about) {
+    if (await flush()) {
+      try {
+        return { result: await request(path, { method, body }) };
+      } catch (e) {
+        if (!(e instanceof OfflineError)) throw e;
+      }
+    }
+    const op = { id: uid("op"), path, method, body, ...about, at: nowISO() };
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify([...readList(OUTBOX_KEY), op]));
+    announceSync();
+    return { queued: true };
+  }
+
+  function readCache() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function forgetOfflineData() {
+    [CACHE_KEY, OUTBOX_KEY, CONFLICTS_KEY].forEach((key) => localStorage.removeItem(key));
+    announceSync();
+  }
+
+  // Live channel (see realtime.js on the server). Reconnects with backoff and
+  // asks for a resync afterwards, since events may have been missed meanwhile.
+  function connect(onEvent) {
+    const projects = new Set();
+    const lastTyping = {};
+    let socket = null;
+    let ready = false;
+    let closed = false;
+    let attempts = 0;
+    let retryTimer = null;
+
+    function send(msg) {
+      if (ready) socket.send(JSON.stringify(msg));
+    }
+
+    function open() {
+      socket = new WebSocket(liveUrl);
+      socket.onopen = () => socket.send(JSON.stringify({ type: "auth", token: localStorage.getItem(TOKEN_KEY) }));
+      socket.onmessage = (e) => {
+        const event = JSON.parse(e.data);
+        if (event.type !== "ready") return onEvent(event);
+        ready = true;
+        if (attempts > 0) onEvent({ type: "resync" });
+        attempts = 0;
+        projects.forEach((projectId) => send({ type: "subscribe", projectId }));
+      };
+      socket.onclose = async (e) => {
+        ready = false;
+        if (closed) return;
+        // 4001: expired token or revoked session; only retry with a fresh token
+        if (e.code === 4001 && !(await refreshAccessToken())) return;
+        attempts += 1;
+        retryTimer = setTimeout(open, Math.min(30000, 1000 * 2 ** attempts));
+      };
+    }
+
+    open();
+    return {
+      subscribe(projectId) {
+        projects.add(projectId);
+        send({ type: "subscribe", projectId });
+      },
+      unsubscribe(projectId) {
+        projects.delete(projectId);
+        send({ type: "unsubscribe", projectId });
+      },
+      // Keystrokes re-announce typing at most every couple of seconds
+      typing(projectId, typing = true) {
+        const now = Date.now();
+        if (typing && now - (lastTyping[projectId] || 0) < 2000) return;
+        lastTyping[projectId] = typing ? now : 0;
+        send({ type: "typing", projectId, typing });
+      },
+      close() {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (socket) socket.close();
+      },
+    };
+  }
+
+  return {
+    mode: "http",
+    connect,
+    // Sends what was queued offline first, so the fresh copy includes it
+    async load() {
+      if (!localStorage.getItem(TOKEN_KEY)) return { ...DEFAULT_DATA, settings: loadSettings() };
+      try {
+        if (!(await flush())) throw new OfflineError();
+        return await fetchAll();
+      } catch (e) {
+        // Offline we carry on from the cached copy, queued changes included
+        if (e instanceof OfflineError && readCache()) return { ...readCache(), settings: loadSettings() };
+        // An expired token just means "signed out"; anything else is a real error.
+        if (!localStorage.getItem(TOKEN_KEY)) return { ...DEFAULT_DATA, settings: loadSettings() };
+        throw e;
+      }
+    },
+    persist(data) {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(data.settings));
+      if (data.currentUserId) {
+        // The server has the data; when its offline copy doesn't fit, do without
+        // one rather than keep a stale copy (or undo changes the server took)
+        try {
+          localStorage.setItem(CACHE_KEY, JSON.stringify({ ...data, settings: undefined }));
+        } catch (e) {
+          localStorage.removeItem(CACHE_KEY);
+        }
+      }
+      return data;
+    },
+    // Signing in or out in another tab applies here too; everything else
+    // reaches every tab over the live channel anyway
+    watchTabs(apply) {
+      const onStorage = (e) => {
+        if (e.key !== TOKEN_KEY && e.key !== null) return;
+        if (!localStorage.getItem(TOKEN_KEY)) {
+          apply((st) => (st.currentUserId ? { ...DEFAULT_DATA, settings: st.settings } : st));
+        } else if (!e.oldValue) {
+          this.load().then(apply).catch(() => {});
+        }
+      };
+      window.addEventListener("storage", onStorage);
+      return () => window.removeEventListener("storage", onStorage);
+    },
+    syncStatus,
+    // Calls `watcher` with the sync status whenever it changes; returns an unsubscribe function
+    watchSync(watcher) {
+      syncWatchers.add(watcher);
+      return () => syncWatchers.delete(watcher);
+    },
+    clearConflicts() {
+      localStorage.removeItem(CONFLICTS_KEY);
+      announceSync();
+    },
+    async login(s, { email, password }) {
+      const tokens = await request("/login", {
+        method: "POST",
+        body: { email: email.trim().toLowerCase(), password },
+      });
+      saveTokens(tokens);
+      const data = await fetchAll();
+      return () => data;
+    },
+    async signup(s, { name, email, password }) {
+      await request("/signup", {
+        method: "POST",
+        body: { name: name.trim(), email: email.trim().toLowerCase(), password },
+      });
+      return this.login(s, { email, password });
+    },
+    async signOut() {
+      if (readList(OUTBOX_KEY).length && !(await flush())) {
+        throw new Error("Some changes haven't synced yet. Connect to the internet before signing out.");
+      }
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      clearTokens();
+      forgetOfflineData();
+      if (refreshToken) await request("/logout", { method: "POST", body: { refreshToken } }).catch(() => null);
+      return (st) => ({ ...DEFAULT_DATA, settings: st.settings });
+    },
+    async signOutEverywhere() {
+      await request("/logout/all", { method: "POST" });
+      clearTokens();
+      forgetOfflineData();
+      return (st) => ({ ...DEFAULT_DATA, settings: st.settings });
+    },
+    async requestPasswordReset(s, email) {
+      await request("/password/forgot", { method: "POST", body: { email: email.trim().toLowerCase() } });
+      return (st) => st;
+    },
+    async resetPassword(s, { token, password }) {
+      await request("/password/reset", { method: "POST", body: { token: token.trim(), password } });
+      return (st) => st;
+    },
+    async updateProfile(s, { name, notificationPrefs }) {
+      const me = await request("/me", { method: "PATCH", body: { name, notificationPrefs } });
+      return (st) => ({ ...st, users: st.users.map((u) => (u.id === me.id ? me : u)) });
+    },
+    async markNotificationsRead(s, ids) {
+      const read = await request("/notifications/read", { method: "POST", body: { ids } });
+      const readIds = new Set(read.map((n) => n.id));
+      return (st) => ({ ...st, notifications: st.notifications.map((n) => (readIds.has(n.id) ? { ...n, read: true } : n)) });
+    },
+    // The server schedules reminders itself; polling just picks them up
+    async checkReminders() {
+      return refreshNotifications();
+    },
+    async createProject(s, fields) {
+      const project = await request("/projects", { method: "POST", body: fields });
+      return (st) => ({ ...st, projects: [project, ...st.projects] });
+    },
+    async importProject(s, payload) {
+      const { project, tasks, invites } = await request("/projects/import", { method: "POST", body: payload });
+      return (st) => ({ ...st, projects: [project, ...st.projects], tasks: [...tasks, ...st.tasks], invites: [...st.invites, ...invites] });
+    },
+    async inviteMember(s, project, email, role = "member") {
+      const invite = await request(`/projects/${project.id}/invites`, {
+        method: "POST",
+        body: { email: email.trim(), role },
+      });
+      return (st) => ({ ...st, invites: [...st.invites.filter((i) => i.id !== invite.id), invite] });
+    },
+    async revokeInvite(s, invite) {
+      await request(`/projects/${invite.projectId}/invites/${invite.id}`, { method: "DELETE" });
+      return (st) => answerInvite(st, invite.id, "revoked");
+    },
+    async acceptInvite(s, invite) {
+      await request(`/invites/${invite.id}/accept`, { method: "POST" });
+      // Joining pulls in a whole project (tasks, chat, members), so just reload.
+      const data = await fetchAll();
+      return (st) => ({ ...data, settings: st.settings });
+    },
+    async declineInvite(s, invite) {
+      await request(`/invites/${invite.id}/decline`, { method: "POST" });
+      return (st) => answerInvite(st, invite.id, "declined");
+    },
+    async setMemberRole(s, project, userId, role) {
+      await request(`/projects/${project.id}/members/${userId}`, { method: "PATCH", body: { role } });
+      return (st) => ({
+        ...st,
+        projects: st.projects.map((p) => (p.id === project.id ? { ...p, roles: { ...p.roles, [userId]: role } } : p)),
+      });
+    },
+    async removeMember(s, project, userId) {
+      await request(`/projects/${project.id}/members/${userId}`, { method: "DELETE" });
+      return (st) => ({ ...st, projects: st.projects.map((p) => (p.id === project.id ? withoutMember(p, userId) : p)) });
+    },
+    async updateProject(s, project, patch) {
+      const updated = await request(`/projects/${project.id}`, { method: "PATCH", body: patch });
+      // Removing columns can move tasks on the server
+      const tasks = await request(`/projects/${project.id}/tasks`);
+      return (st) => ({
+        ...st,
+        projects: st.projects.map((p) => (p.id === project.id ? updated : p)),
+        tasks: [...st.tasks.filter((t) => t.projectId !== project.id || t.deletedAt), ...tasks],
+      });
+    },
+    async deleteProject(s, project) {
+      await request(`/projects/${project.id}`, { method: "DELETE" });
+      return (st) => removeProject(st, project.id);
+    },
+    // Once we're out the server stops sending the project, so drop what we have of it
+    async leaveProject(s, project) {
+      await request(`/projects/${project.id}/leave`, { method: "POST" });
+      return (st) => removeProject(st, project.id);
+    },
+    async transferOwnership(s, project, userId) {
+      const updated = await request(`/projects/${project.id}/transfer`, { method: "POST", body: { userId } });
+      return (st) => ({ ...st, projects: upsertById(st.projects, updated) });
+    },
+    async createTask(s, project, { recurrence, ...fields }) {
+      checkDates(fields.startDate, fields.dueDate);
+      const rule = checkRecurrence(recurrence, fields.dueDate);
+      const draft = {
+        id: uid("task"),
+        projectId: project.id,
+        ...fields,
+        assigneeId: fields.assigneeId || null,
+        status: projectColumns(project)[0].id,
+        createdAt: nowISO(),
+      };
+      if (rule) {
+        draft.recurrence = rule;
+        draft.series = seriesOf(draft);
+      }
+      const about = { label: `New task "${draft.title}"`, projectId: project.id };
+      const body = { ...fields, recurrence: rule, id: draft.id };
+      const sent = await send(`/projects/${project.id}/tasks`, { method: "POST", body }, about);
+      if (sent.queued) return (st) => ({ ...st, tasks: [draft, ...st.tasks] });
+      const withNotifications = await refreshNotifications();
+      return (st) => withNotifications({ ...st, tasks: upsertById(st.tasks, sent.result) });
+    },
+    // Sent with the values it was made against so that the server can merge it
+    // with whatever changed meanwhile (field by field, the later change wins).
+    // `scope` is as in the local adapter; the next occurrence of a completed
+    // recurring task comes back among the `related` tasks.
+    async updateTask(s, task, patch, scope = "occurrence") {
+      const dueDate = patch.dueDate ?? task.dueDate;
+      checkDates(patch.startDate ?? task.startDate, dueDate);
+      const rule = checkRecurrence(patch.recurrence !== undefined ? patch.recurrence : task.recurrence, dueDate);
+      const fields = patch.recurrence !== undefined ? { ...patch, recurrence: rule } : patch;
+      const base = Object.fromEntries(Object.keys(fields).map((f) => [f, task[f] ?? null]));
+      const body = { ...fields, base, editedAt: nowISO(), scope };
+      const about = { label: `Edit of "${task.title}"`, projectId: task.projectId };
+      const sent = await send(`/projects/${task.projectId}/tasks/${task.id}`, { method: "PATCH", body }, about);
+      if (sent.queued) return (st) => ({ ...st, tasks: st.tasks.map((t) => (t.id === task.id ? { ...t, ...fields } : t)) });
+      logConflicts(sent.result.conflicts.map((c) => ({ ...c, ...about })));
+      const withNotifications = await refreshNotifications();
+      const changed = [sent.result.task, ...sent.result.related];
+      return (st) => withNotifications({ ...st, tasks: changed.reduce(upsertById, st.tasks) });
+    },
+    async removeTask(s, task) {
+      const about = { label: `Deletion of "${task.title}"`, projectId: task.projectId };
+      await send(`/projects/${task.projectId}/tasks/${task.id}`, { method: "DELETE" }, about);
+      const deletedAt = nowISO();
+      return (st) => ({
+        ...st,
+        tasks: st.tasks.map((t) => (t.id === task.id ? { ...t, deletedAt, deletedBy: s.currentUserId } : t)),
+      });
+    },
+    async restoreTask(s, task) {
+      const restored = await request(`/projects/${task.projectId}/trash/${task.id}/restore`, { method: "POST" });
+      return (st) => ({ ...st, tasks: st.tasks.map((t) => (t.id === task.id ? restored : t)) });
+    },
+    // Comments and history are fetched when a task is opened rather than up front
+    async loadTaskActivity(s, task) {
+      const base = `/projects/${task.projectId}/tasks/${task.id}`;
+      const [comments, history] = await Promise.all([request(`${base}/comments`), request(`${base}/history`)]);
+      return (st) => ({
+        ...st,
+        comments: [...st.comments.filter((c) => c.taskId !== task.id), ...comments],
+        taskHistory: [...st.taskHistory.filter((h) => h.taskId !== task.id), ...history],
+      });
+    },
+    async addComment(s, task, content) {
+      if (!content.trim()) throw new Error("Comment required");
+      const draft = { id: uid("cmt"), taskId: task.id, projectId: task.projectId, authorId: s.currentUserId, content: content.trim(), createdAt: nowISO() };
+      const sent = await send(
+        `/projects/${task.projectId}/tasks/${task.id}/comments`,
+        { method: "POST", body: { id: draft.id, content } },
+        { label: `Comment on "${task.title}"`, projectId: task.projectId }
+      );
+      return (st) => ({ ...st, comments: upsertById(st.comments, sent.queued ? draft : sent.result) });
+    },
+    // Analytics need the history of every task, not just the opened ones
+    async loadProjectHistory(s, projectId) {
+      const history = await request(`/projects/${projectId}/history`);
+      return (st) => ({ ...st, taskHistory: [...st.taskHistory.filter((h) => h.projectId !== projectId), ...history] });
+    },
+    // Exports need all of a project's comments, history and activity, which are
+    // otherwise only fetched as they are shown
+    async loadProjectRecords(s, projectIds) {
+      const loaded = await Promise.all(
+        projectIds.map((id) =>
+          Promise.all([request(`/projects/${id}/comments`), request(`/projects/${id}/history`), request(`/projects/${id}/activity`)])
+        )
+      );
+      const elsewhere = (x) => !projectIds.includes(x.projectId);
+      return (st) => ({
+        ...st,
+        comments: [...st.comments.filter(elsewhere), ...loaded.flatMap(([comments]) => comments)],
+        taskHistory: [...st.taskHistory.filter(elsewhere), ...loaded.flatMap(([, history]) => history)],
+        activity: [...st.activity.filter(elsewhere), ...loaded.flatMap(([, , entries]) => [...entries].reverse())],
+      });
+    },
+    // The log is fetched when the feed is shown; new entries then arrive live
+    async loadActivity(s, projectId) {
+      const entries = await request(`/projects/${projectId}/activity`);
+      return (st) => ({
+        ...st,
+        activity: [...st.activity.filter((a) => a.projectId !== projectId), ...entries.reverse()],
+      });
+    },
+    async postMessage(s, { projectId, content, parentId = null, files = [] }) {
+      if (!content.trim() && files.length === 0) throw new Error("Message content required");
+      const draft = { id: uid("msg"), projectId, authorId: s.currentUserId, content: content.trim(), parentId, createdAt: nowISO() };
+      const project = projectOf(s, projectId);
+      // Files go up first, so they need a connection; the message then links them
+      const uploaded = [];
+      for (const file of files) uploaded.push(await upload(`/projects/${projectId}/attachments`, file));
+      const attachmentIds = uploaded.map((a) => a.id);
+      const sent = await send(
+        `/projects/${projectId}/messages`,
+        { method: "POST", body: { id: draft.id, content, parentId, ...(attachmentIds.length ? { attachmentIds } : {}) } },
+        { label: `Message in ${project ? project.name : "a project"}`, projectId }
+      );
+      // The live channel may already have delivered it
+      return (st) => ({
+        ...st,
+        messages: upsertById(st.messages, sent.queued ? draft : sent.result),
+        attachments: uploaded.reduce((list, a) => upsertById(list, { ...a, messageId: draft.id }), st.attachments),
+      });
+    },
+    async editMessage(s, message, content) {
+      if (!content.trim()) throw new Error("Message content required");
+      const draft = { ...message, content: content.trim(), editedAt: nowISO() };
+      const project = projectOf(s, message.projectId);
+      const sent = await send(
+        `/projects/${message.projectId}/messages/${message.id}`,
+        { method: "PATCH", body: { content } },
+        { label: `Edit of a message in ${project ? project.name : "a project"}`, projectId: message.projectId }
+      );
+      return (st) => ({ ...st, messages: upsertById(st.messages, sent.queued ? draft : sent.result) });
+    },
+    async deleteMessage(s, message) {
+      const draft = { ...message, content: "", deletedAt: nowISO() };
+      const project = projectOf(s, message.projectId);
+      const sent = await send(
+        `/projects/${message.projectId}/messages/${message.id}`,
+        { method: "DELETE" },
+        { label: `Deletion of a message in ${project ? project.name : "a project"}`, projectId: message.projectId }
+      );
+      return (st) => ({ ...st, messages: upsertById(st.messages, sent.queued ? draft : sent.result) });
+    },
+    async addTimeEntry(s, task, { date, minutes, note }) {
+      checkTimeEntry(date, minutes);
+      const entry = await request(`/projects/${task.projectId}/tasks/${task.id}/time`, { method: "POST", body: { date, minutes, note } });
+      return (st) => ({ ...st, timeEntries: upsertById(st.timeEntries, entry) });
+    },
+    async startTimer(s, task) {
+      const { started, stopped } = await request(`/projects/${task.projectId}/tasks/${task.id}/timer`, {
+        method: "POST",
+        body: { date: dateKey(new Date()) },
+      });
+      return (st) => ({ ...st, timeEntries: upsertById(stopped ? upsertById(st.timeEntries, stopped) : st.timeEntries, started) });
+    },
+    async stopTimer() {
+      const stopped = await request("/timer/stop", { method: "POST" });
+      return (st) => ({ ...st, timeEntries: upsertById(st.timeEntries, stopped) });
+    },
+    async removeTimeEntry(s, entry) {
+      const removed = await request(`/projects/${entry.projectId}/time/${entry.id}`, { method: "DELETE" });
+      return (st) => ({ ...st, timeEntries: upsertById(st.timeEntries, removed) });
+    },
+    async uploadAttachment(s, task, file) {
+      const attachment = await upload(`/projects/${task.projectId}/tasks/${task.id}/attachments`, file);
+      return (st) => ({ ...st, attachments: upsertById(st.attachments, attachment) });
+    },
+    async removeAttachment(s, attachment) {
+      const removed = await request(`/projects/${attachment.projectId}/attachments/${attachment.id}`, { method: "DELETE" });
+      return (st) => ({ ...st, attachments: upsertById(st.attachments, removed) });
+    },
+    // Downloads need the auth header, so files are fetched once and served
+    // from object URLs for the rest of the session
+    fileUrl(attachment) {
+      if (!fileUrls.has(attachment.id)) {
+        const url = request(`/projects/${attachment.projectId}/attachments/${attachment.id}/file`, { as: "blob" }).then((blob) =>
+          URL.createObjectURL(blob)
+        );
+        // A failed fetch shouldn't stick
+        url.catch(() => fileUrls.delete(attachment.id));
+        fileUrls.set(attachment.id, url);
+      }
+      return fileUrls.get(attachment.id);
+    },
+    // Uses the server's index; offline, the cached store stands in
+    async search(s, query) {
+      try {
+        return await request(`/search?q=${encodeURIComponent(query)}`);
+      } catch (e) {
+        if (e instanceof OfflineError) return searchStore(s, query);
+        throw e;
+      }
+    },
+  };
+}
+
+const dataAdapter = DATA_MODE === "http" ? createHttpAdapter(API_BASE, LIVE_URL) : createLocalAdapter();
+
+// Loads the store through the adapter and exposes its methods as `actions`.
+// Each action resolves to true on success; failures land in `status.error`.
+function useDataStore(adapter) {
+  const [store, setStore] = useState(DEFAULT_DATA);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(0);
+  const [error, setError] = useState("");
+  const storeRef = useRef(store);
+  storeRef.current = store;
+
+  useEffect(() => {
+    let cancelled = false;
+    adapter
+      .load()
+      .then((data) => !cancelled && setStore(data))
+      .catch((e) => !cancelled && setError(e.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter]);
+
+  // The last store that made it into storage. Local mode falls back on it when
+  // saving fails, as storage is all it has; in http mode the server has the data.
+  const savedRef = useRef(null);
+  useEffect(() => {
+    if (loading) return;
+    try {
+      const saved = adapter.persist(store);
+      savedRef.current = saved;
+      if (saved !== store) setStore(saved);
+    } catch (e) {
+      setError(e.message || "Couldn't save your changes");
+      if (adapter.mode === "local" && savedRef.current) setStore(savedRef.current);
+    }
+  }, [adapter, store, loading]);
+
+  // Changes saved in other tabs of this browser
+  useEffect(() => {
+    if (!loading) return adapter.watchTabs(setStore);
+  }, [adapter, loading]);
+
+  const actions = useMemo(() => {
+    const run = (name) => async (...args) => {
+      setError("");
+      setBusy((n) => n + 1);
+      try {
+        const update = await adapter[name](storeRef.current, ...args);
+        setStore(update);
+        return true;
+      } catch (e) {
+        setError(e.message || "Something went wrong");
+        return false;
+      } finally {
+        setBusy((n) => n - 1);
+      }
+    };
+    return Object.fromEntries(ADAPTER_ACTIONS.map((name) => [name, run(name)]));
+  }, [adapter]);
+
+  const status = { mode: adapter.mode, loading, busy: busy > 0, error, clearError: () => setError("") };
+  return { store, setStore, actions, status };
+}
+
+// Checks for due-soon/overdue reminders while someone is signed in. It runs
+// outside `actions` so a background check never touches the error banner.
+const REMINDER_INTERVAL_MS = 60 * 1000;
+
+function useDueReminders(adapter, signedIn, setStore) {
+  useEffect(() => {
+    if (!signedIn) return;
+    const check = () => adapter.checkReminders().then(setStore).catch(() => {});
+    check();
+    const timer = setInterval(check, REMINDER_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [adapter, signedIn]);
+}
+
+// Events pushed over the live channel (http mode). Record events are merged
+// into the store; presence and typing are ephemeral and kept here instead.
+const LIVE_COLLECTIONS = {
+  message: "messages",
+  task: "tasks",
+  comment: "comments",
+  project: "projects",
+  notification: "notifications",
+  activity: "activity",
+  timeEntry: "timeEntries",
+  attachment: "attachments",
+};
+const TYPING_TTL_MS = 5000;
+
+function applyLiveEvent(st, event) {
+  if (event.type === "projectRemoved") return removeProject(st, event.projectId);
+  if (event.type === "user") {
+    // Merge rather than replace: our own record carries fields others don't see
+    const known = st.users.find((u) => u.id === event.user.id);
+    return { ...st, users: upsertById(st.users, { ...known, ...event.user }) };
+  }
+  const key = LIVE_COLLECTIONS[event.type];
+  return key ? { ...st, [key]: upsertById(st[key], event[event.type]) } : st;
+}
+
+function useLiveUpdates(adapter, signedIn, setStore) {
+  const [channel, setChannel] = useState(null);
+  const [presence, setPresence] = useState({}); // projectId -> userIds
+  const [typing, setTyping] = useState({}); // projectId -> { userId: expiresAt }
+
+  useEffect(() => {
+    if (!signedIn || !adapter.connect) return;
+    const live = adapter.connect((event) => {
+      if (event.type === "presence") {
+        setPresence((p) => ({ ...p, [event.projectId]: event.userIds }));
+      } else if (event.type === "typing") {
+        setTyping((t) => {
+          const project = { ...t[event.projectId] };
+          if (event.typing) project[event.userId] = Date.now() + TYPING_TTL_MS;
+          else delete project[event.userId];
+          return { ...t, [event.projectId]: project };
+        });
+      } else if (event.type === "resync") {
+        adapter.load().then(setStore).catch(() => {});
+      } else {
+        setStore((st) => applyLiveEvent(st, event));
+      }
+    });
+    setChannel(live);
+    return () => {
+      live.close();
+      setChannel(null);
+      setPresence({});
+      setTyping({});
+    };
+  }, [adapter, signedIn]);
+
+  // Expire indicators whose "stopped typing" never arrived (closed tab, lost connection)
+  useEffect(() => {
+    if (!Object.values(typing).some((p) => Object.keys(p).length > 0)) return;
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      setTyping((t) =>
+        Object.fromEntries(
+          Object.entries(t).map(([pid, users]) => [pid, Object.fromEntries(Object.entries(users).filter(([, exp]) => exp > now))])
+        )
+      );
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [typing]);
+
+  return { channel, presence, typing };
+}
+
+// Sync state of the offline queue (http mode; null otherwise). Queued changes
+// are retried when the browser comes back online and every SYNC_RETRY_MS
+// while any are waiting; the reload afterwards picks up merged results.
+const SYNC_RETRY_MS = 30 * 1000;
+
+function useOfflineSync(adapter, signedIn, setStore) {
+  const [sync, setSync] = useState(() => (adapter.syncStatus ? adapter.syncStatus() : null));
+  const resync = () => adapter.load().then(setStore).catch(() => {});
+
+  useEffect(() => (adapter.watchSync ? adapter.watchSync(setSync) : undefined), [adapter]);
+
+  useEffect(() => {
+    if (!signedIn || !adapter.syncStatus) return;
+    window.addEventListener("online", resync);
+    return () => window.removeEventListener("online", resync);
+  }, [adapter, signedIn]);
+
+  const waiting = Boolean(sync && (sync.pending > 0 || !sync.online));
+  useEffect(() => {
+    if (!signedIn || !waiting) return;
+    const timer = setInterval(resync, SYNC_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [adapter, signedIn, waiting]);
+
+  if (!sync) return null;
+  return { ...sync, syncNow: resync, clearConflicts: () => adapter.clearConflicts() };
+}
+
+// ------------------ Models & Helpers ------------------
+const STATUS = {
+  todo: { label: "To-Do" },
+  inprogress: { label: "In Progress" },
+  done: { label: "Done" },
+};
+
+// Board columns per project (task.status holds a column id). "done" always
+// exists so progress/overdue logic keeps working; new tasks land in the first column.
+const DEFAULT_COLUMNS = Object.entries(STATUS).map(([id, s]) => ({ id, label: s.label, wipLimit: null }));
+
+function projectColumns(project) {
+  return project && project.columns && project.columns.length ? project.columns : DEFAULT_COLUMNS;
+}
+
+function columnLabel(project, status) {
+  const column = projectColumns(project).find((c) => c.id === status);
+  return column ? column.label : status;
+}
+
+function checkColumns(columns) {
+  if (!columns.length) throw new Error("At least one column required");
+  if (!columns.some((c) => c.id === "done")) throw new Error("The Done column can't be removed");
+  return columns.map((c) => {
+    const label = c.label.trim();
+    if (!label) throw new Error("Column name required");
+    const wipLimit = c.wipLimit === "" || c.wipLimit === null || c.wipLimit === undefined ? null : Number(c.wipLimit);
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) {
+      throw new Error("WIP limit must be a positive whole number");
+    }
+    return { id: c.id, label, wipLimit };
+  });
+}
+
+// Project settings besides the name, as on the server. Returns the cleaned
+// fields present in `input`; dates are checked against the `current` ones.
+const PROJECT_DETAILS = ["description", "startDate", "endDate", "color", "icon", "tags"];
+const PROJECT_COLORS = {
+  indigo: { label: "Indigo", className: "bg-indigo-500" },
+  sky: { label: "Sky", className: "bg-sky-500" },
+  emerald: { label: "Emerald", className: "bg-emerald-500" },
+  amber: { label: "Amber", className: "bg-amber-500" },
+  rose: { label: "Rose", className: "bg-rose-500" },
+  violet: { label: "Violet", className: "bg-violet-500" },
+  slate: { label: "Slate", className: "bg-slate-500" },
+};
+const PROJECT_ICONS = {
+  folder: Folder,
+  rocket: Rocket,
+  code: Code2,
+  megaphone: Megaphone,
+  briefcase: Briefcase,
+  palette: Palette,
+  flask: FlaskConical,
+  heart: Heart,
+};
+
+function checkProjectDetails(input, current = {}) {
+  const details = {};
+  if (input.description !== undefined) {
+    details.description = (input.description || "").trim();
+    if (details.description.length > 2000) throw new Error("Description is too long");
+  }
+  if (input.startDate !== undefined) details.startDate = input.startDate || null;
+  if (input.endDate !== undefined) details.endDate = input.endDate || null;
+  const { startDate, endDate } = { ...current, ...details };
+  if (startDate && endDate && startDate > endDate) throw new Error("The end date can't be before the start date");
+  if (input.color !== undefined) {
+    if (!PROJECT_COLORS[input.color]) throw new Error("Invalid color");
+    details.color = input.color;
+  }
+  if (input.icon !== undefined) {
+    if (!PROJECT_ICONS[input.icon]) throw new Error("Invalid icon");
+    details.icon = input.icon;
+  }
+  if (input.tags !== undefined) {
+    const tags = [...new Set(input.tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > 10) throw new Error("Use at most 10 tags");
+    if (tags.some((t) => t.length > 30)) throw new Error("Tags can be at most 30 characters");
+    details.tags = tags;
+  }
+  return details;
+}
+
+// Manual ordering within a column. Tasks without an explicit order sort newest first.
+function taskOrder(task) {
+  return typeof task.order === "number" ? task.order : -new Date(task.createdAt).getTime();
+}
+
+// Chart colors by column position; "done" is always green
+const COLUMN_COLORS = ["#94a3b8", "#6366f1", "#f59e0b", "#0ea5e9", "#ec4899", "#8b5cf6", "#14b8a6"];
+
+function columnColor(project, status) {
+  if (status === "done") return "#10b981";
+  const index = projectColumns(project).findIndex((c) => c.id === status);
+  return COLUMN_COLORS[Math.max(0, index) % COLUMN_COLORS.length];
+}
+
+function tasksByColumn(project, tasks) {
+  const byColumn = Object.fromEntries(projectColumns(project).map((c) => [c.id, []]));
+  tasks
+    .filter((t) => t.projectId === project.id && !t.deletedAt && byColumn[t.status])
+    .sort((a, b) => taskOrder(a) - taskOrder(b))
+    .forEach((t) => byColumn[t.status].push(t));
+  return byColumn;
+}
+
+// Order value for a task dropped between `before` and `after` (either may be missing).
+function orderBetween(before, after) {
+  if (before && after) return (taskOrder(before) + taskOrder(after)) / 2;
+  if (before) return taskOrder(before) + 1;
+  if (after) return taskOrder(after) - 1;
+  return 0;
+}
+
+// Tasks on the board, i.e. not in the trash
+function projectTasks(store, projectId) {
+  return store.tasks.filter((t) => t.projectId === projectId && !t.deletedAt);
+}
+
+// Task history mirrors the server: one entry per changed field, plus
+// created/deleted/restored events.
+const TRACKED_FIELDS = {
+  title: "title",
+  description: "description",
+  assigneeId: "assignee",
+  startDate: "start date",
+  dueDate: "due date",
+  status: "status",
+  recurrence: "repeat",
+  estimate: "estimate",
+};
+
+function historyEntry(task, actorId, field, from = null, to = null) {
+  return { id: uid("hist"), taskId: task.id, projectId: task.projectId, actorId, field, from, to, at: nowISO() };
+}
+
+function fieldChanges(task, updated, actorId) {
+  return Object.keys(TRACKED_FIELDS)
+    .filter((f) => JSON.stringify(task[f] ?? null) !== JSON.stringify(updated[f] ?? null))
+    .map((f) => historyEntry(task, actorId, f, task[f] ?? null, updated[f] ?? null));
+}
+
+// Project activity log, mirrored by the server: one entry per action with the
+// actor, the target and, for changes, only the fields that changed.
+function logActivity(s, projectId, actorId, action, target, before = null, after = null) {
+  const entry = {
+    id: uid("act"),
+    projectId,
+    actorId,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    targetLabel: target.label,
+    before,
+    after,
+    at: nowISO(),
+  };
+  return { ...s, activity: [...s.activity, entry] };
+}
+
+function taskTarget(task) {
+  return { type: "task", id: task.id, label: task.title };
+}
+
+function userTarget(user) {
+  return { type: "user", id: user.id, label: user.name || user.email };
+}
+
+function messageTarget(msg) {
+  return { type: "message", id: msg.id, label: msg.content.slice(0, 80) };
+}
+
+// Picks the keys whose values differ, as { before, after }
+function diffFields(before, after, keys) {
+  const changed = keys.filter((k) => JSON.stringify(before[k] ?? null) !== JSON.stringify(after[k] ?? null));
+  if (changed.length === 0) return null;
+  return {
+    before: Object.fromEntries(changed.map((k) => [k, before[k] ?? null])),
+    after: Object.fromEntries(changed.map((k) => [k, after[k] ?? null])),
+  };
+}
+
+// Deleted tasks can be restored for this long; keep in sync with the server's TRASH_RETENTION_DAYS.
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function trashDaysLeft(task) {
+  const expires = Date.parse(task.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((expires - Date.now()) / DAY_MS));
+}
+
+// Drops expired trash along with its comments and history (local mode).
+function purgeTrash(s) {
+  const expired = new Set(s.tasks.filter((t) => t.deletedAt && trashDaysLeft(t) === 0).map((t) => t.id));
+  if (expired.size === 0) return s;
+  return {
+    ...s,
+    tasks: s.tasks.filter((t) => !expired.has(t.id)),
+    comments: s.comments.filter((c) => !expired.has(c.taskId)),
+    taskHistory: s.taskHistory.filter((h) => !expired.has(h.taskId)),
+    attachments: s.attachments.filter((a) => !expired.has(a.taskId)),
+  };
+}
+
+// Roles mirror the server (index.js). Projects created before roles existed
+// treat their first member as the owner.
+const ROLES = {
+  owner: { label: "Owner" },
+  admin: { label: "Admin" },
+  member: { label: "Member" },
+  viewer: { label: "Viewer" },
+};
+
+const PERMISSIONS = {
+  editProject: ["owner", "admin"],
+  deleteProject: ["owner"],
+  manageMembers: ["owner", "admin"],
+  deleteTask: ["owner", "admin"],
+  editTasks: ["owner", "admin", "member"],
+  postMessages: ["owner", "admin", "member"],
+  transferProject: ["owner"],
+};
+// Archived projects are read-only; only these still apply until they are unarchived
+const ARCHIVED_PERMISSIONS = ["editProject", "deleteProject", "manageMembers", "transferProject"];
+
+function roleOf(project, userId) {
+  if (!project || !project.members.includes(userId)) return null;
+  return (project.roles && project.roles[userId]) || (project.members[0] === userId ? "owner" : "member");
+}
+
+function can(project, userId, permission) {
+  if (project?.archivedAt && !ARCHIVED_PERMISSIONS.includes(permission)) return false;
+  return PERMISSIONS[permission].includes(roleOf(project, userId));
+}
+
+function assertActive(project) {
+  if (project?.archivedAt) throw new Error("This project is archived");
+}
+
+function assertCan(project, userId, permission) {
+  if (!ARCHIVED_PERMISSIONS.includes(permission)) assertActive(project);
+  if (!can(project, userId, permission)) throw new Error("You don't have permission to do that");
+}
+
+// Admins manage members and viewers; only owners can grant or touch owner/admin roles.
+function canManageRole(project, actorId, role) {
+  const actor = roleOf(project, actorId);
+  return actor === "owner" || (actor === "admin" && (role === "member" || role === "viewer"));
+}
+
+// Validates changing `userId` to `role` (null = removal) and keeps at least one owner.
+function checkRoleChange(project, actorId, userId, role) {
+  assertCan(project, actorId, "manageMembers");
+  const current = roleOf(project, userId);
+  if (!current) throw new Error("Member not found");
+  if (!canManageRole(project, actorId, current) || (role && !canManageRole(project, actorId, role))) {
+    throw new Error("You can't change that member's role");
+  }
+  const owners = project.members.filter((id) => roleOf(project, id) === "owner");
+  if (current === "owner" && role !== "owner" && owners.length === 1) {
+    throw new Error("A project needs at least one owner");
+  }
+}
+
+// The last owner has to hand the project over (or delete it) before leaving
+function checkLeave(project, userId) {
+  const role = roleOf(project, userId);
+  if (!role) throw new Error("You're not a member of this project");
+  const owners = project.members.filter((id) => roleOf(project, id) === "owner");
+  if (role === "owner" && owners.length === 1) throw new Error("Transfer ownership before leaving, or delete the project");
+}
+
+function checkTransfer(project, actorId, userId) {
+  assertCan(project, actorId, "transferProject");
+  if (!roleOf(project, userId)) throw new Error("Member not found");
+  if (userId === actorId) throw new Error("You already own this project");
+}
+
+function withoutMember(project, userId) {
+  const roles = { ...project.roles };
+  delete roles[userId];
+  return { ...project, members: project.members.filter((id) => id !== userId), roles };
+}
+
+// Drops a project and everything that belongs to it
+function removeProject(s, projectId) {
+  const keep = (r) => r.projectId !== projectId;
+  return {
+    ...s,
+    projects: s.projects.filter((p) => p.id !== projectId),
+    tasks: s.tasks.filter(keep),
+    comments: s.comments.filter(keep),
+    taskHistory: s.taskHistory.filter(keep),
+    activity: s.activity.filter(keep),
+    timeEntries: s.timeEntries.filter(keep),
+    attachments: s.attachments.filter(keep),
+    messages: s.messages.filter(keep),
+    notifications: s.notifications.filter(keep),
+    invites: s.invites.filter(keep),
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmail(value) {
+  return EMAIL_PATTERN.test(value);
+}
+
+function answerInvite(s, inviteId, status) {
+  return {
+    ...s,
+    invites: s.invites.map((i) => (i.id === inviteId ? { ...i, status, respondedAt: nowISO() } : i)),
+  };
+}
+
+// Adds a pending invitation and lets a registered invitee know. `taskIds` are
+// tasks they get assigned once they accept.
+function addInvite(s, project, inviterId, email, role, taskIds = []) {
+  const inviter = s.users.find((u) => u.id === inviterId);
+  const user = s.users.find((u) => u.email === email);
+  const invite = {
+    id: uid("inv"),
+    projectId: project.id,
+    projectName: project.name,
+    email,
+    role,
+    invitedBy: inviterId,
+    inviterName: inviter?.name || inviter?.email || "",
+    taskIds,
+    status: "pending",
+    createdAt: nowISO(),
+    respondedAt: null,
+  };
+  const target = { type: "invite", id: invite.id, label: email };
+  return notify(
+    logActivity({ ...s, invites: [...s.invites, invite] }, project.id, inviterId, "invite.sent", target, null, { role }),
+    user?.id,
+    "invite",
+    `${invite.inviterName} invited you to ${project.name}.`,
+    { projectId: project.id }
+  );
+}
+
+// Adds `user` to the invite's project with the invited role (local mode).
+function joinFromInvite(s, invite, user) {
+  const project = projectOf(s, invite.projectId);
+  const next = answerInvite(s, invite.id, "accepted");
+  if (!project) return next;
+  let joined = next;
+  if (!project.members.includes(user.id)) {
+    joined = notify(
+      logActivity(
+        {
+          ...next,
+          projects: next.projects.map((p) =>
+            p.id === project.id ? { ...p, members: [...p.members, user.id], roles: { ...p.roles, [user.id]: invite.role } } : p
+          ),
+        },
+        project.id,
+        user.id,
+        "member.joined",
+        userTarget(user),
+        null,
+        { role: invite.role }
+      ),
+      invite.invitedBy,
+      "joined",
+      `${user.name || user.email} joined ${project.name}.`,
+      { projectId: project.id }
+    );
+  }
+  // Imported tasks that were theirs, unless someone has taken them meanwhile
+  const taskIds = invite.taskIds || [];
+  const handover = joined.tasks.filter((t) => taskIds.includes(t.id) && t.projectId === project.id && !t.assigneeId && !t.deletedAt);
+  if (handover.length === 0) return joined;
+  return {
+    ...joined,
+    tasks: joined.tasks.map((t) => (handover.includes(t) ? { ...t, assigneeId: user.id } : t)),
+    taskHistory: [...joined.taskHistory, ...handover.map((t) => historyEntry(t, invite.invitedBy, "assigneeId", null, user.id))],
+  };
+}
+
+// Chat markup, mirrored by the server: mentions are stored as @[Name](userId)
+// and task references as #[Title](taskId). The composer shows them as plain
+// "@Name"/"#Title" and converts picked suggestions back on send.
+const CHAT_REFERENCE = /([@#])\[([^\]]+)\]\(([\w-]+)\)/g;
+
+function mentionedIds(content) {
+  return [...new Set([...content.matchAll(CHAT_REFERENCE)].filter((m) => m[1] === "@").map((m) => m[3]))];
+}
+
+function toEditable(content) {
+  const picks = [];
+  const text = content.replace(CHAT_REFERENCE, (_, trigger, label, id) => {
+    picks.push({ trigger, label, id });
+    return `${trigger}${label}`;
+  });
+  return { text, picks };
+}
+
+function fromEditable(text, picks) {
+  return [...picks]
+    .sort((a, b) => b.label.length - a.label.length)
+    .reduce((out, p) => out.split(`${p.trigger}${p.label}`).join(`${p.trigger}[${p.label}](${p.id})`), text);
+}
+
+// Notifies members mentioned in `content` who weren't already mentioned in `previous` (local mode).
+function notifyMentions(s, project, authorId, content, previous = "") {
+  const author = s.users.find((u) => u.id === authorId);
+  const before = mentionedIds(previous);
+  return mentionedIds(content)
+    .filter((id) => id !== authorId && project.members.includes(id) && !before.includes(id))
+    .reduce(
+      (next, id) => notify(next, id, "mention", `${author.name || author.email} mentioned you in ${project.name}.`, { projectId: project.id }),
+      s
+    );
+}
+
+function projectOf(store, projectId) {
+  return store.projects.find((p) => p.id === projectId) || null;
+}
+
+function initials(name = "?") {
+  return name
+    .split(" ")
+    .map((s) => s[0])
+    .filter(Boolean)
+    .slice(0, 2)
+    .join("")
+    .toUpperCase();
+}
+
+function dateFriendly(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  return d.toLocaleDateString();
+}
+
+function dateTimeFriendly(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+function dueSoon(iso) {
+  if (!iso) return false;
+  const d = new Date(iso).getTime();
+  const diff = d - Date.now();
+  return diff > 0 && diff < 1000 * 60 * 60 * 24 * 2; // within 48h
+}
+
+function isOverdue(task) {
+  return Boolean(task.dueDate) && new Date(task.dueDate).getTime() < Date.now() && task.status !== "done";
+}
+
+// Calendar days are "YYYY-MM-DD" strings in local time, as date inputs produce them.
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function addDays(key, days) {
+  const d = parseDateKey(key);
+  d.setDate(d.getDate() + days);
+  return dateKey(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / DAY_MS);
+}
+
+// Monday of the week containing `key`
+function weekStart(key) {
+  return addDays(key, -((parseDateKey(key).getDay() + 6) % 7));
+}
+
+function dayLabel(key, options) {
+  return parseDateKey(key).toLocaleDateString(undefined, options);
+}
+
+// First and last scheduled day of a task (a single date stands for both), or null
+function taskSpan(task) {
+  const start = task.startDate || task.dueDate;
+  return start ? { start, end: task.dueDate || task.startDate } : null;
+}
+
+// Moves whichever dates a task has by `days`, keeping its duration
+function shiftDates(task, days) {
+  const patch = {};
+  if (task.startDate) patch.startDate = addDays(task.startDate, days);
+  if (task.dueDate) patch.dueDate = addDays(task.dueDate, days);
+  return patch;
+}
+
+function checkDates(startDate, dueDate) {
+  if (startDate && dueDate && startDate > dueDate) throw new Error("Start date can't be after the due date");
+}
+
+// Recurring tasks, as on the server. `task.recurrence` is the rule: "daily"
+// every `interval` days, "weekly" on `weekdays` (0 = Sunday) every `interval`
+// weeks, "monthly" on `monthDay` every `interval` months, ending after `until`
+// or `count` occurrences. `task.series` ties the occurrences together
+// ({ id, index }) and holds what each new occurrence starts with.
+const RECURRENCE_FREQS = {
+  daily: { label: "Daily", unit: "day" },
+  weekly: { label: "Weekly", unit: "week" },
+  monthly: { label: "Monthly", unit: "month" },
+};
+const SERIES_FIELDS = ["title", "description", "assigneeId"];
+
+function weekdayLabel(day, format = "short") {
+  return new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday: format }); // 7 Jan 2024 was a Sunday
+}
+
+// Validates a rule from the form; resolves to the normalized rule (null for none)
+function checkRecurrence(rule, dueDate) {
+  if (!rule) return null;
+  if (!RECURRENCE_FREQS[rule.freq]) throw new Error("Unknown repeat frequency");
+  const interval = Number(rule.interval || 1);
+  if (!Number.isInteger(interval) || interval < 1) throw new Error("Repeat interval must be a positive whole number");
+  const weekdays = [...new Set((rule.weekdays || []).map(Number))].sort((a, b) => a - b);
+  if (rule.freq === "weekly" && weekdays.length === 0) throw new Error("Pick at least one weekday");
+  const monthDay = Number(rule.monthDay || 1);
+  if (rule.freq === "monthly" && (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31)) throw new Error("Day of the month must be 1-31");
+  const count = rule.count === "" || rule.count === null || rule.count === undefined ? null : Number(rule.count);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) throw new Error("Number of occurrences must be a positive whole number");
+  const until = rule.until || "";
+  if (!dueDate) throw new Error("Recurring tasks need a due date");
+  if (until && until < dueDate) throw new Error("The repeat end date can't be before the due date");
+  return {
+    freq: rule.freq,
+    interval,
+    weekdays: rule.freq === "weekly" ? weekdays : [],
+    monthDay: rule.freq === "monthly" ? monthDay : null,
+    until,
+    count,
+  };
+}
+
+// "every 2 weeks on Mon, Thu, until 1/3/2027"
+function describeRecurrence(rule) {
+  const unit = RECURRENCE_FREQS[rule.freq].unit;
+  const every = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  const on =
+    rule.freq === "weekly" ? ` on ${rule.weekdays.map((d) => weekdayLabel(d)).join(", ")}` : rule.freq === "monthly" ? ` on day ${rule.monthDay}` : "";
+  const end = rule.until ? `, until ${dateFriendly(rule.until)}` : rule.count ? `, ${rule.count} times` : "";
+  return every + on + end;
+}
+
+// First day after `from` that the rule falls on. The loops stop after a full
+// cycle, which only runs out (null) when the rule or date is malformed.
+function nextDueDate(rule, from) {
+  if (rule.freq === "daily") return addDays(from, rule.interval);
+  if (rule.freq === "weekly") {
+    const firstWeek = weekStart(from);
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      const day = addDays(from, i);
+      const weeks = daysBetween(firstWeek, weekStart(day)) / 7;
+      if (weeks % rule.interval === 0 && rule.weekdays.includes(parseDateKey(day).getDay())) return day;
+    }
+    return null;
+  }
+  const start = parseDateKey(from);
+  for (let months = 0; months <= rule.interval; months += rule.interval) {
+    const lastDay = new Date(start.getFullYear(), start.getMonth() + months + 1, 0).getDate();
+    const day = dateKey(new Date(start.getFullYear(), start.getMonth() + months, Math.min(rule.monthDay, lastDay)));
+    if (day > from) return day;
+  }
+  return null;
+}
+
+// The task's series with `fields` taken over from the task (a new series for a task without one)
+function seriesOf(task, fields = SERIES_FIELDS) {
+  const series = task.series || { id: uid("series"), index: 1 };
+  return { ...series, ...Object.fromEntries((task.series ? fields : SERIES_FIELDS).map((f) => [f, task[f]])) };
+}
+
+// Another occurrence after a series-wide edit of `task`: it takes the new rule
+// and starting values and, while open, the edited `fields`
+function followSeries(occurrence, task, fields) {
+  const edited = occurrence.status === "done" ? [] : fields;
+  return {
+    ...occurrence,
+    ...Object.fromEntries(edited.map((f) => [f, task[f]])),
+    recurrence: task.recurrence,
+    series: { ...task.series, index: occurrence.series.index },
+  };
+}
+
+// The occurrence after a completed one, or null when the series has ended or
+// the next occurrence exists already (the task was completed before)
+function nextOccurrence(task, project, tasks) {
+  const { recurrence: rule, series } = task;
+  if (!rule || !series || !task.dueDate) return null;
+  if (rule.count && series.index >= rule.count) return null;
+  if (tasks.some((t) => t.series && t.series.id === series.id && t.series.index > series.index && !t.deletedAt)) return null;
+  const dueDate = nextDueDate(rule, task.dueDate);
+  if (!dueDate || (rule.until && dueDate > rule.until)) return null;
+  return {
+    id: uid("task"),
+    projectId: task.projectId,
+    title: series.title,
+    description: series.description,
+    assigneeId: project.members.includes(series.assigneeId) ? series.assigneeId : null,
+    startDate: task.startDate ? addDays(dueDate, -daysBetween(task.startDate, task.dueDate)) : "",
+    dueDate,
+    status: projectColumns(project)[0].id,
+    recurrence: rule,
+    series: { ...series, index: series.index + 1 },
+    createdAt: nowISO(),
+  };
+}
+
+// Time tracking, as on the server: entries log `minutes` on a task on `date`;
+// a running timer is an entry with `startedAt` and no minutes yet, at most
+// one per user. Removed entries keep `deletedAt`.
+const TIMER_MIN_MS = 60 * 1000; // shorter timers are dropped rather than logged
+const ENTRY_MAX_MINUTES = 24 * 60; // one entry covers at most a day; longer timers are cut to it
+
+function checkTimeEntry(date, minutes) {
+  if (!date) throw new Error("Pick a date");
+  if (!Number.isInteger(minutes) || minutes < 1) throw new Error("Time must be at least a minute");
+  if (minutes > ENTRY_MAX_MINUTES) throw new Error("One entry can be at most 24h");
+}
+
+// "90", "1:30", "1h 30m", "1.5h" and "2h" are all understood, a bare number
+// being minutes; null when blank
+function parseDuration(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (!value) return null;
+  const clock = value.match(/^(\d+):([0-5]\d)$/);
+  const units = value.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  let minutes = NaN;
+  if (clock) minutes = Number(clock[1]) * 60 + Number(clock[2]);
+  else if (/^\d+$/.test(value)) minutes = Number(value);
+  else if (units && (units[1] || units[2])) minutes = Number(units[1] || 0) * 60 + Number(units[2] || 0);
+  if (!Number.isFinite(minutes) || Math.round(minutes) < 1) throw new Error(`"${text}" isn't a duration, try 90m or 1h 30m`);
+  return Math.round(minutes);
+}
+
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return h && m ? `${h}h ${m}m` : h ? `${h}h` : `${m}m`;
+}
+
+function liveTimeEntries(store) {
+  return store.timeEntries.filter((e) => !e.deletedAt);
+}
+
+function runningTimer(store, userId) {
+  return liveTimeEntries(store).find((e) => e.userId === userId && e.startedAt && e.minutes === null) || null;
+}
+
+function stopTimerEntry(entry) {
+  const endedAt = nowISO();
+  const elapsed = Date.parse(endedAt) - Date.parse(entry.startedAt);
+  if (elapsed < TIMER_MIN_MS) return { ...entry, endedAt, deletedAt: endedAt };
+  return { ...entry, endedAt, minutes: Math.min(Math.round(elapsed / 60000), ENTRY_MAX_MINUTES) };
+}
+
+// Logged minutes on a task (running timers not included)
+function taskMinutes(store, taskId) {
+  return liveTimeEntries(store)
+    .filter((e) => e.taskId === taskId && e.minutes !== null)
+    .reduce((sum, e) => sum + e.minutes, 0);
+}
+
+// Attachments. The server checks uploads against its own limits; local mode
+// keeps the contents in browser storage, so it takes much smaller files and
+// only a few megabytes of them altogether.
+const LOCAL_ATTACHMENT_MAX_BYTES = 1024 * 1024;
+const LOCAL_ATTACHMENTS_MAX_TOTAL_BYTES = 3 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+  "application/json",
+  "application/zip",
+  "application/msword",
+  "application/vnd.ms-excel",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.*",
+];
+
+function liveAttachments(store) {
+  return store.attachments.filter((a) => !a.deletedAt);
+}
+
+function isImage(attachment) {
+  return attachment.type.startsWith("image/");
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Throws if `files` won't fit in what's left of local mode's attachment space.
+// Trashed attachments still count until they're purged.
+function assertAttachmentRoom(s, files) {
+  const used = s.attachments.reduce((sum, a) => sum + a.size, 0);
+  const adding = files.reduce((sum, f) => sum + f.size, 0);
+  if (used + adding > LOCAL_ATTACHMENTS_MAX_TOTAL_BYTES) {
+    const left = Math.max(0, LOCAL_ATTACHMENTS_MAX_TOTAL_BYTES - used);
+    throw new Error(`Not enough room for that in local mode (${formatBytes(left)} left); remove some attachments first`);
+  }
+}
+
+// Reads a picked file into an attachment record (local mode)
+function readAttachment(s, file, links) {
+  if (!ATTACHMENT_TYPES.some((t) => (t.endsWith("*") ? file.type.startsWith(t.slice(0, -1)) : file.type === t))) {
+    throw new Error(`${file.name}: that file type isn't allowed`);
+  }
+  if (file.size > LOCAL_ATTACHMENT_MAX_BYTES) {
+    throw new Error(`${file.name}: files can be up to ${formatBytes(LOCAL_ATTACHMENT_MAX_BYTES)} in local mode`);
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve({
+        id: uid("att"),
+        taskId: null,
+        messageId: null,
+        ...links,
+        uploaderId: s.currentUserId,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        dataUrl: reader.result,
+        createdAt: nowISO(),
+      });
+    reader.onerror = () => reject(new Error(`Couldn't read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// ------------------ Routing ------------------
+// Screens are route objects ({ name, ...params }) mirrored in the URL, so links
+// can be shared and the browser's back/forward buttons work:
+//   /                                  dashboard
+//   /login, /signup                    auth; ?next= is where to go once signed in
+//   /reset?token=…                     password reset (older /?reset=… links work too)
+//   /calendar, /timesheet, /profile
+//   /projects/:id, /projects/:id/analytics, /projects/:projectId/tasks/:id
+// Params that aren't part of the URL (`newTask`) only last until the next navigation.
+const PUBLIC_ROUTES = ["auth", "reset"];
+const PAGE_ROUTES = ["calendar", "timesheet", "profile"];
+
+function routeToUrl(route) {
+  const id = encodeURIComponent;
+  switch (route.name) {
+    case "auth":
+      return `/${route.mode === "signup" ? "signup" : "login"}${route.next ? `?next=${id(route.next)}` : ""}`;
+    case "reset":
+      return `/reset?token=${id(route.token)}`;
+    case "project":
+      return `/projects/${id(route.id)}`;
+    case "analytics":
+      return `/projects/${id(route.id)}/analytics`;
+    case "task":
+      return `/projects/${id(route.projectId)}/tasks/${id(route.id)}`;
+    case "notFound":
+      return route.url;
+    default:
+      return PAGE_ROUTES.includes(route.name) ? `/${route.name}` : "/";
+  }
+}
+
+// `url` is a path with an optional query, e.g. window.location or "/login?next=…"
+function routeFromUrl(url) {
+  const { pathname, search } = typeof url === "string" ? new URL(url, "http://app") : url;
+  const query = new URLSearchParams(search);
+  if (query.get("reset")) return { name: "reset", token: query.get("reset") };
+  let parts;
+  try {
+    parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    parts = null;
+  }
+  const [first, id, sub, taskId] = parts || [];
+  if (parts && parts.length === 0) return { name: "dashboard" };
+  if (parts && parts.length === 1) {
+    if (first === "login" || first === "signup") {
+      const next = query.get("next");
+      // Only paths within the app, never another site
+      return { name: "auth", mode: first, next: next && /^\/(?!\/)/.test(next) ? next : undefined };
+    }
+    if (first === "reset" && query.get("token")) return { name: "reset", token: query.get("token") };
+    if (PAGE_ROUTES.includes(first)) return { name: first };
+  }
+  if (first === "projects" && id) {
+    if (parts.length === 2) return { name: "project", id };
+    if (parts.length === 3 && sub === "analytics") return { name: "analytics", id };
+    if (parts.length === 4 && sub === "tasks") return { name: "task", projectId: id, id: taskId };
+  }
+  return { name: "notFound", url: `${pathname}${search}` };
+}
+
+// Where the user may be: signed-out visitors only get the auth screens and
+// return to the page they asked for after signing in; signed-in users skip them.
+function guardRoute(route, signedIn) {
+  if (!signedIn) {
+    if (PUBLIC_ROUTES.includes(route.name)) return route;
+    return { name: "auth", mode: "login", next: route.name === "dashboard" ? undefined : routeToUrl(route) };
+  }
+  if (route.name === "auth" && route.next) return routeFromUrl(route.next);
+  return PUBLIC_ROUTES.includes(route.name) ? { name: "dashboard" } : route;
+}
+
+// The current route and navigate(route, { replace }). Navigation pushes a
+// history entry unless it replaces the current one (redirects) or the URL
+// doesn't change.
+function useRoute() {
+  const [route, setRoute] = useState(() => routeFromUrl(window.location));
+
+  useEffect(() => {
+    const onPopState = () => setRoute(routeFromUrl(window.location));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  function navigate(next, { replace = false } = {}) {
+    const url = routeToUrl(next);
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+      window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    }
+    setRoute(next);
+  }
+
+  return [route, navigate];
+}
+
+// ------------------ Root App ------------------
+export default function App() {
+  const { store, setStore, actions, status } = useDataStore(dataAdapter);
+  const currentUser = store.users.find((u) => u.id === store.currentUserId) || null;
+  const [route, navigate] = useRoute();
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  useDueReminders(dataAdapter, Boolean(currentUser), setStore);
+  const live = useLiveUpdates(dataAdapter, Boolean(currentUser), setStore);
+  const sync = useOfflineSync(dataAdapter, Boolean(currentUser), setStore);
+
+  // Route guard; redirects replace the history entry so Back doesn't bounce
+  useEffect(() => {
+    if (status.loading) return;
+    const allowed = guardRoute(route, Boolean(currentUser));
+    if (allowed !== route) navigate(allowed, { replace: true });
+  }, [status.loading, store.currentUserId, route]);
+
+  useEffect(() => {
+    if (!currentUser) return;
+    function onKeyDown(e) {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setPaletteOpen((o) => !o);
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [Boolean(currentUser)]);
+
+  function backToLogin() {
+    navigate({ name: "auth", mode: "login" }, { replace: true });
+  }
+
+  // Notifications link to their task, else their project, else the dashboard
+  function openNotification(n) {
+    if (!n.read) actions.markNotificationsRead([n.id]);
+    const task = n.taskId && store.tasks.find((t) => t.id === n.taskId && !t.deletedAt);
+    if (task) navigate({ name: "task", projectId: task.projectId, id: task.id });
+    else if (n.projectId && projectOf(store, n.projectId)) navigate({ name: "project", id: n.projectId });
+    else navigate({ name: "dashboard" });
+  }
+
+  async function signOut(everywhere = false) {
+    // Still signed in when it failed (the error is shown), so stay put
+    if (await (everywhere ? actions.signOutEverywhere() : actions.signOut())) navigate({ name: "auth", mode: "login" });
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900">
+      <Header
+        currentUser={currentUser}
+        onProfile={() => navigate({ name: "profile" })}
+        onDashboard={() => navigate({ name: "dashboard" })}
+        onSignOut={() => signOut()}
+        onSignOutEverywhere={dataAdapter.mode === "http" ? () => signOut(true) : null}
+        onOpenNotification={openNotification}
+        onOpenTask={(task) => navigate({ name: "task", projectId: task.projectId, id: task.id })}
+        onSearch={() => setPaletteOpen(true)}
+        sync={sync}
+        store={store}
+        actions={actions}
+      />
+
+      {currentUser && (
+        <CommandPalette
+          open={paletteOpen}
+          onOpenChange={setPaletteOpen}
+          store={store}
+          currentUser={currentUser}
+          onNavigate={navigate}
+          onSignOut={() => signOut()}
+        />
+      )}
+
+      <main className="max-w-7xl mx-auto p-4 md:p-6">
+        {status.error && (
+          <div className="mb-4 flex items-center justify-between gap-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">
+            <span>{status.error}</span>
+            <Button variant="ghost" size="sm" onClick={status.clearError}>Dismiss</Button>
+          </div>
+        )}
+        {!status.loading && dataAdapter.storageIssues && <StorageNotice issues={dataAdapter.storageIssues()} />}
+        {status.loading && <div className="py-10 text-center text-sm text-slate-500">Loading…</div>}
+        <AnimatePresence mode="wait">
+          {!status.loading && route.name === "auth" && (
+            <AuthScreen
+              key="auth"
+              mode={route.mode}
+              onMode={(m) => navigate({ ...route, mode: m }, { replace: true })}
+              actions={actions}
+              busy={status.busy}
+            />
+          )}
+
+          {!status.loading && route.name === "reset" && (
+            <ResetPasswordScreen
+              key="reset"
+              token={route.token}
+              actions={actions}
+              busy={status.busy}
+              onDone={backToLogin}
+            />
+          )}
+
+          {route.name === "dashboard" && currentUser && (
+            <Dashboard
+              key="dash"
+              store={store}
+              actions={actions}
+              currentUser={currentUser}
+              onOpenProject={(pid) => navigate({ name: "project", id: pid })}
+              onOpenCalendar={() => navigate({ name: "calendar" })}
+              onOpenTimesheet={() => navigate({ name: "timesheet" })}
+            />)
+          }
+
+          {route.name === "timesheet" && currentUser && (
+            <Timesheet key="timesheet" store={store} currentUser={currentUser} onBack={() => navigate({ name: "dashboard" })} />
+          )}
+
+          {route.name === "calendar" && currentUser && (
+            <MyCalendar
+              key="calendar"
+              store={store}
+              actions={actions}
+              currentUser={currentUser}
+              onBack={() => navigate({ name: "dashboard" })}
+              onOpenTask={(task) => navigate({ name: "task", projectId: task.projectId, id: task.id })}
+            />
+          )}
+
+          {route.name === "project" && currentUser && (
+            <ProjectView
+              key={route.id}
+              store={store}
+              actions={actions}
+              currentUser={currentUser}
+              projectId={route.id}
+              newTask={route.newTask}
+              live={live}
+              onBack={() => navigate({ name: "dashboard" })}
+              onOpenTask={(tid) => navigate({ name: "task", projectId: route.id, id: tid })}
+              onOpenAnalytics={() => navigate({ name: "analytics", id: route.id })}
+            />
+          )}
+
+          {route.name === "analytics" && currentUser && (
+            <ProjectAnalytics
+              key={`analytics-${route.id}`}
+              store={store}
+              actions={actions}
+              projectId={route.id}
+              onBack={() => navigate({ name: "project", id: route.id })}
+              onOpenTask={(task) => navigate({ name: "task", projectId: task.projectId, id: task.id })}
+            />
+          )}
+
+          {route.name === "task" && currentUser && (
+            <TaskDetail
+              key={route.id}
+              store={store}
+              actions={actions}
+              currentUser={currentUser}
+              projectId={route.projectId}
+              taskId={route.id}
+              onBack={() => navigate({ name: "project", id: route.projectId })}
+            />
+          )}
+
+          {route.name === "profile" && currentUser && (
+            <ProfileSettings
+              key="profile"
+              store={store}
+              actions={actions}
+              currentUser={currentUser}
+              onBack={() => navigate({ name: "dashboard" })}
+            />
+          )}
+
+          {route.name === "notFound" && currentUser && (
+            <EmptyState
+              key="not-found"
+              title="Page not found"
+              subtitle="This link doesn't lead anywhere in SynergySphere."
+              action={<Button onClick={() => navigate({ name: "dashboard" })}>Go to dashboard</Button>}
+            />
+          )}
+        </AnimatePresence>
+      </main>
+      <Footer />
+    </div>
+  );
+}
+
+// Tells the user when stored records were unreadable (local mode) and lets
+// them download what was set aside
+function StorageNotice({ issues }) {
+  const [dismissed, setDismissed] = useState(false);
+  if (dismissed || issues.length === 0) return null;
+  const n = issues.length;
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-2 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+      <span className="flex items-center gap-2">
+        <AlertTriangle className="h-4 w-4" />
+        {n} saved {n === 1 ? "record" : "records"} couldn’t be read and {n === 1 ? "was" : "were"} set aside.
+      </span>
+      <div className="flex gap-1">
+        <Button variant="ghost" size="sm" onClick={() => downloadJson("synergysphere-quarantine.json", readQuarantine())}>Download</Button>
+        <Button variant="ghost" size="sm" onClick={() => setDismissed(true)}>Dismiss</Button>
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Header & Footer ------------------
+function Header({ currentUser, onProfile, onDashboard, onSignOut, onSignOutEverywhere, onOpenNotification, onOpenTask, onSearch, sync, store, actions }) {
+
+  return (
+    <header className="sticky top-0 z-40 bg-white/80 backdrop-blur border-b">
+      <div className="max-w-7xl mx-auto flex items-center justify-between p-3 md:p-4">
+        <div className="flex items-center gap-3">
+          <div className="h-9 w-9 rounded-2xl bg-indigo-600 text-white grid place-items-center font-bold">SS</div>
+          <button onClick={onDashboard} className="text-lg md:text-xl font-semibold">SynergySphere</button>
+          <Badge className="ml-2">MVP</Badge>
+        </div>
+
+        {currentUser ? (
+          <div className="flex items-center gap-2">
+            <Button variant="outline" className="gap-2 text-slate-500 md:w-56 md:justify-start" title="Search (Ctrl+K)" onClick={onSearch}>
+              <Search className="h-4 w-4" />
+              <span className="hidden md:inline flex-1 text-left">Search...</span>
+              <kbd className="hidden md:inline rounded border px-1 text-[10px]">Ctrl K</kbd>
+            </Button>
+            <RunningTimer store={store} currentUser={currentUser} actions={actions} onOpenTask={onOpenTask} />
+            {sync && <SyncStatus sync={sync} store={store} />}
+            <NotificationCenter store={store} actions={actions} onOpen={onOpenNotification} />
+
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="ghost" className="gap-2">
+                  <CircleUser className="h-5 w-5" />
+                  <span className="hidden sm:inline">{currentUser.name || currentUser.email}</span>
+                  <ChevronRight className="h-4 w-4 opacity-60" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuLabel className="max-w-[240px] truncate">
+                  {currentUser.email}
+                </DropdownMenuLabel>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onClick={onProfile}>
+                  <Settings className="h-4 w-4 mr-2" /> Profile & Settings
+                </DropdownMenuItem>
+                <DropdownMenuItem onClick={onDashboard}>Dashboard</DropdownMenuItem>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onClick={onSignOut} className="text-rose-600">
+                  <LogOut className="h-4 w-4 mr-2" /> Sign out
+                </DropdownMenuItem>
+                {onSignOutEverywhere && (
+                  <DropdownMenuItem onClick={onSignOutEverywhere} className="text-rose-600">
+                    <LogOut className="h-4 w-4 mr-2" /> Sign out everywhere
+                  </DropdownMenuItem>
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          </div>
+        ) : (
+          <div className="text-sm px-2">Welcome</div>
+        )}
+      </div>
+    </header>
+  );
+}
+
+// One line per conflict log entry: a change the server turned down, or a
+// field where a queued edit and someone else's change collided.
+function describeConflict(c, store) {
+  if (c.error) return `${c.label} not applied: ${c.error}`;
+  const project = projectOf(store, c.projectId);
+  const field = c.field === "order" ? "position" : TRACKED_FIELDS[c.field] || c.field;
+  if (c.field === "description" || c.field === "order") {
+    return c.kept === "mine" ? `${c.label}: your ${field} replaced a newer change` : `${c.label}: kept a newer ${field} over yours`;
+  }
+  const format = (value) => fieldValueLabel(c.field, value, project, store);
+  return c.kept === "mine"
+    ? `${c.label}: your ${field} ${format(c.mine)} replaced ${format(c.theirs)}`
+    : `${c.label}: kept ${field} ${format(c.theirs)} over your ${format(c.mine)}`;
+}
+
+function SyncStatus({ sync, store }) {
+  const waiting = sync.pending > 0 || sync.conflicts.length > 0;
+  const Icon = sync.syncing ? RefreshCw : sync.online ? Cloud : CloudOff;
+  const changes = `${sync.pending} change${sync.pending === 1 ? "" : "s"}`;
+  const summary = sync.syncing
+    ? "Syncing…"
+    : !sync.online
+      ? `Offline · ${changes} waiting to sync`
+      : sync.pending > 0
+        ? `${changes} waiting to sync`
+        : "All changes synced";
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" title={summary}>
+          <div className="relative">
+            <Icon className={`h-5 w-5 ${sync.syncing ? "animate-spin" : ""} ${sync.online ? "" : "text-amber-600"}`} />
+            {waiting && <span className="absolute -top-0.5 -right-0.5 h-2 w-2 rounded-full bg-amber-500" />}
+          </div>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <DropdownMenuLabel>{summary}</DropdownMenuLabel>
+        <DropdownMenuItem disabled={sync.syncing} onClick={sync.syncNow}>
+          <RefreshCw className="h-4 w-4 mr-2" /> Sync now
+        </DropdownMenuItem>
+        {sync.conflicts.length > 0 && (
+          <>
+            <DropdownMenuSeparator />
+            <DropdownMenuLabel className="text-xs text-slate-500">Merged or rejected changes</DropdownMenuLabel>
+            <div className="max-h-72 overflow-auto">
+              {sync.conflicts.map((c) => (
+                <div key={c.id} className="px-2 py-1.5 text-sm">
+                  <div>{describeConflict(c, store)}</div>
+                  <div className="text-xs text-slate-500">{dateTimeFriendly(c.at)}</div>
+                </div>
+              ))}
+            </div>
+            <DropdownMenuItem onClick={sync.clearConflicts}>
+              <Trash2 className="h-4 w-4 mr-2" /> Clear conflicts
+            </DropdownMenuItem>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+function NotificationCenter({ store, actions, onOpen }) {
+  const mine = useMemo(
+    () =>
+      store.notifications
+        .filter((n) => n.userId === store.currentUserId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    [store.notifications, store.currentUserId]
+  );
+  const unread = mine.filter((n) => !n.read).length;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" title="Notifications">
+          <div className="relative">
+            <Bell className="h-5 w-5" />
+            {unread > 0 && (
+              <span className="absolute -top-1 -right-1 text-[10px] bg-rose-600 text-white rounded-full h-4 w-4 grid place-items-center">
+                {unread > 9 ? "9+" : unread}
+              </span>
+            )}
+          </div>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <div className="flex items-center justify-between px-2 py-1.5">
+          <DropdownMenuLabel className="p-0">Notifications</DropdownMenuLabel>
+          <Button variant="ghost" size="sm" disabled={unread === 0} onClick={() => actions.markNotificationsRead()}>
+            Mark all read
+          </Button>
+        </div>
+        <DropdownMenuSeparator />
+        <div className="max-h-96 overflow-auto">
+          {mine.length === 0 && <div className="px-2 py-6 text-center text-sm text-slate-500">You're all caught up.</div>}
+          {mine.map((n) => (
+            <DropdownMenuItem key={n.id} onClick={() => onOpen(n)} className="items-start gap-2">
+              <span className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${n.read ? "bg-transparent" : "bg-indigo-600"}`} />
+              <div className="flex-1 min-w-0">
+                <div className={`text-sm ${n.read ? "text-slate-600" : "font-medium"}`}>{n.text}</div>
+                <div className="text-xs text-slate-500">{dateTimeFriendly(n.createdAt)}</div>
+              </div>
+              {!n.read && (
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-6 w-6"
+                  title="Mark as read"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    actions.markNotificationsRead([n.id]);
+                  }}
+                >
+                  <Check className="h-3.5 w-3.5" />
+                </Button>
+              )}
+            </DropdownMenuItem>
+          ))}
+        </div>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+function Footer() {
+  return (
+    <footer className="border-t mt-8">
+      <div className="max-w-7xl mx-auto p-4 text-xs text-slate-500 flex flex-wrap items-center justify-between gap-2">
+        <div>© {new Date().getFullYear()} SynergySphere (MVP)</div>
+        <div>Built for clarity • mobile-first • {dataAdapter.mode === "http" ? "synced with server" : "local-only demo"}</div>
+      </div>
+    </footer>
+  );
+}
+
+// ------------------ Auth ------------------
+function AuthScreen({ mode = "login", onMode, actions, busy }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(false);
+
+  function login() {
+    if (!email.trim() || !password) return setError("Email and password required");
+    setError("");
+    actions.login({ email, password });
+  }
+
+  function signup() {
+    if (!email.trim() || !password) return setError("Email and password required");
+    setError("");
+    actions.signup({ name, email, password });
+  }
+
+  async function forgot() {
+    if (!email.trim()) return setError("Enter your email first");
+    setError("");
+    if (await actions.requestPasswordReset(email)) setSent(true);
+  }
+
+  if (mode === "forgot") {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: -10 }}
+        className="grid place-items-center py-10"
+      >
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle className="text-center">Reset your password</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {sent ? (
+              <p className="text-sm text-slate-600">
+                If <span className="font-medium">{email.trim()}</span> is registered, a reset link is on its way.
+              </p>
+            ) : (
+              <div>
+                <label className="text-sm">Email</label>
+                <Input value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@work.com" />
+              </div>
+            )}
+            {error && <p className="text-rose-600 text-sm">{error}</p>}
+            <div className="grid gap-2 pt-2">
+              {!sent && <Button onClick={forgot} disabled={busy}>Send reset link</Button>}
+              <Button variant="ghost" onClick={() => { setSent(false); onMode("login"); }}>Back to login</Button>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="grid place-items-center py-10"
+    >
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle className="text-center">{mode === "login" ? "Welcome back" : "Create your account"}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {mode === "signup" && (
+            <div>
+              <label className="text-sm">Name</label>
+              <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Ada Lovelace" />
+            </div>
+          )}
+          <div>
+            <label className="text-sm">Email</label>
+            <Input value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@work.com" />
+          </div>
+          <div>
+            <label className="text-sm">Password</label>
+            <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
+          </div>
+          {error && <p className="text-rose-600 text-sm">{error}</p>}
+          <div className="grid grid-cols-2 gap-2 pt-2">
+            {mode === "login" ? (
+              <>
+                <Button onClick={login} disabled={busy} className="col-span-2">Log in</Button>
+                <Button variant="ghost" onClick={() => onMode("signup")}>Create an account</Button>
+                <Button variant="ghost" onClick={() => onMode("forgot")}>Forgot password</Button>
+              </>
+            ) : (
+              <>
+                <Button onClick={signup} disabled={busy} className="col-span-2">Sign up</Button>
+                <Button variant="ghost" onClick={() => onMode("login")} className="col-span-2">Back to login</Button>
+              </>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
+
+function ResetPasswordScreen({ token: initialToken = "", actions, busy, onDone }) {
+  const [token, setToken] = useState(initialToken);
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  async function reset() {
+    if (!token.trim()) return setError("Reset token required");
+    if (!password) return setError("Choose a new password");
+    if (password !== confirm) return setError("Passwords don't match");
+    setError("");
+    if (await actions.resetPassword({ token, password })) setDone(true);
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="grid place-items-center py-10"
+    >
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle className="text-center">Choose a new password</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {done ? (
+            <p className="text-sm text-slate-600">Your password was updated. Log in with your new password.</p>
+          ) : (
+            <>
+              {!initialToken && (
+                <div>
+                  <label className="text-sm">Reset token</label>
+                  <Input value={token} onChange={(e) => setToken(e.target.value)} placeholder="Paste the token from your email" />
+                </div>
+              )}
+              <div>
+                <label className="text-sm">New password</label>
+                <Input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="••••••••" />
+              </div>
+              <div>
+                <label className="text-sm">Confirm password</label>
+                <Input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="••••••••" />
+              </div>
+            </>
+          )}
+          {error && <p className="text-rose-600 text-sm">{error}</p>}
+          <div className="grid gap-2 pt-2">
+            {!done && <Button onClick={reset} disabled={busy}>Update password</Button>}
+            <Button variant="ghost" onClick={onDone}>Back to login</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
+
+// ------------------ Dashboard ------------------
+function Dashboard({ store, actions, currentUser, onOpenProject, onOpenCalendar, onOpenTimesheet }) {
+  const projects = store.projects.filter((p) => p.members.includes(currentUser.id));
+  const invitations = store.invites.filter((i) => i.email === currentUser.email && i.status === "pending");
+  const [newProjectOpen, setNewProjectOpen] = useState(false);
+  const [draft, setDraft] = useState(() => projectDraft());
+  const [filter, setFilter] = useState("active");
+  const shown = projects.filter((p) => Boolean(p.archivedAt) === (filter === "archived"));
+  const downloadBundle = useBundleDownload(store, actions);
+
+  async function createProject() {
+    if (!draft.name.trim()) return;
+    if (!(await actions.createProject(draftFields(draft)))) return;
+    setDraft(projectDraft());
+    setNewProjectOpen(false);
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
+      <div className="flex items-center justify-between gap-3">
+        <div>
           <h1 className="text-2xl md:text-3xl font-bold">Your Projects</h1>
           <p className="text-sm text-slate-600">Quick overview of everything you’re part of.</p>
         </div>
-        <Dialog open={newProjectOpen} onOpenChange={setNewProjectOpen}>
-          <DialogTrigger asChild>
-            <Button className="gap-2"><Plus className="h-4 w-4" /> New Project</Button>
-          </DialogTrigger>
-          <DialogContent>
-            <DialogHeader>
-              <DialogTitle>Create a project</DialogTitle>
-              <DialogDescription>Give your project a short, clear name.</DialogDescription>
-            </DialogHeader>
-            <Input placeholder="Project name" value={name} onChange={(e) => setName(e.target.value)} />
-            <DialogFooter>
-              <Button onClick={createProject}>Create</Button>
-            </DialogFooter>
-          </DialogContent>
-        </Dialog>
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          <Button variant="outline" className="gap-2" onClick={onOpenCalendar}><CalendarDays className="h-4 w-4" /> My calendar</Button>
+          <Button variant="outline" className="gap-2" onClick={onOpenTimesheet}><Timer className="h-4 w-4" /> Timesheet</Button>
+          <Button
+            variant="outline"
+            className="gap-2"
+            disabled={projects.length === 0}
+            onClick={() => downloadBundle(`synergysphere-${dateKey(new Date())}.json`, projects.map((p) => p.id))}
+          >
+            <Download className="h-4 w-4" /> Export
+          </Button>
+          <ImportDialog store={store} actions={actions} currentUser={currentUser} />
+          <Dialog open={newProjectOpen} onOpenChange={setNewProjectOpen}>
+            <DialogTrigger asChild>
+              <Button className="gap-2"><Plus className="h-4 w-4" /> New Project</Button>
+            </DialogTrigger>
+            <DialogContent className="max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>Create a project</DialogTitle>
+                <DialogDescription>Give your project a short, clear name. Everything else is optional and can be changed later.</DialogDescription>
+              </DialogHeader>
+              <ProjectDetailsForm draft={draft} onChange={setDraft} />
+              <DialogFooter>
+                <Button onClick={createProject}>Create</Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
+        </div>
+      </div>
+
+      {invitations.length > 0 && (
+        <Card>
+          <CardHeader className="pb-2"><CardTitle className="text-base">Invitations</CardTitle></CardHeader>
+          <CardContent className="space-y-2">
+            {invitations.map((i) => (
+              <div key={i.id} className="flex flex-wrap items-center gap-2 text-sm">
+                <div className="flex-1 min-w-0">
+                  <span className="font-medium">{i.inviterName || "Someone"}</span> invited you to{" "}
+                  <span className="font-medium">{i.projectName}</span> as {ROLES[i.role].label.toLowerCase()}.
+                </div>
+                <Button size="sm" onClick={() => actions.acceptInvite(i)}>Accept</Button>
+                <Button size="sm" variant="ghost" onClick={() => actions.declineInvite(i)}>Decline</Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {projects.some((p) => p.archivedAt) && (
+        <div className="flex w-fit rounded-xl border bg-white p-0.5" role="tablist" aria-label="Projects shown">
+          {["active", "archived"].map((key) => (
+            <Button key={key} size="sm" variant={filter === key ? "secondary" : "ghost"} role="tab" aria-selected={filter === key} onClick={() => setFilter(key)}>
+              {key === "active" ? "Active" : "Archived"}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {shown.map((p) => (
+          <Card key={p.id} className={`hover:shadow-md transition border cursor-pointer ${p.archivedAt ? "opacity-75" : ""}`} onClick={() => onOpenProject(p.id)}>
+            <CardHeader className="pb-2 space-y-1">
+              <div className="flex items-center gap-2">
+                <ProjectIcon project={p} />
+                <CardTitle className="flex-1 min-w-0 truncate">{p.name}</CardTitle>
+                <ProjectMenu project={p} store={store} actions={actions} currentUser={currentUser} />
+              </div>
+              {p.description && <p className="text-sm text-slate-600 line-clamp-2">{p.description}</p>}
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <ProjectProgressSmall project={p} store={store} />
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-600">
+                <span className="flex items-center gap-2">
+                  <Users className="h-4 w-4" /> {p.members.length} member{p.members.length !== 1 ? "s" : ""}
+                </span>
+                {(p.startDate || p.endDate) && (
+                  <span className="flex items-center gap-2"><CalendarDays className="h-4 w-4" /> {projectDates(p)}</span>
+                )}
+              </div>
+              {p.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {p.tags.map((t) => <Badge key={t} variant="secondary">{t}</Badge>)}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        ))}
+        {projects.length === 0 && (
+          <EmptyState
+            title="No projects yet"
+            subtitle="Create your first project to get started."
+            action={<Button onClick={() => setNewProjectOpen(true)} className="gap-2"><Plus className="h-4 w-4" /> New Project</Button>}
+          />
+        )}
+        {projects.length > 0 && shown.length === 0 && (
+          <EmptyState
+            title={filter === "archived" ? "No archived projects" : "All your projects are archived"}
+            subtitle={filter === "archived" ? "Projects you archive show up here." : "Unarchive one or create a new project."}
+          />
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+// Editable copy of a project's settings; tags are edited as comma-separated text
+function projectDraft(project = {}) {
+  return {
+    name: project.name || "",
+    description: project.description || "",
+    startDate: project.startDate || "",
+    endDate: project.endDate || "",
+    color: project.color || "indigo",
+    icon: project.icon || "folder",
+    tags: (project.tags || []).join(", "),
+  };
+}
+
+function draftFields(draft) {
+  return { ...draft, tags: draft.tags.split(",") };
+}
+
+function projectDates(project) {
+  const day = (key) => (key ? dayLabel(key, { month: "short", day: "numeric", year: "numeric" }) : "…");
+  return `${day(project.startDate)} – ${day(project.endDate)}`;
+}
+
+function ProjectIcon({ project, className = "h-8 w-8" }) {
+  const Icon = PROJECT_ICONS[project.icon] || Folder;
+  const color = PROJECT_COLORS[project.color] || PROJECT_COLORS.indigo;
+  return (
+    <span className={`${className} shrink-0 rounded-lg grid place-items-center text-white ${color.className}`}>
+      <Icon className="h-4 w-4" />
+    </span>
+  );
+}
+
+function ProjectDetailsForm({ draft, onChange }) {
+  const set = (patch) => onChange({ ...draft, ...patch });
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="text-sm">Name</label>
+        <Input placeholder="Project name" value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+      </div>
+      <div>
+        <label className="text-sm">Description</label>
+        <Textarea value={draft.description} onChange={(e) => set({ description: e.target.value })} placeholder="What is this project about?" rows={3} />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Start date</label>
+          <Input type="date" value={draft.startDate} max={draft.endDate || undefined} onChange={(e) => set({ startDate: e.target.value })} aria-label="Start date" />
+        </div>
+        <div>
+          <label className="text-sm">End date</label>
+          <Input type="date" value={draft.endDate} min={draft.startDate || undefined} onChange={(e) => set({ endDate: e.target.value })} aria-label="End date" />
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Color</label>
+        <div className="flex flex-wrap gap-2 pt-1">
+          {Object.entries(PROJECT_COLORS).map(([key, color]) => (
+            <button
+              key={key}
+              type="button"
+              title={color.label}
+              aria-label={color.label}
+              aria-pressed={draft.color === key}
+              className={`h-7 w-7 rounded-full ${color.className} ${draft.color === key ? "ring-2 ring-offset-2 ring-slate-900" : ""}`}
+              onClick={() => set({ color: key })}
+            />
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Icon</label>
+        <div className="flex flex-wrap gap-1 pt-1">
+          {Object.entries(PROJECT_ICONS).map(([key, Icon]) => (
+            <Button key={key} size="icon" variant={draft.icon === key ? "secondary" : "ghost"} title={key} aria-pressed={draft.icon === key} onClick={() => set({ icon: key })}>
+              <Icon className="h-4 w-4" />
+            </Button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Tags</label>
+        <Input value={draft.tags} onChange={(e) => set({ tags: e.target.value })} placeholder="e.g. design, q3, client" aria-label="Tags" />
+      </div>
+    </div>
+  );
+}
+
+// Project actions for the dashboard cards and the project header. `onGone`
+// runs once we've left or deleted the project.
+function ProjectMenu({ project, store, actions, currentUser, onGone = () => {} }) {
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [confirm, setConfirm] = useState(null); // "leave" | "delete"
+  const canConfigure = can(project, currentUser.id, "editProject");
+
+  async function leave() {
+    if (await actions.leaveProject(project)) onGone();
+  }
+
+  async function remove() {
+    if (await actions.deleteProject(project)) onGone();
+  }
+
+  return (
+    // Keeps clicks (including those in the dialogs) from reaching the card underneath
+    <div onClick={(e) => e.stopPropagation()}>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button size="icon" variant="ghost" className="h-8 w-8" title="Project actions"><MoreVertical className="h-4 w-4" /></Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          {canConfigure && (
+            <DropdownMenuItem className="gap-2" onClick={() => setSettingsOpen(true)}><Settings className="h-4 w-4" /> Settings</DropdownMenuItem>
+          )}
+          {canConfigure && (
+            <DropdownMenuItem className="gap-2" onClick={() => actions.updateProject(project, { archived: !project.archivedAt })}>
+              {project.archivedAt ? <><ArchiveRestore className="h-4 w-4" /> Unarchive</> : <><Archive className="h-4 w-4" /> Archive</>}
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuItem className="gap-2" onClick={() => setConfirm("leave")}><LogOut className="h-4 w-4" /> Leave project</DropdownMenuItem>
+          {can(project, currentUser.id, "deleteProject") && (
+            <>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem className="gap-2 text-rose-600" onClick={() => setConfirm("delete")}><Trash2 className="h-4 w-4" /> Delete project</DropdownMenuItem>
+            </>
+          )}
+        </DropdownMenuContent>
+      </DropdownMenu>
+      {canConfigure && (
+        <ProjectSettings project={project} store={store} actions={actions} currentUser={currentUser} open={settingsOpen} onOpenChange={setSettingsOpen} />
+      )}
+      <ConfirmDialog
+        open={confirm === "leave"}
+        onOpenChange={(open) => !open && setConfirm(null)}
+        title={`Leave ${project.name}?`}
+        description="You'll lose access to its tasks and chat until someone invites you again."
+        confirmLabel="Leave project"
+        onConfirm={leave}
+      />
+      <ConfirmDialog
+        open={confirm === "delete"}
+        onOpenChange={(open) => !open && setConfirm(null)}
+        title={`Delete ${project.name}?`}
+        description="This deletes the project for everyone, with all its tasks, chat, files and logged time. It can't be undone."
+        confirmLabel="Delete project"
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+function ProjectSettings({ project, store, actions, currentUser, open, onOpenChange }) {
+  const [draft, setDraft] = useState(() => projectDraft(project));
+  const [newOwner, setNewOwner] = useState("");
+  const [confirmTransfer, setConfirmTransfer] = useState(false);
+  const others = project.members
+    .filter((id) => id !== currentUser.id)
+    .map((id) => store.users.find((u) => u.id === id))
+    .filter(Boolean);
+  const owner = others.find((u) => u.id === newOwner);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(projectDraft(project));
+    setNewOwner("");
+  }, [open]);
+
+  async function save() {
+    if (await actions.updateProject(project, draftFields(draft))) onOpenChange(false);
+  }
+
+  async function transfer() {
+    if (await actions.transferOwnership(project, newOwner)) onOpenChange(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Project settings</DialogTitle>
+          <DialogDescription>Name, schedule and look of {project.name}.</DialogDescription>
+        </DialogHeader>
+        <ProjectDetailsForm draft={draft} onChange={setDraft} />
+        {can(project, currentUser.id, "transferProject") && others.length > 0 && (
+          <div className="border-t pt-3 space-y-2">
+            <div className="text-sm font-medium">Transfer ownership</div>
+            <p className="text-xs text-slate-500">The new owner gets full control of the project; you stay on as an admin.</p>
+            <div className="flex gap-2">
+              <Select value={newOwner} onValueChange={setNewOwner}>
+                <SelectTrigger><SelectValue placeholder="Select a member" /></SelectTrigger>
+                <SelectContent>
+                  {others.map((u) => (
+                    <SelectItem key={u.id} value={u.id}>{u.name || u.email}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" disabled={!owner} onClick={() => setConfirmTransfer(true)}>Transfer</Button>
+            </div>
+          </div>
+        )}
+        <DialogFooter>
+          <Button onClick={save}>Save settings</Button>
+        </DialogFooter>
+        <ConfirmDialog
+          open={confirmTransfer}
+          onOpenChange={setConfirmTransfer}
+          title={`Make ${owner?.name || owner?.email} the owner?`}
+          description="You'll become an admin and can't undo this yourself."
+          confirmLabel="Transfer ownership"
+          onConfirm={transfer}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function ProjectProgressSmall({ project, store }) {
+  const tasks = projectTasks(store, project.id);
+  const data = projectColumns(project).map((c) => ({
+    name: c.label,
+    value: tasks.filter((t) => t.status === c.id).length,
+    key: c.id,
+  }));
+  const total = tasks.length || 1;
+  const done = tasks.filter((t) => t.status === "done").length;
+  const donePct = Math.round((done / total) * 100);
+
+  return (
+    <div className="flex items-center gap-4">
+      <div className="h-20 w-20">
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie data={data} dataKey="value" nameKey="name" outerRadius={35} innerRadius={18}>
+              {data.map((entry) => (
+                <Cell key={entry.key} fill={columnColor(project, entry.key)} />
+              ))}
+            </Pie>
+            <Tooltip />
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-sm">
+        <div className="font-medium">Progress: {donePct}%</div>
+        <div className="text-slate-600">{tasks.length} task{tasks.length !== 1 ? "s" : ""}</div>
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Project View ------------------
+// `newTask` (a timestamp, from the command palette) opens the new task form
+function ProjectView({ store, actions, currentUser, projectId, newTask, live, onBack, onOpenTask, onOpenAnalytics }) {
+  const project = store.projects.find((p) => p.id === projectId);
+  const [taskModalOpen, setTaskModalOpen] = useState(false);
+  const [view, setView] = useState("board");
+  const { channel } = live;
+
+  useEffect(() => {
+    if (newTask) setTaskModalOpen(true);
+  }, [newTask]);
+
+  // Having the project open is what makes us "online" in it
+  useEffect(() => {
+    if (!channel) return;
+    channel.subscribe(projectId);
+    return () => channel.unsubscribe(projectId);
+  }, [channel, projectId]);
+
+  if (!project) return <EmptyState title="Project not found" subtitle="Return to dashboard" action={<Button onClick={onBack}>Back</Button>} />;
+
+  const members = project.members
+    .map((uid) => store.users.find((u) => u.id === uid))
+    .filter(Boolean);
+
+  const canEditTasks = can(project, currentUser.id, "editTasks");
+  const canDeleteTasks = can(project, currentUser.id, "deleteTask");
+  const canPost = can(project, currentUser.id, "postMessages");
+  const canConfigure = can(project, currentUser.id, "editProject");
+
+  function announceTyping(typing = true) {
+    if (channel) channel.typing(project.id, typing);
+  }
+
+  async function postMessage(content, parentId = null, files = []) {
+    if (!(await actions.postMessage({ projectId: project.id, content, parentId, files }))) return false;
+    announceTyping(false);
+    return true;
+  }
+
+  const onlineIds = live.presence[project.id] || [];
+  const online = onlineIds.map((id) => store.users.find((u) => u.id === id)).filter(Boolean);
+  const typingNames = Object.entries(live.typing[project.id] || {})
+    .filter(([id, expiresAt]) => id !== currentUser.id && expiresAt > Date.now())
+    .map(([id]) => {
+      const u = store.users.find((x) => x.id === id);
+      return u ? u.name || u.email : "Someone";
+    });
+
+  const threads = store.messages.filter((m) => m.projectId === project.id && !m.parentId);
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <Button variant="ghost" size="icon" onClick={onBack}><ChevronLeft className="h-5 w-5" /></Button>
+          <ProjectIcon project={project} />
+          <h2 className="text-xl md:text-2xl font-bold truncate">{project.name}</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" className="gap-2" onClick={onOpenAnalytics}><BarChart3 className="h-4 w-4" /> Analytics</Button>
+          <ProjectExportMenu store={store} actions={actions} project={project} />
+          <ProjectMembers project={project} members={members} store={store} currentUser={currentUser} actions={actions} />
+          <ProjectMenu project={project} store={store} actions={actions} currentUser={currentUser} onGone={onBack} />
+        </div>
+      </div>
+
+      {project.archivedAt && (
+        <div className="flex flex-wrap items-center gap-2 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          <Archive className="h-4 w-4" />
+          <span className="flex-1">Archived on {dateFriendly(project.archivedAt)}. The project is read-only until it's unarchived.</span>
+          {canConfigure && (
+            <Button size="sm" variant="outline" className="gap-2" onClick={() => actions.updateProject(project, { archived: false })}>
+              <ArchiveRestore className="h-4 w-4" /> Unarchive
+            </Button>
+          )}
+        </div>
+      )}
+      {project.description && <p className="text-sm text-slate-600 whitespace-pre-wrap">{project.description}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Left: Tasks board */}
+        <div className="lg:col-span-2 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-3">
+              <h3 className="font-semibold">Tasks</h3>
+              <div className="flex rounded-xl border bg-white p-0.5" role="tablist" aria-label="Task view">
+                {Object.entries(TASK_VIEWS).map(([key, label]) => (
+                  <Button
+                    key={key}
+                    size="sm"
+                    variant={view === key ? "secondary" : "ghost"}
+                    role="tab"
+                    aria-selected={view === key}
+                    onClick={() => setView(key)}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              {canDeleteTasks && <TrashDialog project={project} store={store} actions={actions} />}
+              {canConfigure && !project.archivedAt && <ColumnSettings project={project} actions={actions} />}
+              {canEditTasks && (
+                <Dialog open={taskModalOpen} onOpenChange={setTaskModalOpen}>
+                  <DialogTrigger asChild>
+                    <Button className="gap-2"><Plus className="h-4 w-4" /> New Task</Button>
+                  </DialogTrigger>
+                  <TaskModal
+                    store={store}
+                    actions={actions}
+                    project={project}
+                    open={taskModalOpen}
+                    onOpenChange={setTaskModalOpen}
+                    currentUser={currentUser}
+                  />
+                </Dialog>
+              )}
+            </div>
+          </div>
+
+          {view === "board" && (
+            <TaskBoard
+              store={store}
+              actions={actions}
+              project={project}
+              canEdit={canEditTasks}
+              canDelete={canDeleteTasks}
+              onOpenTask={onOpenTask}
+            />
+          )}
+          {view === "calendar" && (
+            <TaskCalendar
+              tasks={projectTasks(store, project.id)}
+              store={store}
+              canEdit={() => canEditTasks}
+              onOpenTask={(task) => onOpenTask(task.id)}
+              onReschedule={(task, patch) => actions.updateTask(task, patch)}
+            />
+          )}
+          {view === "timeline" && (
+            <TaskTimeline
+              tasks={projectTasks(store, project.id)}
+              store={store}
+              canEdit={canEditTasks}
+              onOpenTask={(task) => onOpenTask(task.id)}
+              onReschedule={(task, patch) => actions.updateTask(task, patch)}
+            />
+          )}
+        </div>
+
+        {/* Right: Progress & Chat */}
+        <div className="space-y-3">
+          <Card>
+            <CardHeader className="pb-2"><CardTitle>Progress</CardTitle></CardHeader>
+            <CardContent>
+              <ProjectProgressSmall project={project} store={store} />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader className="pb-2 flex items-center justify-between">
+              <CardTitle className="flex items-center gap-2"><MessageSquarePlus className="h-5 w-5" /> Project Chat</CardTitle>
+              {channel && (
+                <div className="flex items-center gap-1" title={`Online: ${online.map((u) => u.name || u.email).join(", ")}`}>
+                  <span className="h-2 w-2 rounded-full bg-emerald-500" />
+                  <span className="text-xs text-slate-500 mr-1">{onlineIds.length} online</span>
+                  <div className="flex -space-x-2">
+                    {online.slice(0, 4).map((u) => (
+                      <Avatar key={u.id} className="h-6 w-6 ring-2 ring-white">
+                        <AvatarFallback>{initials(u.name || u.email)}</AvatarFallback>
+                      </Avatar>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <div className="space-y-3 max-h-72 overflow-auto pr-1">
+                {threads.length === 0 && (
+                  <div className="text-sm text-slate-500">No messages yet. Start a thread below.</div>
+                )}
+                {threads.map((t) => (
+                  <Thread
+                    key={t.id}
+                    msg={t}
+                    project={project}
+                    store={store}
+                    actions={actions}
+                    currentUser={currentUser}
+                    canPost={canPost}
+                    onReply={(content, files) => postMessage(content, t.id, files)}
+                    onTyping={announceTyping}
+                    onOpenTask={onOpenTask}
+                  />
+                ))}
+              </div>
+              {typingNames.length > 0 && <div className="text-xs text-slate-500">{typingText(typingNames)}</div>}
+              {canPost ? (
+                <MessageComposer
+                  project={project}
+                  store={store}
+                  placeholder="Start a new thread... (@ to mention, # for a task)"
+                  submitLabel="Send"
+                  onSubmit={(content, files) => postMessage(content, null, files)}
+                  onTyping={announceTyping}
+                  allowFiles
+                />
+              ) : (
+                <div className="text-xs text-slate-500">Viewers can read the chat but not post.</div>
+              )}
+            </CardContent>
+          </Card>
+
+          <ActivityFeed project={project} store={store} actions={actions} />
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+function ProjectMembers({ project, members, store, currentUser, actions }) {
+  const [open, setOpen] = useState(false);
+  const [val, setVal] = useState("");
+  const [role, setRole] = useState("member");
+  const [error, setError] = useState("");
+  const canManage = can(project, currentUser.id, "manageMembers");
+  const grantable = Object.keys(ROLES).filter((r) => canManageRole(project, currentUser.id, r));
+  const pending = store.invites.filter((i) => i.projectId === project.id && i.status === "pending");
+
+  async function invite() {
+    if (!isEmail(val.trim().toLowerCase())) return setError("Enter a valid email address");
+    setError("");
+    if (await actions.inviteMember(project, val, role)) {
+      setVal("");
+      setRole("member");
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex -space-x-2">
+        {members.slice(0, 5).map((m) => (
+          <Avatar key={m.id} className="h-8 w-8 ring-2 ring-white">
+            <AvatarFallback>{initials(m.name || m.email)}</AvatarFallback>
+          </Avatar>
+        ))}
+        {members.length > 5 && (
+          <div className="h-8 w-8 rounded-full bg-slate-200 grid place-items-center text-xs">+{members.length - 5}</div>
+        )}
+      </div>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogTrigger asChild>
+          <Button variant="outline" size="sm" className="gap-2">
+            {canManage ? <Plus className="h-4 w-4" /> : <Users className="h-4 w-4" />} {canManage ? "Manage" : "Members"}
+          </Button>
+        </DialogTrigger>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Members</DialogTitle>
+            <DialogDescription>
+              {canManage ? "Invite people by email and choose what they can do in this project." : "People with access to this project."}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2 max-h-72 overflow-auto">
+            {members.map((m) => {
+              const memberRole = roleOf(project, m.id);
+              const editable = canManage && canManageRole(project, currentUser.id, memberRole);
+              return (
+                <div key={m.id} className="flex items-center gap-2">
+                  <Avatar className="h-7 w-7"><AvatarFallback>{initials(m.name || m.email)}</AvatarFallback></Avatar>
+                  <div className="flex-1 min-w-0 text-sm truncate">
+                    {m.name || m.email}
+                    {m.id === currentUser.id && <span className="text-slate-500"> (you)</span>}
+                  </div>
+                  {editable ? (
+                    <>
+                      <Select value={memberRole} onValueChange={(r) => actions.setMemberRole(project, m.id, r)}>
+                        <SelectTrigger className="w-28 h-8"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {grantable.map((r) => (
+                            <SelectItem key={r} value={r}>{ROLES[r].label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Button size="icon" variant="ghost" title="Remove from project" onClick={() => actions.removeMember(project, m.id)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </>
+                  ) : (
+                    <Badge variant="secondary">{ROLES[memberRole].label}</Badge>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {canManage && pending.length > 0 && (
+            <div className="space-y-2 pt-2 border-t">
+              <div className="text-xs font-medium text-slate-500">Pending invitations</div>
+              {pending.map((i) => (
+                <div key={i.id} className="flex items-center gap-2 text-sm">
+                  <div className="flex-1 min-w-0 truncate">{i.email}</div>
+                  <Badge variant="outline">{ROLES[i.role].label}</Badge>
+                  <Button size="sm" variant="ghost" onClick={() => actions.revokeInvite(i)}>Revoke</Button>
+                </div>
+              ))}
+            </div>
+          )}
+          {canManage && (
+            <div className="flex gap-2 pt-2 border-t">
+              <Input type="email" value={val} onChange={(e) => setVal(e.target.value)} placeholder="teammate@company.com" />
+              <Select value={role} onValueChange={setRole}>
+                <SelectTrigger className="w-28"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {grantable.map((r) => (
+                    <SelectItem key={r} value={r}>{ROLES[r].label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button onClick={invite}>Invite</Button>
+            </div>
+          )}
+          {error && <p className="text-rose-600 text-sm">{error}</p>}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
+
+function typingText(names) {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return "Several people are typing…";
+}
+
+function Thread({ msg, project, store, actions, currentUser, canPost, onReply, onTyping, onOpenTask }) {
+  const replies = store.messages.filter((m) => m.parentId === msg.id);
+  const shared = { project, store, actions, currentUser, onOpenTask };
+
+  return (
+    <div className="border rounded-xl p-3">
+      <ChatMessage msg={msg} {...shared} />
+      <div className="pl-9 mt-2 space-y-2">
+        {replies.map((r) => (
+          <ChatMessage key={r.id} msg={r} reply {...shared} />
+        ))}
+        {canPost && (
+          <MessageComposer project={project} store={store} placeholder="Reply..." onSubmit={onReply} onTyping={onTyping} compact allowFiles />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ChatMessage({ msg, reply = false, project, store, actions, currentUser, onOpenTask }) {
+  const author = store.users.find((u) => u.id === msg.authorId);
+  const [editing, setEditing] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  // Authors can change their messages for as long as they may post
+  const mine = msg.authorId === currentUser.id && !msg.deletedAt && !project.archivedAt && can(project, currentUser.id, "postMessages");
+  const files = liveAttachments(store).filter((a) => a.messageId === msg.id);
+
+  async function save(content) {
+    if (!(await actions.editMessage(msg, content))) return false;
+    setEditing(false);
+    return true;
+  }
+
+  return (
+    <div className="flex items-start gap-2 group">
+      <Avatar className={reply ? "h-6 w-6" : "h-7 w-7"}><AvatarFallback>{initials(author?.name || author?.email)}</AvatarFallback></Avatar>
+      <div className={`flex-1 min-w-0 ${reply ? "text-xs bg-slate-50 rounded-lg p-2" : ""}`}>
+        <div className="text-xs text-slate-500 flex items-center gap-1">
+          <span className="truncate">{author?.name || author?.email} • {dateTimeFriendly(msg.createdAt)}</span>
+          {msg.editedAt && !msg.deletedAt && <span title={dateTimeFriendly(msg.editedAt)}>• edited</span>}
+          {mine && !editing && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button size="icon" variant="ghost" className="ml-auto h-5 w-5" title="Message actions"><MoreVertical className="h-3.5 w-3.5" /></Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuItem onClick={() => setEditing(true)}>Edit</DropdownMenuItem>
+                <DropdownMenuItem className="text-rose-600" onClick={() => setConfirmDelete(true)}>Delete</DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+        </div>
+        {editing ? (
+          <div className="mt-1 space-y-1">
+            <MessageComposer project={project} store={store} initial={msg.content} submitLabel="Save" onSubmit={save} compact autoFocus />
+            <Button size="sm" variant="ghost" onClick={() => setEditing(false)}>Cancel</Button>
+          </div>
+        ) : msg.deletedAt ? (
+          <div className="mt-1 italic text-slate-400">This message was deleted.</div>
+        ) : (
+          <>
+            {msg.content && <div className={`mt-1 whitespace-pre-wrap break-words ${reply ? "" : "text-sm"}`}>{richText(msg.content, store, onOpenTask)}</div>}
+            {files.length > 0 && (
+              <div className="mt-1">
+                <AttachmentList attachments={files} canRemove={(a) => !project.archivedAt && a.uploaderId === currentUser.id} onRemove={actions.removeAttachment} compact />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <ConfirmDialog
+        open={confirmDelete}
+        onOpenChange={setConfirmDelete}
+        title="Delete message?"
+        description="Replies stay in the thread, but the message itself can't be recovered."
+        confirmLabel="Delete"
+        onConfirm={() => actions.deleteMessage(msg)}
+      />
+    </div>
+  );
+}
+
+// Lightweight markdown for chat: **bold**, *italic*, `code` and [links](https://…),
+// plus @mentions and #task references (see CHAT_REFERENCE). Builds React
+// elements, never HTML, so message content can't inject markup.
+const RICH_TEXT = /([@#])\[([^\]]+)\]\(([\w-]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+function richText(text, store, onOpenTask, keyPrefix = "") {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(RICH_TEXT)) {
+    const key = `${keyPrefix}${m.index}`;
+    if (m.index > last) out.push(text.slice(last, m.index));
+    last = m.index + m[0].length;
+    if (m[1] === "@") {
+      const user = store.users.find((u) => u.id === m[3]);
+      out.push(<span key={key} className="font-medium text-indigo-600">@{user ? user.name || user.email : m[2]}</span>);
+    } else if (m[1] === "#") {
+      const task = store.tasks.find((t) => t.id === m[3] && !t.deletedAt);
+      out.push(
+        task ? (
+          <button key={key} className="font-medium text-indigo-600 hover:underline" onClick={() => onOpenTask(task.id)}>#{task.title}</button>
+        ) : (
+          <span key={key} className="text-slate-400 line-through" title="Task no longer exists">#{m[2]}</span>
+        )
+      );
+    } else if (m[4]) {
+      out.push(<strong key={key}>{richText(m[4], store, onOpenTask, `${key}-`)}</strong>);
+    } else if (m[5]) {
+      out.push(<em key={key}>{richText(m[5], store, onOpenTask, `${key}-`)}</em>);
+    } else if (m[6]) {
+      out.push(<code key={key} className="rounded bg-slate-100 px-1 text-[0.9em]">{m[6]}</code>);
+    } else {
+      out.push(<a key={key} href={m[8]} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline">{m[7]}</a>);
+    }
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+// Chat input with @member and #task autocomplete (arrow keys + Enter/Tab to pick, Esc to close).
+// With `allowFiles`, picked files are passed to onSubmit(content, files).
+function MessageComposer({ project, store, initial = "", placeholder, submitLabel, onSubmit, onTyping, compact = false, autoFocus = false, allowFiles = false }) {
+  const [draft, setDraft] = useState(() => toEditable(initial));
+  const [files, setFiles] = useState([]);
+  const fileInput = useRef(null);
+  const [query, setQuery] = useState(null); // { trigger, term, start, end }
+  const [active, setActive] = useState(0);
+
+  const suggestions = useMemo(() => {
+    if (!query) return [];
+    const term = query.term.toLowerCase();
+    const items =
+      query.trigger === "@"
+        ? project.members
+            .map((id) => store.users.find((u) => u.id === id))
+            .filter(Boolean)
+            .map((u) => ({ id: u.id, label: u.name || u.email, hint: u.email }))
+        : projectTasks(store, project.id).map((t) => ({ id: t.id, label: t.title, hint: columnLabel(project, t.status) }));
+    return items.filter((i) => i.label.toLowerCase().includes(term)).slice(0, 6);
+  }, [query, project, store.users, store.tasks]);
+
+  function change(e) {
+    const text = e.target.value;
+    const caret = e.target.selectionStart ?? text.length;
+    const m = /(^|\s)([@#])([^\s@#]*)$/.exec(text.slice(0, caret));
+    setQuery(m ? { trigger: m[2], term: m[3], start: caret - m[3].length - 1, end: caret } : null);
+    setActive(0);
+    setDraft((d) => ({ ...d, text }));
+    if (onTyping) onTyping();
+  }
+
+  function pick(item) {
+    // Brackets would break the stored markup
+    const label = item.label.replace(/[[\]()]/g, "");
+    const insert = `${query.trigger}${label} `;
+    setDraft((d) => ({
+      text: d.text.slice(0, query.start) + insert + d.text.slice(query.end),
+      picks: [...d.picks, { trigger: query.trigger, label, id: item.id }],
+    }));
+    setQuery(null);
+  }
+
+  function keyDown(e) {
+    if (suggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActive((a) => (a + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        pick(suggestions[active]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setQuery(null);
+        return;
+      }
+    }
+    if (e.key === "Enter") submit();
+  }
+
+  async function submit() {
+    const content = fromEditable(draft.text, draft.picks).trim();
+    if (!content && files.length === 0) return;
+    if (await onSubmit(content, files)) {
+      setDraft({ text: "", picks: [] });
+      setFiles([]);
+    }
+  }
+
+  function pickFiles(e) {
+    const picked = [...e.target.files];
+    e.target.value = "";
+    setFiles((f) => [...f, ...picked]);
+  }
+
+  return (
+    <div className="space-y-1">
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {files.map((f, i) => (
+            <span key={i} className="flex items-center gap-1 rounded-full border bg-slate-50 pl-2 text-xs">
+              <span className="truncate max-w-[10rem]">{f.name}</span>
+              <Button size="icon" variant="ghost" className="h-5 w-5" title="Remove" onClick={() => setFiles(files.filter((x) => x !== f))}>
+                <X className="h-3 w-3" />
+              </Button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="relative flex gap-2">
+        {suggestions.length > 0 && (
+          <div className="absolute bottom-full left-0 z-10 mb-1 w-64 rounded-xl border bg-white py-1 shadow-md" role="listbox">
+            {suggestions.map((s, i) => (
+              <button
+                key={s.id}
+                role="option"
+                aria-selected={i === active}
+                className={`flex w-full items-center justify-between gap-2 px-3 py-1.5 text-left text-sm ${i === active ? "bg-slate-100" : ""}`}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(s);
+                }}
+              >
+                <span className="truncate">{query.trigger}{s.label}</span>
+                <span className="shrink-0 text-xs text-slate-500">{s.hint}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        <Input value={draft.text} onChange={change} onKeyDown={keyDown} placeholder={placeholder} autoFocus={autoFocus} />
+        {allowFiles && (
+          <>
+            <input ref={fileInput} type="file" multiple hidden onChange={pickFiles} />
+            <Button size={compact ? "sm" : "icon"} variant="ghost" title="Attach files" onClick={() => fileInput.current.click()}>
+              <Paperclip className="h-4 w-4" />
+            </Button>
+          </>
+        )}
+        <Button size={compact ? "sm" : "default"} onClick={submit} className="gap-2" title={submitLabel || "Send"}>
+          {submitLabel === "Save" ? <Check className="h-4 w-4" /> : <Send className="h-4 w-4" />}
+          {!compact && submitLabel}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Tasks ------------------
+function TaskBoard({ store, actions, project, canEdit, canDelete, onOpenTask }) {
+  const columns = projectColumns(project);
+  const grouped = useMemo(() => tasksByColumn(project, store.tasks), [project, store.tasks]);
+  const taskById = useMemo(() => Object.fromEntries(store.tasks.map((t) => [t.id, t])), [store.tasks]);
+  // While a card is dragged it moves through this preview layout; the drop commits it.
+  const [preview, setPreview] = useState(null);
+  const layout = preview || Object.fromEntries(Object.entries(grouped).map(([c, ts]) => [c, ts.map((t) => t.id)]));
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 150, tolerance: 5 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  );
+
+  function columnOf(id, l) {
+    if (l[id]) return id;
+    return Object.keys(l).find((c) => l[c].includes(id));
+  }
+
+  function onDragOver({ active, over }) {
+    if (!over) return;
+    setPreview((prev) => {
+      const l = prev || layout;
+      const from = columnOf(active.id, l);
+      const to = columnOf(over.id, l);
+      if (!from || !to || from === to) return l;
+      const target = l[to];
+      const index = target.includes(over.id) ? target.indexOf(over.id) : target.length;
+      return {
+        ...l,
+        [from]: l[from].filter((id) => id !== active.id),
+        [to]: [...target.slice(0, index), active.id, ...target.slice(index)],
+      };
+    });
+  }
+
+  async function onDragEnd({ active, over }) {
+    const l = preview || layout;
+    const column = columnOf(active.id, l);
+    let ids = l[column];
+    if (over && ids.includes(over.id) && over.id !== active.id) {
+      ids = arrayMove(ids, ids.indexOf(active.id), ids.indexOf(over.id));
+    }
+    const task = taskById[active.id];
+    const unchanged = column === task.status && ids.join() === grouped[column].map((t) => t.id).join();
+    if (unchanged) return setPreview(null);
+    const index = ids.indexOf(active.id);
+    const order = orderBetween(taskById[ids[index - 1]], taskById[ids[index + 1]]);
+    setPreview({ ...l, [column]: ids });
+    await actions.updateTask(task, { status: column, order });
+    setPreview(null);
+  }
+
+  return (
+    <DndContext
+      sensors={sensors}
+      collisionDetection={closestCorners}
+      onDragOver={onDragOver}
+      onDragEnd={onDragEnd}
+      onDragCancel={() => setPreview(null)}
+    >
+      <div className="grid grid-cols-1 gap-3 md:grid-flow-col md:auto-cols-[minmax(14rem,1fr)] md:overflow-x-auto pb-1">
+        {columns.map((col) => (
+          <BoardColumn
+            key={col.id}
+            column={col}
+            taskIds={layout[col.id] || []}
+            taskById={taskById}
+            store={store}
+            actions={actions}
+            project={project}
+            canEdit={canEdit}
+            canDelete={canDelete}
+            onOpenTask={onOpenTask}
+          />
+        ))}
+      </div>
+    </DndContext>
+  );
+}
+
+function BoardColumn({ column, taskIds, taskById, store, actions, project, canEdit, canDelete, onOpenTask }) {
+  const { setNodeRef, isOver } = useDroppable({ id: column.id, disabled: !canEdit });
+  const overLimit = column.wipLimit && taskIds.length > column.wipLimit;
+  return (
+    <Card className={`bg-white/70 ${overLimit ? "border-amber-400" : ""} ${isOver ? "ring-2 ring-indigo-200" : ""}`}>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center justify-between gap-2">
+          <span className="truncate">{column.label}</span>
+          <span className={`text-xs font-normal ${overLimit ? "text-amber-600" : "text-slate-500"}`}>
+            {taskIds.length}{column.wipLimit ? ` / ${column.wipLimit}` : ""}
+          </span>
+        </CardTitle>
+        {overLimit && (
+          <div className="flex items-center gap-1 text-xs text-amber-600">
+            <AlertTriangle className="h-3.5 w-3.5" /> Over WIP limit
+          </div>
+        )}
+      </CardHeader>
+      <CardContent ref={setNodeRef} className="space-y-2 min-h-[3rem]">
+        <SortableContext items={taskIds} strategy={verticalListSortingStrategy}>
+          {taskIds.map((id) => (
+            <TaskCard
+              key={id}
+              task={taskById[id]}
+              store={store}
+              actions={actions}
+              project={project}
+              canEdit={canEdit}
+              canDelete={canDelete}
+              onOpen={() => onOpenTask(id)}
+            />
+          ))}
+        </SortableContext>
+        {taskIds.length === 0 && <div className="text-xs text-slate-500">No tasks</div>}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ColumnSettings({ project, actions }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+
+  function openChange(next) {
+    if (next) setDraft(projectColumns(project).map((c) => ({ ...c, wipLimit: c.wipLimit ?? "" })));
+    setOpen(next);
+  }
+
+  function update(index, patch) {
+    setDraft((d) => d.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  }
+
+  function move(index, delta) {
+    setDraft((d) => arrayMove(d, index, index + delta));
+  }
+
+  async function save() {
+    if (await actions.updateProject(project, { columns: draft })) setOpen(false);
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={openChange}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="icon" title="Board columns"><SlidersHorizontal className="h-4 w-4" /></Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Board columns</DialogTitle>
+          <DialogDescription>
+            Rename, reorder or remove columns. Tasks in a removed column move to the first one. Leave the WIP limit empty for no limit.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2">
+          {draft.map((c, i) => (
+            <div key={c.id} className="flex items-center gap-2">
+              <Input value={c.label} onChange={(e) => update(i, { label: e.target.value })} placeholder="Column name" />
+              <Input
+                type="number"
+                min={1}
+                className="w-24"
+                value={c.wipLimit}
+                onChange={(e) => update(i, { wipLimit: e.target.value })}
+                placeholder="WIP"
+                aria-label={`WIP limit for ${c.label}`}
+              />
+              <Button size="icon" variant="ghost" disabled={i === 0} onClick={() => move(i, -1)} title="Move up"><ArrowUp className="h-4 w-4" /></Button>
+              <Button size="icon" variant="ghost" disabled={i === draft.length - 1} onClick={() => move(i, 1)} title="Move down"><ArrowDown className="h-4 w-4" /></Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                disabled={c.id === "done"}
+                title={c.id === "done" ? "The Done column can't be removed" : "Remove column"}
+                onClick={() => setDraft((d) => d.filter((x) => x.id !== c.id))}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" className="gap-2" onClick={() => setDraft((d) => [...d, { id: uid("col"), label: "", wipLimit: "" }])}>
+            <Plus className="h-4 w-4" /> Add column
+          </Button>
+        </div>
+        <DialogFooter>
+          <Button onClick={save}>Save columns</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function TrashDialog({ project, store, actions }) {
+  const trash = store.tasks
+    .filter((t) => t.projectId === project.id && t.deletedAt)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="icon" title="Trash"><Trash2 className="h-4 w-4" /></Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Trash</DialogTitle>
+          <DialogDescription>Deleted tasks can be restored for {TRASH_RETENTION_DAYS} days, then they are removed for good.</DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-72 overflow-auto">
+          {trash.length === 0 && <div className="text-sm text-slate-500">The trash is empty.</div>}
+          {trash.map((t) => {
+            const by = store.users.find((u) => u.id === t.deletedBy);
+            const days = trashDaysLeft(t);
+            return (
+              <div key={t.id} className="flex items-center gap-2 text-sm">
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium truncate">{t.title}</div>
+                  <div className="text-xs text-slate-500">
+                    Deleted {by ? `by ${by.name || by.email} ` : ""}on {dateFriendly(t.deletedAt)} • {days} day{days !== 1 ? "s" : ""} left
+                  </div>
+                </div>
+                <Button size="sm" variant="ghost" className="gap-2" onClick={() => actions.restoreTask(t)}>
+                  <Undo2 className="h-4 w-4" /> Restore
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+function TaskCard({ task, store, actions, project, canEdit, canDelete, onOpen }) {
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const assignee = store.users.find((u) => u.id === task.assigneeId);
+  const { attributes, listeners, setNodeRef, setActivatorNodeRef, transform, transition, isDragging } = useSortable({
+    id: task.id,
+    disabled: !canEdit,
+  });
+  const style = { transform: CSS.Transform.toString(transform), transition };
+
+  function updateStatus(newStatus) {
+    actions.updateTask(task, { status: newStatus });
+  }
+
+  const overdue = isOverdue(task);
+  const logged = taskMinutes(store, task.id);
+  const running = runningTimer(store, store.currentUserId);
+  const timing = Boolean(running && running.taskId === task.id);
+  const fileCount = liveAttachments(store).filter((a) => a.taskId === task.id).length;
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={style}
+      className={`border rounded-xl p-3 bg-white hover:shadow-sm transition ${overdue ? 'border-rose-300' : ''} ${isDragging ? 'opacity-60 shadow-md' : ''}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        {canEdit && (
+          <button
+            ref={setActivatorNodeRef}
+            {...attributes}
+            {...listeners}
+            aria-label={`Move task ${task.title}`}
+            className="mt-0.5 -ml-1 text-slate-400 hover:text-slate-600 cursor-grab touch-none rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400"
+          >
+            <GripVertical className="h-4 w-4" />
+          </button>
+        )}
+        <div className="flex-1 min-w-0">
+          <button className="block w-full text-left font-medium truncate hover:text-indigo-600" onClick={onOpen}>
+            {task.title}
+          </button>
+          <div className="text-xs text-slate-600 line-clamp-2">{task.description}</div>
+          <div className="flex items-center gap-2 mt-2 text-xs">
+            <Avatar className="h-6 w-6"><AvatarFallback>{initials(assignee?.name || assignee?.email)}</AvatarFallback></Avatar>
+            <span className="text-slate-600">{assignee?.name || assignee?.email}</span>
+            <Clock className="h-3.5 w-3.5" /> {task.startDate && `${dateFriendly(task.startDate)} – `}{dateFriendly(task.dueDate)}
+            {dueSoon(task.dueDate) && <Badge>Due soon</Badge>}
+            {task.recurrence && (
+              <span title={`Repeats ${describeRecurrence(task.recurrence)}`}>
+                <Repeat className="h-3.5 w-3.5 text-slate-500" aria-label="Recurring task" />
+              </span>
+            )}
+            {fileCount > 0 && (
+              <span className="flex items-center gap-0.5 text-slate-500" title={`${fileCount} ${fileCount === 1 ? "file" : "files"} attached`}>
+                <Paperclip className="h-3.5 w-3.5" /> {fileCount}
+              </span>
+            )}
+            {task.status === 'done' && <CheckCircle2 className="h-4 w-4 text-emerald-600" />}
+          </div>
+          {(logged > 0 || task.estimate || canEdit) && (
+            <div className="flex items-center gap-2 mt-1 text-xs text-slate-600">
+              {canEdit && (
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className={`h-6 w-6 ${timing ? "text-rose-600" : ""}`}
+                  title={timing ? "Stop timer" : "Start timer"}
+                  onClick={() => (timing ? actions.stopTimer() : actions.startTimer(task))}
+                >
+                  {timing ? <Square className="h-3.5 w-3.5" /> : <Play className="h-3.5 w-3.5" />}
+                </Button>
+              )}
+              {(logged > 0 || task.estimate) && (
+                <span className={task.estimate && logged > task.estimate ? "text-rose-600" : ""}>
+                  {formatDuration(logged)}{task.estimate ? ` / ${formatDuration(task.estimate)}` : ""}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        {(canEdit || canDelete) && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button size="icon" variant="ghost"><MoreVertical className="h-4 w-4" /></Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={onOpen}>Open details</DropdownMenuItem>
+              {canEdit && (
+                <>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuLabel>Move to</DropdownMenuLabel>
+                  {projectColumns(project).map((c) => (
+                    <DropdownMenuItem key={c.id} disabled={c.id === task.status} onClick={() => updateStatus(c.id)}>
+                      {c.label}
+                    </DropdownMenuItem>
+                  ))}
+                </>
+              )}
+              {canEdit && canDelete && <DropdownMenuSeparator />}
+              {canDelete && (
+                <DropdownMenuItem className="text-rose-600" onClick={() => setConfirmDelete(true)}>
+                  <Trash2 className="h-4 w-4 mr-2" /> Delete task
+                </DropdownMenuItem>
+              )}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        )}
       </div>
+      <ConfirmDialog
+        open={confirmDelete}
+        onOpenChange={setConfirmDelete}
+        title="Delete task?"
+        description={`"${task.title}" moves to the trash and can be restored for ${TRASH_RETENTION_DAYS} days.`}
+        confirmLabel="Delete"
+        onConfirm={() => actions.removeTask(task)}
+      />
+    </div>
+  );
+}
 
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-        {projects.map((p) => (
-          <Card key={p.id} className="hover:shadow-md transition border cursor-pointer" onClick={() => onOpenProject(p.id)}>
+// Edits a recurrence rule (null for "doesn't repeat"). Values stay as typed;
+// checkRecurrence() validates them on save.
+function RecurrenceEditor({ value, onChange, dueDate, disabled }) {
+  const anchor = parseDateKey(dueDate || dateKey(new Date()));
+  const ends = !value ? "never" : value.until ? "on" : value.count ? "after" : "never";
+  const set = (fields) => onChange({ ...value, ...fields });
+
+  function setFreq(freq) {
+    if (freq === "none") return onChange(null);
+    onChange({
+      interval: 1,
+      until: "",
+      count: null,
+      ...value,
+      freq,
+      weekdays: value && value.weekdays && value.weekdays.length ? value.weekdays : [anchor.getDay()],
+      monthDay: (value && value.monthDay) || anchor.getDate(),
+    });
+  }
+
+  function setEnds(kind) {
+    if (kind === "never") set({ until: "", count: null });
+    if (kind === "on") set({ until: value.until || dueDate || dateKey(new Date()), count: null });
+    if (kind === "after") set({ until: "", count: value.count || 10 });
+  }
+
+  function toggleWeekday(day) {
+    set({ weekdays: value.weekdays.includes(day) ? value.weekdays.filter((d) => d !== day) : [...value.weekdays, day] });
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label className="text-sm">Repeat</label>
+          <Select value={value ? value.freq : "none"} onValueChange={setFreq} disabled={disabled}>
+            <SelectTrigger><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">Doesn't repeat</SelectItem>
+              {Object.entries(RECURRENCE_FREQS).map(([freq, f]) => (
+                <SelectItem key={freq} value={freq}>{f.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {value && (
+          <div>
+            <label className="text-sm">Every ({RECURRENCE_FREQS[value.freq].unit}s)</label>
+            <Input
+              type="number"
+              min={1}
+              value={value.interval}
+              onChange={(e) => set({ interval: e.target.value })}
+              disabled={disabled}
+              aria-label="Repeat interval"
+            />
+          </div>
+        )}
+        {value && value.freq === "monthly" && (
+          <div>
+            <label className="text-sm">On day</label>
+            <Input
+              type="number"
+              min={1}
+              max={31}
+              value={value.monthDay}
+              onChange={(e) => set({ monthDay: e.target.value })}
+              disabled={disabled}
+              aria-label="Day of the month"
+            />
+          </div>
+        )}
+      </div>
+      {value && value.freq === "weekly" && (
+        <div className="flex flex-wrap gap-1">
+          {[1, 2, 3, 4, 5, 6, 0].map((day) => (
+            <Button
+              key={day}
+              size="sm"
+              variant={value.weekdays.includes(day) ? "default" : "outline"}
+              onClick={() => toggleWeekday(day)}
+              disabled={disabled}
+              aria-pressed={value.weekdays.includes(day)}
+              title={weekdayLabel(day, "long")}
+            >
+              {weekdayLabel(day)}
+            </Button>
+          ))}
+        </div>
+      )}
+      {value && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="text-sm">Ends</label>
+            <Select value={ends} onValueChange={setEnds} disabled={disabled}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="never">Never</SelectItem>
+                <SelectItem value="on">On a date</SelectItem>
+                <SelectItem value="after">After a number of times</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {ends === "on" && (
+            <div>
+              <label className="text-sm">Last date</label>
+              <Input
+                type="date"
+                value={value.until}
+                min={dueDate || undefined}
+                onChange={(e) => set({ until: e.target.value })}
+                disabled={disabled}
+                aria-label="Repeat until"
+              />
+            </div>
+          )}
+          {ends === "after" && (
+            <div>
+              <label className="text-sm">Occurrences</label>
+              <Input
+                type="number"
+                min={1}
+                value={value.count}
+                onChange={(e) => set({ count: e.target.value })}
+                disabled={disabled}
+                aria-label="Number of occurrences"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TaskModal({ store, actions, project, open, onOpenChange, currentUser }) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [assigneeId, setAssigneeId] = useState(currentUser.id);
+  const [startDate, setStartDate] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [recurrence, setRecurrence] = useState(null);
+  const [estimate, setEstimate] = useState("");
+  const [error, setError] = useState("");
+
+  const members = project.members
+    .map((uid) => store.users.find((u) => u.id === uid))
+    .filter(Boolean);
+
+  async function createTask() {
+    if (!title.trim()) return;
+    let minutes;
+    try {
+      minutes = parseDuration(estimate);
+    } catch (e) {
+      return setError(e.message);
+    }
+    setError("");
+    const fields = {
+      title: title.trim(),
+      description: description.trim(),
+      assigneeId,
+      startDate,
+      dueDate,
+      recurrence,
+      estimate: minutes,
+    };
+    if (!(await actions.createTask(project, fields))) return;
+    setTitle("");
+    setDescription("");
+    setAssigneeId(currentUser.id);
+    setStartDate("");
+    setDueDate("");
+    setRecurrence(null);
+    setEstimate("");
+    onOpenChange(false);
+  }
+
+  return (
+    <DialogContent>
+      <DialogHeader>
+        <DialogTitle>New Task</DialogTitle>
+        <DialogDescription>Create and assign a task, and schedule it with start and due dates, once or repeating.</DialogDescription>
+      </DialogHeader>
+      <div className="space-y-3">
+        <div>
+          <label className="text-sm">Title</label>
+          <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Write a clear title" />
+        </div>
+        <div>
+          <label className="text-sm">Description</label>
+          <Textarea value={description} onChange={(e) => setDescription(e.target.value)} placeholder="What needs to be done?" rows={4} />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="text-sm">Assignee</label>
+            <Select value={assigneeId} onValueChange={(v) => setAssigneeId(v)}>
+              <SelectTrigger><SelectValue placeholder="Select a member" /></SelectTrigger>
+              <SelectContent>
+                {members.map((m) => (
+                  <SelectItem key={m.id} value={m.id}>{m.name || m.email}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <label className="text-sm">Start date</label>
+            <Input type="date" value={startDate} max={dueDate || undefined} onChange={(e) => setStartDate(e.target.value)} aria-label="Start date" />
+          </div>
+          <div>
+            <label className="text-sm">Due date</label>
+            <Input type="date" value={dueDate} min={startDate || undefined} onChange={(e) => setDueDate(e.target.value)} aria-label="Due date" />
+          </div>
+        </div>
+        <RecurrenceEditor value={recurrence} onChange={setRecurrence} dueDate={dueDate} />
+        <div className="md:w-1/3">
+          <label className="text-sm">Estimate</label>
+          <Input value={estimate} onChange={(e) => setEstimate(e.target.value)} placeholder="e.g. 4h or 1h 30m" aria-label="Estimate" />
+        </div>
+        {error && <div className="text-sm text-rose-600">{error}</div>}
+      </div>
+      <DialogFooter>
+        <Button onClick={createTask} disabled={!can(project, currentUser.id, "editTasks")} className="gap-2"><Plus className="h-4 w-4" /> Save Task</Button>
+      </DialogFooter>
+    </DialogContent>
+  );
+}
+
+function TaskDetail({ store, actions, currentUser, projectId, taskId, onBack }) {
+  const project = projectOf(store, projectId);
+  const task = store.tasks.find((t) => t.id === taskId && t.projectId === projectId);
+  const [form, setForm] = useState(() => ({
+    title: task?.title || "",
+    description: task?.description || "",
+    assigneeId: task?.assigneeId || null,
+    startDate: task?.startDate || "",
+    dueDate: task?.dueDate || "",
+    status: task?.status || "",
+    recurrence: task?.recurrence || null,
+    estimate: task?.estimate ? formatDuration(task.estimate) : "",
+  }));
+  const [comment, setComment] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [askScope, setAskScope] = useState(false);
+
+  useEffect(() => {
+    if (task && !task.deletedAt) actions.loadTaskActivity(task);
+  }, [taskId]);
+
+  if (!project || !task || task.deletedAt) {
+    return (
+      <EmptyState
+        title="Task not found"
+        subtitle={task?.deletedAt ? "This task is in the trash." : "It may have been deleted."}
+        action={<Button onClick={onBack}>Back to project</Button>}
+      />
+    );
+  }
+
+  const canEdit = can(project, currentUser.id, "editTasks");
+  const canDelete = can(project, currentUser.id, "deleteTask");
+  const canPost = can(project, currentUser.id, "postMessages");
+  const members = project.members.map((id) => store.users.find((u) => u.id === id)).filter(Boolean);
+  const comments = store.comments.filter((c) => c.taskId === task.id);
+  const history = store.taskHistory.filter((h) => h.taskId === task.id).sort((a, b) => b.at.localeCompare(a.at));
+  let estimate = task.estimate || null;
+  let estimateError = "";
+  try {
+    estimate = parseDuration(form.estimate);
+  } catch (e) {
+    estimateError = e.message;
+  }
+  const blank = (k) => (k === "assigneeId" || k === "recurrence" || k === "estimate" ? null : "");
+  const patch = Object.fromEntries(
+    Object.entries({ ...form, title: form.title.trim(), description: form.description.trim(), estimate }).filter(
+      ([k, v]) => JSON.stringify(v) !== JSON.stringify(task[k] ?? blank(k))
+    )
+  );
+  const dirty = Object.keys(patch).length > 0;
+
+  function update(field, value) {
+    setForm((f) => ({ ...f, [field]: value }));
+  }
+
+  // Edits to what occurrences start with ask whether they're for this one only;
+  // rule changes always apply to the whole series
+  async function save(scope) {
+    if (!form.title.trim() || !dirty || estimateError) return;
+    if (!scope && task.series && !("recurrence" in patch) && SERIES_FIELDS.some((f) => f in patch)) return setAskScope(true);
+    setAskScope(false);
+    if (!(await actions.updateTask(task, patch, scope))) return;
+    setForm((f) => ({ ...f, recurrence: checkRecurrence(f.recurrence, f.dueDate) })); // as stored, so the form isn't dirty
+    actions.loadTaskActivity(task);
+  }
+
+  async function postComment() {
+    if (!comment.trim()) return;
+    if (await actions.addComment(task, comment)) setComment("");
+  }
+
+  async function remove() {
+    if (await actions.removeTask(task)) onBack();
+  }
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Button variant="ghost" size="icon" onClick={onBack}><ChevronLeft className="h-5 w-5" /></Button>
+        <div className="min-w-0">
+          <div className="text-xs text-slate-500 truncate">{project.name}</div>
+          <h2 className="text-xl md:text-2xl font-bold truncate">{task.title}</h2>
+        </div>
+        <Badge variant="secondary" className="ml-auto">{columnLabel(project, task.status)}</Badge>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2 space-y-3">
+          <Card>
+            <CardHeader className="pb-2"><CardTitle>Details</CardTitle></CardHeader>
+            <CardContent className="space-y-3">
+              <div>
+                <label className="text-sm">Title</label>
+                <Input value={form.title} onChange={(e) => update("title", e.target.value)} disabled={!canEdit} />
+              </div>
+              <div>
+                <label className="text-sm">Description</label>
+                <Textarea value={form.description} onChange={(e) => update("description", e.target.value)} rows={6} disabled={!canEdit} />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="text-sm">Assignee</label>
+                  <Select value={form.assigneeId || undefined} onValueChange={(v) => update("assigneeId", v)} disabled={!canEdit}>
+                    <SelectTrigger><SelectValue placeholder="Unassigned" /></SelectTrigger>
+                    <SelectContent>
+                      {members.map((m) => (
+                        <SelectItem key={m.id} value={m.id}>{m.name || m.email}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <label className="text-sm">Start date</label>
+                  <Input
+                    type="date"
+                    value={form.startDate}
+                    max={form.dueDate || undefined}
+                    onChange={(e) => update("startDate", e.target.value)}
+                    disabled={!canEdit}
+                    aria-label="Start date"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm">Due date</label>
+                  <Input
+                    type="date"
+                    value={form.dueDate}
+                    min={form.startDate || undefined}
+                    onChange={(e) => update("dueDate", e.target.value)}
+                    disabled={!canEdit}
+                    aria-label="Due date"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm">Estimate</label>
+                  <Input
+                    value={form.estimate}
+                    onChange={(e) => update("estimate", e.target.value)}
+                    placeholder="e.g. 4h or 1h 30m"
+                    disabled={!canEdit}
+                    aria-label="Estimate"
+                  />
+                  {estimateError && <div className="text-xs text-rose-600 mt-1">{estimateError}</div>}
+                </div>
+                <div>
+                  <label className="text-sm">Status</label>
+                  <Select value={form.status} onValueChange={(v) => update("status", v)} disabled={!canEdit}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {projectColumns(project).map((c) => (
+                        <SelectItem key={c.id} value={c.id}>{c.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <RecurrenceEditor value={form.recurrence} onChange={(v) => update("recurrence", v)} dueDate={form.dueDate} disabled={!canEdit} />
+              {task.series && task.recurrence && (
+                <div className="text-xs text-slate-500">
+                  Occurrence {task.series.index}
+                  {task.recurrence.count ? ` of ${task.recurrence.count}` : ""}; completing it schedules the next one.
+                </div>
+              )}
+              {(canEdit || canDelete) && (
+                <div className="flex items-center justify-between gap-2 pt-2">
+                  {canDelete ? (
+                    <Button variant="ghost" className="gap-2 text-rose-600" onClick={() => setConfirmDelete(true)}>
+                      <Trash2 className="h-4 w-4" /> Delete
+                    </Button>
+                  ) : <span />}
+                  {canEdit && <Button onClick={() => save()} disabled={!dirty || !form.title.trim() || Boolean(estimateError)}>Save changes</Button>}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          <TaskTime store={store} actions={actions} task={task} currentUser={currentUser} canEdit={canEdit} />
+
+          <TaskAttachments store={store} actions={actions} task={task} currentUser={currentUser} canEdit={canEdit} />
+
+          <Card>
             <CardHeader className="pb-2">
-              <CardTitle className="flex items-center justify-between">
-                <span className="truncate">{p.name}</span>
-                <MoreVertical className="h-4 w-4 opacity-60" />
-              </CardTitle>
+              <CardTitle className="flex items-center gap-2"><MessageSquarePlus className="h-5 w-5" /> Comments</CardTitle>
             </CardHeader>
             <CardContent className="space-y-3">
-              <ProjectProgressSmall project={p} store={store} />
-              <div className="flex items-center gap-2 text-xs text-slate-600">
-                <Users className="h-4 w-4" /> {p.members.length} member{p.members.length !== 1 ? "s" : ""}
-              </div>
+              {comments.length === 0 && <div className="text-sm text-slate-500">No comments yet.</div>}
+              {comments.map((c) => {
+                const author = store.users.find((u) => u.id === c.authorId);
+                return (
+                  <div key={c.id} className="flex items-start gap-2">
+                    <Avatar className="h-7 w-7"><AvatarFallback>{initials(author?.name || author?.email)}</AvatarFallback></Avatar>
+                    <div className="flex-1">
+                      <div className="text-xs text-slate-500">{author?.name || author?.email} • {dateTimeFriendly(c.createdAt)}</div>
+                      <div className="text-sm mt-1 whitespace-pre-wrap">{c.content}</div>
+                    </div>
+                  </div>
+                );
+              })}
+              {canPost && (
+                <div className="flex gap-2">
+                  <Input value={comment} onChange={(e) => setComment(e.target.value)} placeholder="Add a comment..." onKeyDown={(e) => e.key === 'Enter' && postComment()} />
+                  <Button onClick={postComment} className="gap-2"><Send className="h-4 w-4" /> Send</Button>
+                </div>
+              )}
             </CardContent>
           </Card>
+        </div>
+
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="flex items-center gap-2"><History className="h-5 w-5" /> History</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {history.length === 0 && <div className="text-sm text-slate-500">No changes recorded yet.</div>}
+            {history.map((h) => {
+              const actor = store.users.find((u) => u.id === h.actorId);
+              return (
+                <div key={h.id} className="text-sm">
+                  <div>
+                    <span className="font-medium">{actor?.name || actor?.email || "Someone"}</span> {describeChange(h, project, store)}
+                  </div>
+                  <div className="text-xs text-slate-500">{dateTimeFriendly(h.at)}</div>
+                </div>
+              );
+            })}
+          </CardContent>
+        </Card>
+      </div>
+
+      <ConfirmDialog
+        open={confirmDelete}
+        onOpenChange={setConfirmDelete}
+        title="Delete task?"
+        description={`"${task.title}" moves to the trash and can be restored for ${TRASH_RETENTION_DAYS} days.`}
+        confirmLabel="Delete"
+        onConfirm={remove}
+      />
+      <Dialog open={askScope} onOpenChange={setAskScope}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Edit recurring task</DialogTitle>
+            <DialogDescription>
+              Change only this occurrence, or also the ones still open and every occurrence scheduled from now on?
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => save("occurrence")}>This occurrence</Button>
+            <Button onClick={() => save("series")}>Whole series</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </motion.div>
+  );
+}
+
+// Renders a history entry as "<verb phrase>", e.g. 'changed status from To-Do to Done'.
+function describeChange(entry, project, store) {
+  if (entry.field === "created") return "created the task";
+  if (entry.field === "deleted") return "moved the task to the trash";
+  if (entry.field === "restored") return "restored the task from the trash";
+  if (entry.field === "description") return "edited the description";
+  const format = (value) => fieldValueLabel(entry.field, value, project, store);
+  return `changed ${TRACKED_FIELDS[entry.field] || entry.field} from ${format(entry.from)} to ${format(entry.to)}`;
+}
+
+function fieldValueLabel(field, value, project, store) {
+  if (field === "assigneeId") {
+    const user = store.users.find((u) => u.id === value);
+    return user ? user.name || user.email : "nobody";
+  }
+  if (field === "dueDate" || field === "startDate") return value ? dateFriendly(value) : "none";
+  if (field === "status") return project ? columnLabel(project, value) : value;
+  if (field === "recurrence") return value ? describeRecurrence(value) : "never";
+  if (field === "estimate") return value ? formatDuration(value) : "none";
+  return `"${value}"`;
+}
+
+// Files attached to a task
+function TaskAttachments({ store, actions, task, currentUser, canEdit }) {
+  const input = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const project = projectOf(store, task.projectId);
+  const files = liveAttachments(store).filter((a) => a.taskId === task.id);
+
+  async function pick(e) {
+    const picked = [...e.target.files];
+    e.target.value = "";
+    setUploading(true);
+    for (const file of picked) {
+      if (!(await actions.uploadAttachment(task, file))) break;
+    }
+    setUploading(false);
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="flex items-center gap-2"><Paperclip className="h-5 w-5" /> Attachments</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {files.length === 0 && <div className="text-sm text-slate-500">No files yet.</div>}
+        <AttachmentList
+          attachments={files}
+          canRemove={(a) => !project.archivedAt && (a.uploaderId === currentUser.id || can(project, currentUser.id, "deleteTask"))}
+          onRemove={actions.removeAttachment}
+        />
+        {canEdit && (
+          <>
+            <input ref={input} type="file" multiple hidden onChange={pick} />
+            <Button size="sm" variant="outline" className="gap-2" disabled={uploading} onClick={() => input.current.click()}>
+              <Upload className="h-4 w-4" /> {uploading ? "Uploading..." : "Add files"}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Attachments as chips: images show a thumbnail that opens a preview, other
+// files download when clicked
+function AttachmentList({ attachments, canRemove, onRemove, compact = false }) {
+  const [preview, setPreview] = useState(null);
+  const [removing, setRemoving] = useState(null);
+  const [error, setError] = useState("");
+  if (attachments.length === 0) return null;
+
+  async function download(attachment) {
+    setError("");
+    try {
+      const a = document.createElement("a");
+      a.href = await dataAdapter.fileUrl(attachment);
+      a.download = attachment.name;
+      a.click();
+    } catch (e) {
+      setError(e.message || "Couldn't download the file");
+    }
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap gap-2">
+        {attachments.map((a) => (
+          <div key={a.id} className="flex items-center gap-2 rounded-lg border bg-white p-1 pr-2 text-xs max-w-full">
+            {isImage(a) ? (
+              <button className="shrink-0" title="Preview" onClick={() => setPreview(a)}>
+                <AttachmentImage attachment={a} className={`${compact ? "h-10 w-10" : "h-14 w-14"} rounded object-cover`} />
+              </button>
+            ) : (
+              <FileText className="h-5 w-5 shrink-0 text-slate-500" />
+            )}
+            <button className="min-w-0 text-left hover:text-indigo-600" title={`Download ${a.name}`} onClick={() => download(a)}>
+              <div className="truncate max-w-[10rem]">{a.name}</div>
+              <div className="text-slate-500">{formatBytes(a.size)}</div>
+            </button>
+            {canRemove(a) && (
+              <Button size="icon" variant="ghost" className="h-6 w-6" title="Remove file" onClick={() => setRemoving(a)}>
+                <X className="h-3.5 w-3.5" />
+              </Button>
+            )}
+          </div>
         ))}
-        {projects.length === 0 && (
-          <EmptyState
-            title="No projects yet"
-            subtitle="Create your first project to get started."
-            action={<Button onClick={() => setNewProjectOpen(true)} className="gap-2"><Plus className="h-4 w-4" /> New Project</Button>}
-          />
+      </div>
+      {error && <div className="text-xs text-rose-600">{error}</div>}
+      <Dialog open={Boolean(preview)} onOpenChange={(open) => !open && setPreview(null)}>
+        {preview && (
+          <DialogContent className="max-w-3xl">
+            <DialogHeader>
+              <DialogTitle className="truncate">{preview.name}</DialogTitle>
+            </DialogHeader>
+            <AttachmentImage attachment={preview} className="max-h-[70vh] w-full rounded object-contain" />
+            <DialogFooter>
+              <Button variant="outline" className="gap-2" onClick={() => download(preview)}><Download className="h-4 w-4" /> Download</Button>
+            </DialogFooter>
+          </DialogContent>
         )}
-      </div>
-    </motion.div>
+      </Dialog>
+      <ConfirmDialog
+        open={Boolean(removing)}
+        onOpenChange={(open) => !open && setRemoving(null)}
+        title="Remove file?"
+        description={removing ? `"${removing.name}" will be deleted for everyone.` : ""}
+        confirmLabel="Remove"
+        onConfirm={() => onRemove(removing)}
+      />
+    </div>
   );
 }
 
-function ProjectProgressSmall({ project, store }) {
-  const tasks = store.tasks.filter((t) => t.projectId === project.id);
-  const totals = {
-    todo: tasks.filter((t) => t.status === "todo").length,
-    inprogress: tasks.filter((t) => t.status === "inprogress").length,
-    done: tasks.filter((t) => t.status === "done").length,
+// An image attachment, fetched through the adapter (http mode needs the auth header)
+function AttachmentImage({ attachment, className }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    dataAdapter
+      .fileUrl(attachment)
+      .then((u) => current && setUrl(u))
+      .catch(() => current && setUrl(null));
+    return () => {
+      current = false;
+    };
+  }, [attachment.id]);
+
+  return url ? <img src={url} alt={attachment.name} className={className} /> : <div className={`${className} bg-slate-100`} />;
+}
+
+// ------------------ Calendar & Timeline ------------------
+const TASK_VIEWS = { board: "Board", calendar: "Calendar", timeline: "Timeline" };
+const TIMELINE_DAYS = 28;
+const TIMELINE_DAY_WIDTH = 36; // px
+
+// Drag setup shared by the calendar and timeline. Releasing a drag also clicks
+// whatever is under the pointer, so `opening` ignores clicks until it settles.
+function useDateDrag(onDrop) {
+  const dragging = useRef(false);
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 150, tolerance: 5 } })
+  );
+  const release = () => setTimeout(() => (dragging.current = false));
+  return {
+    context: {
+      sensors,
+      onDragStart: () => (dragging.current = true),
+      onDragEnd: (event) => {
+        release();
+        onDrop(event);
+      },
+      onDragCancel: release,
+    },
+    opening: (open) => (task) => !dragging.current && open(task),
   };
-  const data = [
-    { name: "To-Do", value: totals.todo, key: "todo" },
-    { name: "In Progress", value: totals.inprogress, key: "inprogress" },
-    { name: "Done", value: totals.done, key: "done" },
-  ];
-  const total = tasks.length || 1;
-  const donePct = Math.round((totals.done / total) * 100);
+}
+
+// Month/week grid. A task shows on every day from its start to its due date;
+// dropping it on another day moves both dates by the same amount. Tasks
+// without dates wait below the grid and get a due date when dropped on a day.
+function TaskCalendar({ tasks, store, canEdit, onOpenTask, onReschedule, showProject = false }) {
+  const today = dateKey(new Date());
+  const [mode, setMode] = useState("month");
+  const [anchor, setAnchor] = useState(today);
+  const drag = useDateDrag(onDragEnd);
+  const openTask = drag.opening(onOpenTask);
+
+  const first = weekStart(mode === "month" ? `${anchor.slice(0, 8)}01` : anchor);
+  const days = Array.from({ length: mode === "month" ? 42 : 7 }, (_, i) => addDays(first, i));
+  const last = days[days.length - 1];
+  const byDay = useMemo(() => {
+    const map = {};
+    tasks.forEach((t) => {
+      const span = taskSpan(t);
+      if (!span || span.end < first || span.start > last) return;
+      days.filter((d) => d >= span.start && d <= span.end).forEach((d) => (map[d] = [...(map[d] || []), t]));
+    });
+    return map;
+  }, [tasks, first, last]);
+  const unscheduled = tasks.filter((t) => !taskSpan(t));
+
+  function step(direction) {
+    if (mode === "week") return setAnchor(addDays(anchor, 7 * direction));
+    const d = parseDateKey(`${anchor.slice(0, 8)}01`);
+    d.setMonth(d.getMonth() + direction);
+    setAnchor(dateKey(d));
+  }
+
+  function onDragEnd({ active, over }) {
+    if (!over) return;
+    const { task, day } = active.data.current;
+    if (!day) return onReschedule(task, { dueDate: over.id });
+    const delta = daysBetween(day, over.id);
+    if (delta !== 0) onReschedule(task, shiftDates(task, delta));
+  }
+
+  const title =
+    mode === "month"
+      ? dayLabel(anchor, { month: "long", year: "numeric" })
+      : `${dayLabel(first, { month: "short", day: "numeric" })} – ${dayLabel(last, { month: "short", day: "numeric", year: "numeric" })}`;
 
   return (
-    <div className="flex items-center gap-4">
-      <div className="h-20 w-20">
-        <ResponsiveContainer width="100%" height="100%">
-          <PieChart>
-            <Pie data={data} dataKey="value" nameKey="name" outerRadius={35} innerRadius={18}>
-              {data.map((entry, i) => (
-                <Cell key={`cell-${i}`} />
+    <DndContext {...drag.context}>
+      <Card className="bg-white/70">
+        <CardHeader className="pb-2 flex flex-row flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-1">
+            <Button size="icon" variant="ghost" title="Previous" onClick={() => step(-1)}><ChevronLeft className="h-4 w-4" /></Button>
+            <Button size="icon" variant="ghost" title="Next" onClick={() => step(1)}><ChevronRight className="h-4 w-4" /></Button>
+            <CardTitle className="text-base ml-1">{title}</CardTitle>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button size="sm" variant="outline" onClick={() => setAnchor(today)}>Today</Button>
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger className="h-8 w-24"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="month">Month</SelectItem>
+                <SelectItem value="week">Week</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="grid grid-cols-7 gap-px rounded-xl border bg-slate-200 overflow-hidden text-xs">
+            {days.slice(0, 7).map((d) => (
+              <div key={d} className="bg-slate-50 px-2 py-1 font-medium text-slate-500">{dayLabel(d, { weekday: "short" })}</div>
+            ))}
+            {days.map((d) => (
+              <CalendarDay
+                key={d}
+                day={d}
+                tasks={byDay[d] || []}
+                store={store}
+                isToday={d === today}
+                outside={mode === "month" && d.slice(0, 7) !== anchor.slice(0, 7)}
+                tall={mode === "week"}
+                canEdit={canEdit}
+                onOpenTask={openTask}
+                showProject={showProject}
+              />
+            ))}
+          </div>
+          {unscheduled.length > 0 && (
+            <div>
+              <div className="text-xs text-slate-500 mb-1">No dates yet{tasks.some(canEdit) ? " — drag onto a day to schedule" : ""}</div>
+              <div className="flex flex-wrap gap-1">
+                {unscheduled.map((t) => (
+                  <CalendarChip key={t.id} task={t} day={null} store={store} canEdit={canEdit(t)} onOpen={() => openTask(t)} showProject={showProject} />
+                ))}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </DndContext>
+  );
+}
+
+function CalendarDay({ day, tasks, store, isToday, outside, tall, canEdit, onOpenTask, showProject }) {
+  const { setNodeRef, isOver } = useDroppable({ id: day });
+  return (
+    <div
+      ref={setNodeRef}
+      className={`bg-white p-1 space-y-1 ${tall ? "min-h-[12rem]" : "min-h-[5.5rem]"} ${outside ? "bg-slate-50 text-slate-400" : ""} ${isOver ? "ring-2 ring-inset ring-indigo-300" : ""}`}
+    >
+      <div className={`text-right px-1 ${isToday ? "font-semibold text-indigo-600" : ""}`}>{Number(day.slice(8))}</div>
+      {tasks.map((t) => (
+        <CalendarChip key={t.id} task={t} day={day} store={store} canEdit={canEdit(t)} onOpen={() => onOpenTask(t)} showProject={showProject} />
+      ))}
+    </div>
+  );
+}
+
+function CalendarChip({ task, day, store, canEdit, onOpen, showProject }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id: `${task.id}@${day || "unscheduled"}`,
+    data: { task, day },
+    disabled: !canEdit,
+  });
+  const project = showProject && projectOf(store, task.projectId);
+  const tone = task.status === "done" ? "bg-emerald-50 text-slate-400 line-through" : isOverdue(task) ? "bg-rose-50 text-rose-700" : "bg-indigo-50 text-indigo-700";
+  return (
+    <button
+      ref={setNodeRef}
+      {...attributes}
+      {...listeners}
+      style={{ transform: CSS.Translate.toString(transform) }}
+      title={project ? `${project.name}: ${task.title}` : task.title}
+      className={`block w-full truncate rounded-md px-1.5 py-0.5 text-left text-xs ${tone} ${canEdit ? "cursor-grab touch-none" : ""} ${isDragging ? "relative z-10 shadow-md" : ""}`}
+      onClick={onOpen}
+    >
+      {project && <span className="opacity-60">{project.name} · </span>}
+      {task.title}
+    </button>
+  );
+}
+
+// Gantt-style rows over TIMELINE_DAYS days. Dragging a bar moves the task;
+// dragging its right edge changes the due date.
+function TaskTimeline({ tasks, store, canEdit, onOpenTask, onReschedule }) {
+  const today = dateKey(new Date());
+  const [from, setFrom] = useState(() => weekStart(today));
+  const drag = useDateDrag(onDragEnd);
+  const openTask = drag.opening(onOpenTask);
+  const days = Array.from({ length: TIMELINE_DAYS }, (_, i) => addDays(from, i));
+  const to = days[days.length - 1];
+  const rows = tasks
+    .map((task) => ({ task, span: taskSpan(task) }))
+    .filter(({ span }) => span && span.end >= from && span.start <= to)
+    .sort((a, b) => a.span.start.localeCompare(b.span.start) || a.span.end.localeCompare(b.span.end));
+  const hidden = tasks.length - rows.length;
+
+  function onDragEnd({ active, delta }) {
+    const { task, edge } = active.data.current;
+    const moved = Math.round(delta.x / TIMELINE_DAY_WIDTH);
+    if (moved === 0) return;
+    if (edge === "move") return onReschedule(task, shiftDates(task, moved));
+    const span = taskSpan(task);
+    const dueDate = addDays(span.end, moved);
+    onReschedule(task, { startDate: span.start, dueDate: dueDate < span.start ? span.start : dueDate });
+  }
+
+  return (
+    <DndContext {...drag.context}>
+      <Card className="bg-white/70">
+        <CardHeader className="pb-2 flex flex-row flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center gap-1">
+            <Button size="icon" variant="ghost" title="Earlier" onClick={() => setFrom(addDays(from, -7))}><ChevronLeft className="h-4 w-4" /></Button>
+            <Button size="icon" variant="ghost" title="Later" onClick={() => setFrom(addDays(from, 7))}><ChevronRight className="h-4 w-4" /></Button>
+            <CardTitle className="text-base ml-1">
+              {dayLabel(from, { month: "short", day: "numeric" })} – {dayLabel(to, { month: "short", day: "numeric", year: "numeric" })}
+            </CardTitle>
+          </div>
+          <Button size="sm" variant="outline" onClick={() => setFrom(weekStart(today))}>Today</Button>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <div className="flex text-xs">
+            <div className="w-32 md:w-44 shrink-0 divide-y border-r">
+              <div className="h-10" />
+              {rows.map(({ task }) => (
+                <button key={task.id} className="block h-9 w-full truncate px-2 text-left hover:text-indigo-600" onClick={() => openTask(task)}>
+                  {task.title}
+                </button>
               ))}
-            </Pie>
-            <Tooltip />
-          </PieChart>
-        </ResponsiveContainer>
-      </div>
-      <div className="text-sm">
-        <div className="font-medium">Progress: {donePct}%</div>
-        <div className="text-slate-600">{tasks.length} task{tasks.length !== 1 ? "s" : ""}</div>
-      </div>
+            </div>
+            <div className="overflow-x-auto">
+              <div style={{ width: TIMELINE_DAYS * TIMELINE_DAY_WIDTH }} className="divide-y">
+                <div className="flex h-10">
+                  {days.map((d) => (
+                    <div
+                      key={d}
+                      style={{ width: TIMELINE_DAY_WIDTH }}
+                      className={`shrink-0 text-center leading-4 pt-1 ${d === today ? "bg-indigo-50 font-semibold text-indigo-600" : "text-slate-500"}`}
+                    >
+                      <div>{dayLabel(d, { weekday: "narrow" })}</div>
+                      <div>{Number(d.slice(8))}</div>
+                    </div>
+                  ))}
+                </div>
+                {rows.map(({ task, span }) => (
+                  <div key={task.id} className="relative h-9 overflow-hidden">
+                    <TimelineBar task={task} span={span} from={from} canEdit={canEdit} onOpen={() => openTask(task)} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+          {rows.length === 0 && <div className="text-sm text-slate-500">Nothing scheduled in these weeks.</div>}
+          {hidden > 0 && (
+            <div className="text-xs text-slate-500">
+              {hidden} task{hidden !== 1 ? "s" : ""} outside this range or without dates.
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </DndContext>
+  );
+}
+
+function TimelineBar({ task, span, from, canEdit, onOpen }) {
+  const move = useDraggable({ id: task.id, data: { task, edge: "move" }, disabled: !canEdit });
+  const resize = useDraggable({ id: `${task.id}:end`, data: { task, edge: "end" }, disabled: !canEdit });
+  const left = daysBetween(from, span.start) * TIMELINE_DAY_WIDTH + (move.transform?.x || 0);
+  const width = Math.max(
+    TIMELINE_DAY_WIDTH,
+    (daysBetween(span.start, span.end) + 1) * TIMELINE_DAY_WIDTH + (resize.transform?.x || 0)
+  );
+  const tone = task.status === "done" ? "bg-emerald-400" : isOverdue(task) ? "bg-rose-400" : "bg-indigo-400";
+  return (
+    <div
+      ref={move.setNodeRef}
+      style={{ left, width }}
+      className={`absolute top-1.5 flex h-6 items-center rounded-md text-white ${tone} ${move.isDragging || resize.isDragging ? "shadow-md opacity-90" : ""}`}
+      title={`${task.title}: ${dateFriendly(span.start)} – ${dateFriendly(span.end)}`}
+    >
+      <button
+        {...move.attributes}
+        {...move.listeners}
+        className={`h-full flex-1 min-w-0 truncate px-2 text-left text-xs ${canEdit ? "cursor-grab touch-none" : ""}`}
+        onClick={onOpen}
+      >
+        {task.title}
+      </button>
+      {canEdit && (
+        <span
+          ref={resize.setNodeRef}
+          {...resize.attributes}
+          {...resize.listeners}
+          aria-label={`Change due date of ${task.title}`}
+          className="h-full w-2 shrink-0 cursor-ew-resize touch-none rounded-r-md bg-black/10"
+        />
+      )}
     </div>
   );
 }
 
-// ------------------ Project View ------------------
-function ProjectView({ store, setStore, currentUser, projectId, onBack }) {
-  const project = store.projects.find((p) => p.id === projectId);
-  const [taskModalOpen, setTaskModalOpen] = useState(false);
-  const [chatInput, setChatInput] = useState("");
+// Everything assigned to the current user, across projects
+function MyCalendar({ store, actions, currentUser, onBack, onOpenTask }) {
+  const tasks = store.tasks.filter((t) => {
+    const project = projectOf(store, t.projectId);
+    return t.assigneeId === currentUser.id && !t.deletedAt && project && project.members.includes(currentUser.id);
+  });
 
-  if (!project) return <EmptyState title="Project not found" subtitle="Return to dashboard" action={<Button onClick={onBack}>Back</Button>} />;
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
+      <div className="flex items-center gap-2">
+        <Button variant="ghost" size="icon" onClick={onBack}><ChevronLeft className="h-5 w-5" /></Button>
+        <div>
+          <h2 className="text-xl md:text-2xl font-bold">My calendar</h2>
+          <p className="text-sm text-slate-600">Tasks assigned to you in all your projects.</p>
+        </div>
+      </div>
+      <TaskCalendar
+        tasks={tasks}
+        store={store}
+        canEdit={(t) => can(projectOf(store, t.projectId), currentUser.id, "editTasks")}
+        onOpenTask={onOpenTask}
+        onReschedule={(task, patch) => actions.updateTask(task, patch)}
+        showProject
+      />
+    </motion.div>
+  );
+}
 
-  const projectTasks = store.tasks.filter((t) => t.projectId === project.id);
-  const members = project.members
-    .map((uid) => store.users.find((u) => u.id === uid))
+// ------------------ Timesheets ------------------
+// Re-renders every `ms` so running timers tick
+function useNow(ms = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), ms);
+    return () => clearInterval(timer);
+  }, [ms]);
+  return now;
+}
+
+// Time on a running timer as h:mm:ss
+function TimerClock({ startedAt }) {
+  const now = useNow();
+  const seconds = Math.max(0, Math.floor((now - Date.parse(startedAt)) / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  return <span className="tabular-nums">{`${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`}</span>;
+}
+
+// Logged time in the week starting `week` (a Monday), grouped by project and
+// then member, with per-day totals. `projectIds` limits it to those projects,
+// `userId` to one member.
+function buildTimesheet(store, week, projectIds, userId) {
+  const days = Array.from({ length: 7 }, (_, i) => addDays(week, i));
+  const entries = liveTimeEntries(store).filter(
+    (e) => e.minutes !== null && days.includes(e.date) && projectIds.includes(e.projectId) && (!userId || e.userId === userId)
+  );
+  const perDay = (list) => days.map((d) => list.filter((e) => e.date === d).reduce((sum, e) => sum + e.minutes, 0));
+  const sum = (list) => list.reduce((total, e) => total + e.minutes, 0);
+  const projects = projectIds
+    .map((pid) => {
+      const own = entries.filter((e) => e.projectId === pid);
+      const members = [...new Set(own.map((e) => e.userId))].map((uid) => {
+        const mine = own.filter((e) => e.userId === uid);
+        return { user: store.users.find((u) => u.id === uid) || { id: uid, email: "Former member" }, byDay: perDay(mine), total: sum(mine) };
+      });
+      return { project: projectOf(store, pid), members, byDay: perDay(own), total: sum(own) };
+    })
+    .filter((p) => p.members.length > 0);
+  return { days, entries, projects, byDay: perDay(entries), total: sum(entries) };
+}
+
+function timesheetCsv(store, entries) {
+  const rows = [...entries]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((e) => {
+      const user = store.users.find((u) => u.id === e.userId);
+      const task = store.tasks.find((t) => t.id === e.taskId);
+      return [
+        e.date,
+        projectOf(store, e.projectId)?.name || "",
+        task ? task.title : "(deleted task)",
+        user ? user.name || user.email : "",
+        user ? user.email : "",
+        (e.minutes / 60).toFixed(2),
+        e.note || "",
+      ];
+    });
+  return toCsv(["Date", "Project", "Task", "Member", "Email", "Hours", "Note"], rows);
+}
+
+function Timesheet({ store, currentUser, onBack }) {
+  const mine = store.projects.filter((p) => p.members.includes(currentUser.id));
+  const [week, setWeek] = useState(() => weekStart(dateKey(new Date())));
+  const [projectId, setProjectId] = useState("all");
+  const [userId, setUserId] = useState("all");
+  const projectIds = projectId === "all" ? mine.map((p) => p.id) : [projectId];
+  const people = [...new Set(mine.filter((p) => projectIds.includes(p.id)).flatMap((p) => p.members))]
+    .map((id) => store.users.find((u) => u.id === id))
     .filter(Boolean);
+  const sheet = buildTimesheet(store, week, projectIds, userId === "all" ? null : userId);
+  const cell = (minutes) => (minutes ? formatDuration(minutes) : "");
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button variant="ghost" size="icon" onClick={onBack}><ChevronLeft className="h-5 w-5" /></Button>
+        <div className="mr-auto">
+          <h2 className="text-xl md:text-2xl font-bold">Timesheet</h2>
+          <p className="text-sm text-slate-600">
+            Week of {dayLabel(week, { month: "short", day: "numeric" })} – {dayLabel(addDays(week, 6), { month: "short", day: "numeric", year: "numeric" })}
+          </p>
+        </div>
+        <Button variant="outline" size="icon" onClick={() => setWeek(addDays(week, -7))} title="Previous week"><ChevronLeft className="h-4 w-4" /></Button>
+        <Button variant="outline" onClick={() => setWeek(weekStart(dateKey(new Date())))}>This week</Button>
+        <Button variant="outline" size="icon" onClick={() => setWeek(addDays(week, 7))} title="Next week"><ChevronRight className="h-4 w-4" /></Button>
+        <Select value={projectId} onValueChange={(v) => { setProjectId(v); setUserId("all"); }}>
+          <SelectTrigger className="h-9 w-44"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All projects</SelectItem>
+            {mine.map((p) => <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>)}
+          </SelectContent>
+        </Select>
+        <Select value={userId} onValueChange={setUserId}>
+          <SelectTrigger className="h-9 w-44"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Everyone</SelectItem>
+            {people.map((u) => <SelectItem key={u.id} value={u.id}>{u.name || u.email}</SelectItem>)}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="outline"
+          className="gap-2"
+          disabled={sheet.entries.length === 0}
+          onClick={() => downloadFile(`timesheet-${week}.csv`, timesheetCsv(store, sheet.entries), "text/csv")}
+        >
+          <Download className="h-4 w-4" /> Export CSV
+        </Button>
+      </div>
+
+      {sheet.projects.length === 0 ? (
+        <EmptyState title="No time logged" subtitle="Time logged on tasks this week shows up here." />
+      ) : (
+        <Card>
+          <CardContent className="p-0 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-slate-500">
+                  <th className="text-left font-medium p-3">Project / member</th>
+                  {sheet.days.map((d) => (
+                    <th key={d} className="text-right font-medium p-3 whitespace-nowrap">{dayLabel(d, { weekday: "short", day: "numeric" })}</th>
+                  ))}
+                  <th className="text-right font-medium p-3">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sheet.projects.map((p) => (
+                  <React.Fragment key={p.project?.id || "none"}>
+                    <tr className="border-b bg-slate-50 font-medium">
+                      <td className="p-3">{p.project?.name}</td>
+                      {p.byDay.map((m, i) => <td key={i} className="p-3 text-right">{cell(m)}</td>)}
+                      <td className="p-3 text-right">{cell(p.total)}</td>
+                    </tr>
+                    {p.members.map((row) => (
+                      <tr key={row.user.id} className="border-b">
+                        <td className="p-3 pl-6">{row.user.name || row.user.email}</td>
+                        {row.byDay.map((m, i) => <td key={i} className="p-3 text-right text-slate-600">{cell(m)}</td>)}
+                        <td className="p-3 text-right">{cell(row.total)}</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="font-semibold">
+                  <td className="p-3">Total</td>
+                  {sheet.byDay.map((m, i) => <td key={i} className="p-3 text-right">{cell(m)}</td>)}
+                  <td className="p-3 text-right">{cell(sheet.total)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+    </motion.div>
+  );
+}
+
+// Time logged on a task against its estimate, with the timer and a form for
+// adding time by hand
+function TaskTime({ store, actions, task, currentUser, canEdit }) {
+  const [date, setDate] = useState(() => dateKey(new Date()));
+  const [duration, setDuration] = useState("");
+  const [note, setNote] = useState("");
+  const [error, setError] = useState("");
+  const entries = liveTimeEntries(store)
+    .filter((e) => e.taskId === task.id && e.minutes !== null)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+  const logged = taskMinutes(store, task.id);
+  const running = runningTimer(store, currentUser.id);
+  const timing = running && running.taskId === task.id;
+  const archived = Boolean(projectOf(store, task.projectId)?.archivedAt);
 
-  function addMember(nameOrEmail) {
-    const emailLower = nameOrEmail.trim().toLowerCase();
-    let user = store.users.find((u) => u.email === emailLower);
-    if (!user) {
-      user = { id: uid("user"), email: emailLower, name: nameOrEmail, password: "" };
-      setStore((s) => ({ ...s, users: [...s.users, user] }));
+  async function logTime() {
+    let minutes;
+    try {
+      minutes = parseDuration(duration);
+    } catch (e) {
+      return setError(e.message);
     }
-    if (!project.members.includes(user.id)) {
-      const updated = { ...project, members: [...project.members, user.id] };
-      setStore((s) => ({ ...s, projects: s.projects.map((p) => (p.id === project.id ? updated : p)) }));
+    if (!minutes) return setError("Enter how long you worked, e.g. 1h 30m");
+    setError("");
+    if (await actions.addTimeEntry(task, { date, minutes, note })) {
+      setDuration("");
+      setNote("");
     }
   }
 
-  function postMessage(parentId = null) {
-    if (!chatInput.trim()) return;
-    const msg = {
-      id: uid("msg"),
-      projectId: project.id,
-      authorId: currentUser.id,
-      content: chatInput.trim(),
-      parentId,
-      createdAt: nowISO(),
-    };
-    setStore((s) => ({ ...s, messages: [...s.messages, msg] }));
-    setChatInput("");
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="flex items-center gap-2"><Timer className="h-5 w-5" /> Time</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-sm">
+            <span className="font-medium">{formatDuration(logged)}</span> logged
+            {task.estimate ? <span className="text-slate-500"> of {formatDuration(task.estimate)} estimated</span> : null}
+          </div>
+          {canEdit && (
+            <Button
+              size="sm"
+              variant={timing ? "destructive" : "outline"}
+              className="gap-2"
+              onClick={() => (timing ? actions.stopTimer() : actions.startTimer(task))}
+            >
+              {timing ? <Square className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              {timing ? <>Stop <TimerClock startedAt={running.startedAt} /></> : "Start timer"}
+            </Button>
+          )}
+        </div>
+        {task.estimate ? (
+          <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+            <div
+              className={`h-full ${logged > task.estimate ? "bg-rose-500" : "bg-indigo-500"}`}
+              style={{ width: `${Math.min(100, (logged / task.estimate) * 100)}%` }}
+            />
+          </div>
+        ) : null}
+        {canEdit && (
+          <div className="space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+              <Input type="date" value={date} onChange={(e) => setDate(e.target.value)} aria-label="Date worked" />
+              <Input value={duration} onChange={(e) => setDuration(e.target.value)} placeholder="1h 30m" aria-label="Time worked" />
+            </div>
+            <div className="flex gap-2">
+              <Input value={note} onChange={(e) => setNote(e.target.value)} placeholder="What did you work on? (optional)" />
+              <Button onClick={logTime}>Log time</Button>
+            </div>
+            {error && <div className="text-sm text-rose-600">{error}</div>}
+          </div>
+        )}
+        {entries.length === 0 && <div className="text-sm text-slate-500">No time logged yet.</div>}
+        {entries.map((e) => {
+          const user = store.users.find((u) => u.id === e.userId);
+          return (
+            <div key={e.id} className="flex items-start gap-2 text-sm">
+              <div className="flex-1 min-w-0">
+                <div>
+                  <span className="font-medium">{formatDuration(e.minutes)}</span> · {user?.name || user?.email || "Someone"} · {dayLabel(e.date, { month: "short", day: "numeric" })}
+                </div>
+                {e.note && <div className="text-xs text-slate-500 truncate">{e.note}</div>}
+              </div>
+              {e.userId === currentUser.id && !archived && (
+                <Button size="icon" variant="ghost" className="h-6 w-6" title="Remove" onClick={() => actions.removeTimeEntry(e)}>
+                  <Trash2 className="h-3.5 w-3.5" />
+                </Button>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+// The user's running timer, shown in the header wherever they are in the app
+function RunningTimer({ store, currentUser, actions, onOpenTask }) {
+  const running = runningTimer(store, currentUser.id);
+  if (!running) return null;
+  const task = store.tasks.find((t) => t.id === running.taskId);
+  return (
+    <div className="flex items-center gap-1 rounded-full border border-indigo-200 bg-indigo-50 pl-3 pr-1 text-sm text-indigo-700">
+      <button className="flex items-center gap-2 max-w-[200px]" onClick={() => task && onOpenTask(task)} title={task ? task.title : undefined}>
+        <Timer className="h-4 w-4 shrink-0" />
+        <TimerClock startedAt={running.startedAt} />
+        <span className="hidden md:inline truncate">{task ? task.title : ""}</span>
+      </button>
+      <Button size="icon" variant="ghost" className="h-7 w-7" title="Stop timer" onClick={() => actions.stopTimer()}>
+        <Square className="h-3.5 w-3.5" />
+      </Button>
+    </div>
+  );
+}
+
+// ------------------ Analytics ------------------
+const ANALYTICS_RANGES = { 7: "Last 7 days", 14: "Last 14 days", 30: "Last 30 days", 90: "Last 90 days" };
+
+// Value of `field` at time `at` (ms), replayed from the task's history (sorted
+// oldest first): before its first change a field held that change's `from`.
+function fieldAt(task, changes, field, at) {
+  const own = changes.filter((h) => h.field === field);
+  let value = own.length ? own[0].from : task[field];
+  for (const h of own) {
+    if (Date.parse(h.at) > at) break;
+    value = h.to;
   }
+  return value;
+}
 
-  const threads = store.messages.filter((m) => m.projectId === project.id && !m.parentId);
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Everything the analytics page charts, for the days `from`..`to` (inclusive
+// "YYYY-MM-DD" keys). Days after today get no actuals, only the ideal line.
+function buildAnalytics(project, tasks, history, users, from, to) {
+  const columns = projectColumns(project);
+  const known = new Set(columns.map((c) => c.id));
+  const now = Date.now();
+  const rangeStart = parseDateKey(from).getTime();
+  const rangeEnd = parseDateKey(addDays(to, 1)).getTime() - 1;
+  const changesOf = {};
+  [...history].sort((a, b) => a.at.localeCompare(b.at)).forEach((h) => (changesOf[h.taskId] = [...(changesOf[h.taskId] || []), h]));
+  // Tasks without a creation time count as having always existed
+  const timeline = tasks.map((task) => ({ task, changes: changesOf[task.id] || [], created: Date.parse(task.createdAt) || 0 }));
+  // Tasks in since-removed columns were moved to the first one
+  const statusAt = ({ task, changes }, at) => {
+    const status = fieldAt(task, changes, "status", at);
+    return known.has(status) ? status : columns[0].id;
+  };
+
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+  const series = days.map((day, i) => {
+    const end = parseDateKey(addDays(day, 1)).getTime() - 1;
+    const point = { day, label: dayLabel(day, { month: "short", day: "numeric" }) };
+    if (end - DAY_MS >= now) return point;
+    const scope = timeline.filter((t) => t.created <= end);
+    const counts = Object.fromEntries(columns.map((c) => [c.id, 0]));
+    scope.forEach((t) => (counts[statusAt(t, end)] += 1));
+    return { ...point, ...counts, scope: scope.length, remaining: scope.length - counts.done };
+  });
+  const startRemaining = series[0].remaining ?? 0;
+  series.forEach((p, i) => (p.ideal = Math.round(startRemaining * (1 - i / Math.max(1, series.length - 1)) * 10) / 10));
+
+  // Completions: the last move into "done" inside the range, per task
+  const completed = timeline
+    .map((t) => {
+      const statusChanges = t.changes.filter((h) => h.field === "status");
+      const done = statusChanges.filter((h) => h.to === "done" && Date.parse(h.at) >= rangeStart && Date.parse(h.at) <= rangeEnd).pop();
+      if (!done || statusAt(t, rangeEnd) !== "done") return null;
+      const doneAt = Date.parse(done.at);
+      // Work starts when the task first leaves its initial column; straight to done means unknown
+      const started = statusChanges[0] !== done ? Date.parse(statusChanges[0].at) : null;
+      return { task: t.task, doneAt, lead: (doneAt - t.created) / DAY_MS, cycle: started === null ? null : (doneAt - started) / DAY_MS };
+    })
+    .filter(Boolean);
+  const cycles = completed.map((c) => c.cycle).filter((c) => c !== null);
+  const leads = completed.map((c) => c.lead);
+  const weeks = {};
+  for (let w = weekStart(from); w <= to; w = addDays(w, 7)) weeks[w] = 0;
+  completed.forEach((c) => (weeks[weekStart(dateKey(new Date(c.doneAt)))] += 1));
+
+  // Workload: open tasks per assignee as of the end of the range (or now)
+  const snapshot = Math.min(rangeEnd, now);
+  const snapshotDay = dateKey(new Date(snapshot));
+  const open = timeline
+    .filter((t) => t.created <= snapshot && statusAt(t, snapshot) !== "done")
+    .map((t) => {
+      const dueDate = fieldAt(t.task, t.changes, "dueDate", snapshot);
+      return { task: t.task, assigneeId: fieldAt(t.task, t.changes, "assigneeId", snapshot) || null, overdue: Boolean(dueDate) && dueDate < snapshotDay };
+    });
+  const assignees = [...project.members, ...open.map((o) => o.assigneeId).filter((id) => id && !project.members.includes(id))];
+  const workload = [...assignees, null]
+    .map((id) => {
+      const mine = open.filter((o) => o.assigneeId === id);
+      const user = id && users.find((u) => u.id === id);
+      const name = id ? (user ? user.name || user.email : "Former member") : "Unassigned";
+      return { id, name, onTrack: mine.filter((o) => !o.overdue).length, overdue: mine.filter((o) => o.overdue).length };
+    })
+    .filter((w) => w.id !== null || w.onTrack + w.overdue > 0);
+
+  return {
+    series,
+    throughput: Object.entries(weeks).map(([week, done]) => ({ week, label: dayLabel(week, { month: "short", day: "numeric" }), done })),
+    stats: {
+      completed: completed.length,
+      perWeek: completed.length / Math.max(1, days.length / 7),
+      avgCycle: average(cycles),
+      medianCycle: median(cycles),
+      avgLead: average(leads),
+      medianLead: median(leads),
+    },
+    workload,
+    overdue: open.filter((o) => o.overdue).map((o) => o.task),
+  };
+}
+
+function formatDays(value) {
+  if (value === null) return "—";
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} d`;
+}
+
+function ProjectAnalytics({ store, actions, projectId, onBack, onOpenTask }) {
+  const project = projectOf(store, projectId);
+  const today = dateKey(new Date());
+  const [range, setRange] = useState({ from: addDays(today, -29), to: today });
+
+  useEffect(() => {
+    actions.loadProjectHistory(projectId);
+  }, [projectId]);
+
+  const tasks = project ? projectTasks(store, project.id) : [];
+  const history = store.taskHistory.filter((h) => h.projectId === projectId);
+  const data = useMemo(
+    () => project && buildAnalytics(project, tasks, history, store.users, range.from, range.to),
+    [project, store.tasks, store.taskHistory, store.users, range]
+  );
+
+  if (!project) {
+    return <EmptyState title="Project not found" subtitle="It may have been deleted." action={<Button onClick={onBack}>Back</Button>} />;
+  }
+
+  function setBound(bound, value) {
+    if (!value) return;
+    setRange((r) => {
+      const next = { ...r, [bound]: value };
+      // Keep the range the right way round
+      return next.from <= next.to ? next : { from: next.to, to: next.from };
+    });
+  }
+
+  const columns = projectColumns(project);
+  const preset = Object.keys(ANALYTICS_RANGES).find((n) => range.to === today && range.from === addDays(today, 1 - n));
+  const { stats } = data;
 
   return (
     <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-4">
-      <div className="flex items-center justify-between gap-2">
+      <div className="flex flex-wrap items-center justify-between gap-3">
         <div className="flex items-center gap-2">
           <Button variant="ghost" size="icon" onClick={onBack}><ChevronLeft className="h-5 w-5" /></Button>
-          <h2 className="text-xl md:text-2xl font-bold truncate">{project.name}</h2>
-        </div>
-        <ProjectMembers members={members} onAdd={addMember} />
-      </div>
-
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-        {/* Left: Tasks board */}
-        <div className="lg:col-span-2 space-y-3">
-          <div className="flex items-center justify-between">
-            <h3 className="font-semibold">Tasks</h3>
-            <Dialog open={taskModalOpen} onOpenChange={setTaskModalOpen}>
-              <DialogTrigger asChild>
-                <Button className="gap-2"><Plus className="h-4 w-4" /> New Task</Button>
-              </DialogTrigger>
-              <TaskModal
-                store={store}
-                setStore={setStore}
-                project={project}
-                open={taskModalOpen}
-                onOpenChange={setTaskModalOpen}
-                currentUser={currentUser}
-              />
-            </Dialog>
+          <div className="min-w-0">
+            <div className="text-xs text-slate-500 truncate">{project.name}</div>
+            <h2 className="text-xl md:text-2xl font-bold">Analytics</h2>
           </div>
-
-          <TaskBoard store={store} setStore={setStore} project={project} />
         </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={preset || "custom"} onValueChange={(n) => n !== "custom" && setRange({ from: addDays(today, 1 - n), to: today })}>
+            <SelectTrigger className="h-9 w-36"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {Object.entries(ANALYTICS_RANGES).map(([n, label]) => (
+                <SelectItem key={n} value={n}>{label}</SelectItem>
+              ))}
+              <SelectItem value="custom">Custom range</SelectItem>
+            </SelectContent>
+          </Select>
+          <Input type="date" className="h-9 w-40" value={range.from} onChange={(e) => setBound("from", e.target.value)} aria-label="From" />
+          <span className="text-slate-500">–</span>
+          <Input type="date" className="h-9 w-40" value={range.to} onChange={(e) => setBound("to", e.target.value)} aria-label="To" />
+        </div>
+      </div>
 
-        {/* Right: Progress & Chat */}
-        <div className="space-y-3">
-          <Card>
-            <CardHeader className="pb-2"><CardTitle>Progress</CardTitle></CardHeader>
-            <CardContent>
-              <ProjectProgressSmall project={project} store={store} />
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          ["Completed", stats.completed],
+          ["Throughput", `${stats.perWeek.toFixed(1)} / week`],
+          ["Cycle time", `${formatDays(stats.medianCycle)} median`, `${formatDays(stats.avgCycle)} average, from first move to done`],
+          ["Lead time", `${formatDays(stats.medianLead)} median`, `${formatDays(stats.avgLead)} average, from creation to done`],
+        ].map(([label, value, hint]) => (
+          <Card key={label}>
+            <CardContent className="p-4">
+              <div className="text-xs text-slate-500">{label}</div>
+              <div className="text-xl font-semibold">{value}</div>
+              {hint && <div className="text-xs text-slate-500">{hint}</div>}
             </CardContent>
           </Card>
+        ))}
+      </div>
 
-          <Card>
-            <CardHeader className="pb-2 flex items-center justify-between">
-              <CardTitle className="flex items-center gap-2"><MessageSquarePlus className="h-5 w-5" /> Project Chat</CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-3">
-              <div className="space-y-3 max-h-72 overflow-auto pr-1">
-                {threads.length === 0 && (
-                  <div className="text-sm text-slate-500">No messages yet. Start a thread below.</div>
-                )}
-                {threads.map((t) => (
-                  <Thread key={t.id} msg={t} store={store} setStore={setStore} />
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Card>
+          <CardHeader className="pb-2"><CardTitle className="text-base">Burndown</CardTitle></CardHeader>
+          <CardContent className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data.series}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="remaining" name="Remaining" stroke="#6366f1" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="scope" name="Total scope" stroke="#94a3b8" dot={false} />
+                <Line type="linear" dataKey="ideal" name="Ideal" stroke="#10b981" strokeDasharray="5 5" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-2"><CardTitle className="text-base">Cumulative flow</CardTitle></CardHeader>
+          <CardContent className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={data.series}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip />
+                <Legend />
+                {/* Stacked with "done" at the bottom, as flow diagrams usually are */}
+                {[...columns].reverse().map((c) => (
+                  <Area key={c.id} type="monotone" dataKey={c.id} name={c.label} stackId="flow" stroke={columnColor(project, c.id)} fill={columnColor(project, c.id)} />
                 ))}
-              </div>
-              <div className="flex gap-2">
-                <Input value={chatInput} onChange={(e) => setChatInput(e.target.value)} placeholder="Start a new thread..." onKeyDown={(e) => e.key === 'Enter' && postMessage()} />
-                <Button onClick={() => postMessage()} className="gap-2"><Send className="h-4 w-4" /> Send</Button>
-              </div>
-            </CardContent>
-          </Card>
-        </div>
-      </div>
-    </motion.div>
-  );
-}
+              </AreaChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
 
-function ProjectMembers({ members, onAdd }) {
-  const [open, setOpen] = useState(false);
-  const [val, setVal] = useState("");
-  return (
-    <div className="flex items-center gap-2">
-      <div className="flex -space-x-2">
-        {members.slice(0, 5).map((m) => (
-          <Avatar key={m.id} className="h-8 w-8 ring-2 ring-white">
-            <AvatarFallback>{initials(m.name || m.email)}</AvatarFallback>
-          </Avatar>
-        ))}
-        {members.length > 5 && (
-          <div className="h-8 w-8 rounded-full bg-slate-200 grid place-items-center text-xs">+{members.length - 5}</div>
-        )}
-      </div>
-      <Dialog open={open} onOpenChange={setOpen}>
-        <DialogTrigger asChild>
-          <Button variant="outline" size="sm" className="gap-2"><Plus className="h-4 w-4" /> Add</Button>
-        </DialogTrigger>
-        <DialogContent>
-          <DialogHeader>
-            <DialogTitle>Add member</DialogTitle>
-            <DialogDescription>Type an email or name to add to this project.</DialogDescription>
-          </DialogHeader>
-          <Input value={val} onChange={(e) => setVal(e.target.value)} placeholder="teammate@company.com" />
-          <DialogFooter>
-            <Button onClick={() => { if (val.trim()) { onAdd(val); setVal(""); setOpen(false);} }}>Add</Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
-    </div>
+        <Card>
+          <CardHeader className="pb-2"><CardTitle className="text-base">Throughput per week</CardTitle></CardHeader>
+          <CardContent className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data.throughput}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis allowDecimals={false} fontSize={12} />
+                <Tooltip />
+                <Bar dataKey="done" name="Completed" fill="#10b981" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="pb-2"><CardTitle className="text-base">Workload</CardTitle></CardHeader>
+          <CardContent className="space-y-3">
+            <div className="h-52">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={data.workload} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                  <XAxis type="number" allowDecimals={false} fontSize={12} />
+                  <YAxis type="category" dataKey="name" width={100} fontSize={12} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="onTrack" name="Open" stackId="load" fill="#6366f1" />
+                  <Bar dataKey="overdue" name="Overdue" stackId="load" fill="#f43f5e" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            {data.overdue.length > 0 && (
+              <div className="text-sm">
+                <div className="flex items-center gap-1 text-rose-600 font-medium">
+                  <AlertTriangle className="h-4 w-4" /> {data.overdue.length} overdue
+                </div>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {data.overdue.map((t) => (
+                    <button key={t.id} className="rounded-md bg-rose-50 px-1.5 py-0.5 text-xs text-rose-700 hover:underline" onClick={() => onOpenTask(t)}>
+                      {t.title}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </motion.div>
   );
 }
 
-function Thread({ msg, store, setStore }) {
-  const author = store.users.find((u) => u.id === msg.authorId);
-  const replies = store.messages.filter((m) => m.parentId === msg.id);
-  const [reply, setReply] = useState("");
+// ------------------ Activity Feed ------------------
+const ACTIVITY_CATEGORIES = {
+  all: "Everything",
+  task: "Tasks",
+  comment: "Comments",
+  message: "Chat",
+  member: "Members",
+  invite: "Invitations",
+  project: "Project settings",
+};
+const ACTIVITY_PAGE = 30;
+
+function ActivityFeed({ project, store, actions }) {
+  const [category, setCategory] = useState("all");
+  const [actorId, setActorId] = useState("anyone");
+  const [limit, setLimit] = useState(ACTIVITY_PAGE);
+
+  useEffect(() => {
+    actions.loadActivity(project.id);
+  }, [project.id]);
+
+  const actors = project.members.map((id) => store.users.find((u) => u.id === id)).filter(Boolean);
+  const entries = store.activity
+    .filter((a) => a.projectId === project.id)
+    .filter((a) => category === "all" || a.action.startsWith(`${category}.`))
+    .filter((a) => actorId === "anyone" || a.actorId === actorId)
+    .sort((a, b) => b.at.localeCompare(a.at));
 
-  function postReply() {
-    if (!reply.trim()) return;
-    const r = { id: uid("msg"), projectId: msg.projectId, authorId: msg.authorId, content: reply.trim(), parentId: msg.id, createdAt: nowISO() };
-    setStore((s) => ({ ...s, messages: [...s.messages, r] }));
-    setReply("");
+  function exportCsv() {
+    const actorName = (id) => {
+      const u = store.users.find((x) => x.id === id);
+      return u ? u.name || u.email : id;
+    };
+    const rows = entries.map((a) => [a.at, actorName(a.actorId), a.action, a.targetType, a.targetId, a.targetLabel, a.before, a.after]);
+    const csv = toCsv(["at", "actor", "action", "targetType", "targetId", "target", "before", "after"], rows);
+    downloadFile(`${fileSlug(project.name)}-activity.csv`, csv, "text/csv");
   }
 
   return (
-    <div className="border rounded-xl p-3">
-      <div className="flex items-start gap-2">
-        <Avatar className="h-7 w-7"><AvatarFallback>{initials(author?.name || author?.email)}</AvatarFallback></Avatar>
-        <div className="flex-1">
-          <div className="text-xs text-slate-500">{author?.name || author?.email} • {new Date(msg.createdAt).toLocaleString()}</div>
-          <div className="text-sm mt-1">{msg.content}</div>
+    <Card>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2"><Activity className="h-5 w-5" /> Activity</CardTitle>
+        <Button size="icon" variant="ghost" title="Export as CSV" onClick={exportCsv} disabled={entries.length === 0}>
+          <Download className="h-4 w-4" />
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex gap-2">
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger className="h-8"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {Object.entries(ACTIVITY_CATEGORIES).map(([key, label]) => (
+                <SelectItem key={key} value={key}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={actorId} onValueChange={setActorId}>
+            <SelectTrigger className="h-8"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="anyone">Anyone</SelectItem>
+              {actors.map((u) => (
+                <SelectItem key={u.id} value={u.id}>{u.name || u.email}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
         </div>
-      </div>
-      <div className="pl-9 mt-2 space-y-2">
-        {replies.map((r) => {
-          const ra = store.users.find((u) => u.id === r.authorId);
-          return (
-            <div key={r.id} className="flex items-start gap-2">
-              <Avatar className="h-6 w-6"><AvatarFallback>{initials(ra?.name || ra?.email)}</AvatarFallback></Avatar>
-              <div className="text-xs bg-slate-50 rounded-lg p-2 flex-1">
-                <div className="text-slate-500 mb-1">{ra?.name || ra?.email} • {new Date(r.createdAt).toLocaleString()}</div>
-                <div>{r.content}</div>
+        <div className="space-y-2 max-h-72 overflow-auto pr-1">
+          {entries.length === 0 && <div className="text-sm text-slate-500">No activity yet.</div>}
+          {entries.slice(0, limit).map((a) => {
+            const actor = store.users.find((u) => u.id === a.actorId);
+            return (
+              <div key={a.id} className="flex items-start gap-2 text-sm">
+                <Avatar className="h-6 w-6"><AvatarFallback>{initials(actor?.name || actor?.email)}</AvatarFallback></Avatar>
+                <div className="flex-1 min-w-0">
+                  <div className="break-words">
+                    <span className="font-medium">{actor ? actor.name || actor.email : "Someone"}</span> {describeActivity(a, project, store)}
+                  </div>
+                  <div className="text-xs text-slate-500">{dateTimeFriendly(a.at)}</div>
+                </div>
               </div>
-            </div>
-          );
-        })}
-        <div className="flex gap-2">
-          <Input value={reply} onChange={(e) => setReply(e.target.value)} placeholder="Reply..." onKeyDown={(e) => e.key === 'Enter' && postReply()} />
-          <Button size="sm" onClick={postReply}><Send className="h-4 w-4" /></Button>
+            );
+          })}
+          {entries.length > limit && (
+            <Button size="sm" variant="ghost" className="w-full" onClick={() => setLimit(limit + ACTIVITY_PAGE)}>Show more</Button>
+          )}
         </div>
-      </div>
-    </div>
+      </CardContent>
+    </Card>
   );
 }
 
-// ------------------ Tasks ------------------
-function TaskBoard({ store, setStore, project }) {
-  const columns = ["todo", "inprogress", "done"];
-  return (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-      {columns.map((col) => (
-        <Card key={col} className="bg-white/70">
-          <CardHeader className="pb-2"><CardTitle className="text-base">{STATUS[col].label}</CardTitle></CardHeader>
-          <CardContent className="space-y-2">
-            {store.tasks
-              .filter((t) => t.projectId === project.id && t.status === col)
-              .map((t) => (
-                <TaskCard key={t.id} task={t} store={store} setStore={setStore} />
-              ))}
-            {store.tasks.filter((t) => t.projectId === project.id && t.status === col).length === 0 && (
-              <div className="text-xs text-slate-500">No tasks</div>
-            )}
-          </CardContent>
-        </Card>
-      ))}
-    </div>
+function describeActivity(entry, project, store) {
+  const label = `"${toEditable(entry.targetLabel || "").text}"`;
+  const roleLabel = (role) => (ROLES[role] ? ROLES[role].label : role);
+  switch (entry.action) {
+    case "task.created":
+      return `created task ${label}`;
+    case "task.updated":
+      return Object.keys(entry.after)
+        .map((field) => describeChange({ field, from: entry.before[field], to: entry.after[field] }, project, store))
+        .join(", ")
+        .concat(` on ${label}`);
+    case "task.recurred":
+      return `scheduled the next ${label}, due ${dateFriendly(entry.after.dueDate)}`;
+    case "task.deleted":
+      return `moved ${label} to the trash`;
+    case "task.restored":
+      return `restored ${label} from the trash`;
+    case "task.attached":
+      return `attached "${entry.after.name}" to ${label}`;
+    case "task.detached":
+      return `removed "${entry.before.name}" from ${label}`;
+    case "comment.added":
+      return `commented on ${label}`;
+    case "message.posted":
+      return `posted in chat: ${label}`;
+    case "message.edited":
+      return "edited a chat message";
+    case "message.deleted":
+      return "deleted a chat message";
+    case "member.joined":
+      return `joined as ${roleLabel(entry.after.role)}`;
+    case "member.role":
+      return `changed ${entry.targetLabel}'s role from ${roleLabel(entry.before.role)} to ${roleLabel(entry.after.role)}`;
+    case "member.removed":
+      return `removed ${entry.targetLabel} from the project`;
+    case "member.left":
+      return "left the project";
+    case "invite.sent":
+      return `invited ${entry.targetLabel} as ${roleLabel(entry.after.role)}`;
+    case "invite.revoked":
+      return `revoked the invitation for ${entry.targetLabel}`;
+    case "project.created":
+      return "created the project";
+    case "project.imported":
+      return `imported the project with ${entry.after.tasks} ${entry.after.tasks === 1 ? "task" : "tasks"}`;
+    case "project.updated":
+      return [
+        "name" in entry.after && `renamed the project from "${entry.before.name}" to "${entry.after.name}"`,
+        "columns" in entry.after && "changed the board columns",
+        "description" in entry.after && "edited the description",
+        ("startDate" in entry.after || "endDate" in entry.after) && "changed the project dates",
+        ("color" in entry.after || "icon" in entry.after) && "changed the project's look",
+        "tags" in entry.after && "changed the tags",
+      ]
+        .filter(Boolean)
+        .join(" and ");
+    case "project.archived":
+      return "archived the project";
+    case "project.unarchived":
+      return "unarchived the project";
+    case "project.transferred":
+      return `made ${entry.targetLabel} the owner`;
+    default:
+      return entry.action;
+  }
+}
+
+// ------------------ Import & Export ------------------
+// Exports are versioned JSON (a whole workspace or one project) and CSV task
+// lists. Imports read a SynergySphere export, a Trello board export or a CSV
+// (e.g. from Jira) into drafts that are previewed before anything is created:
+//   { name, columns, tasks: [{ title, description, status, startDate, dueDate, person }], people, problems }
+// `person`/`people` hold { email, name } as found in the file; columns are null
+// for the default board.
+const EXPORT_FORMAT = "synergysphere";
+const EXPORT_VERSION = 1;
+
+const TASK_CSV_HEADER = ["Title", "Description", "Status", "Assignee", "Assignee email", "Start date", "Due date", "Created"];
+
+// CSV fields an import can map, with the headers each is guessed from
+const IMPORT_FIELDS = {
+  title: { label: "Title", guess: /^(title|summary|name|task|card name)$/i },
+  description: { label: "Description", guess: /^(description|desc|details|notes)$/i },
+  status: { label: "Status", guess: /^(status|state|list|list name|column|stage)$/i },
+  assignee: { label: "Assignee", guess: /^(assignee|assigned to|owner|members?)$/i },
+  assigneeEmail: { label: "Assignee email", guess: /^(assignee|owner) e-?mail$/i },
+  startDate: { label: "Start date", guess: /^(start|start date)$/i },
+  dueDate: { label: "Due date", guess: /^(due|due date|deadline)$/i },
+};
+
+const DONE_LABEL = /^(done|completed?|closed|finished|resolved)$/i;
+
+function exportBundle(store, projectIds) {
+  const inScope = (x) => projectIds.includes(x.projectId);
+  const projects = store.projects.filter((p) => projectIds.includes(p.id));
+  const memberIds = new Set(projects.flatMap((p) => p.members));
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: nowISO(),
+    projects,
+    // Only what identifies people: never passwords or preferences
+    users: store.users.filter((u) => memberIds.has(u.id)).map(({ id, name, email }) => ({ id, name, email })),
+    tasks: store.tasks.filter((t) => inScope(t) && !t.deletedAt),
+    comments: store.comments.filter(inScope),
+    messages: store.messages.filter(inScope),
+    taskHistory: store.taskHistory.filter(inScope),
+    activity: store.activity.filter(inScope),
+    timeEntries: store.timeEntries.filter((e) => inScope(e) && !e.deletedAt && e.minutes !== null),
+  };
+}
+
+function downloadJson(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), "application/json");
+}
+
+// Returns a function that downloads projects as a JSON bundle, once their
+// comments, history and activity are all in the store
+function useBundleDownload(store, actions) {
+  const [pending, setPending] = useState(null); // { filename, projectIds }
+  useEffect(() => {
+    if (!pending) return;
+    downloadJson(pending.filename, exportBundle(store, pending.projectIds));
+    setPending(null);
+  }, [pending, store]);
+  return async (filename, projectIds) => {
+    if (await actions.loadProjectRecords(projectIds)) setPending({ filename, projectIds });
+  };
+}
+
+function tasksCsv(store, project) {
+  const byColumn = tasksByColumn(project, store.tasks);
+  const rows = projectColumns(project).flatMap((c) =>
+    byColumn[c.id].map((t) => {
+      const assignee = store.users.find((u) => u.id === t.assigneeId);
+      return [t.title, t.description, c.label, assignee?.name || "", assignee?.email || "", t.startDate || "", t.dueDate || "", t.createdAt];
+    })
   );
+  return toCsv(TASK_CSV_HEADER, rows);
 }
 
-function TaskCard({ task, store, setStore }) {
-  const assignee = store.users.find((u) => u.id === task.assigneeId);
+// "YYYY-MM-DD" for anything Date can read, "" for nothing, null if unreadable
+function importDate(value) {
+  const text = String(value || "").trim();
+  if (!text) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : dateKey(new Date(time));
+}
 
-  function updateStatus(newStatus) {
-    const updated = { ...task, status: newStatus };
-    setStore((s) => ({ ...s, tasks: s.tasks.map((t) => (t.id === task.id ? updated : t)) }));
-    notify(safeUserId(task.assigneeId), `Task \"${task.title}\" marked ${STATUS[newStatus].label}.`, setStore);
-  }
+function importPerson(email, name) {
+  const cleanEmail = String(email || "").trim().toLowerCase();
+  const cleanName = String(name || "").trim();
+  return cleanEmail || cleanName ? { email: isEmail(cleanEmail) ? cleanEmail : "", name: cleanName || cleanEmail } : null;
+}
 
-  function removeTask() {
-    setStore((s) => ({ ...s, tasks: s.tasks.filter((t) => t.id !== task.id) }));
+// Cleans up one task; `where` names it in problem messages
+function draftTask({ title, description, status, startDate, dueDate, person }, where, problems) {
+  const dates = { startDate: importDate(startDate), dueDate: importDate(dueDate) };
+  if (dates.startDate === null) problems.push(`${where}: couldn't read the start date "${startDate}"`);
+  if (dates.dueDate === null) problems.push(`${where}: couldn't read the due date "${dueDate}"`);
+  dates.startDate = dates.startDate || "";
+  dates.dueDate = dates.dueDate || "";
+  if (dates.startDate && dates.dueDate && dates.startDate > dates.dueDate) {
+    problems.push(`${where}: the start date is after the due date, so it is left out`);
+    dates.startDate = "";
   }
+  return { title: String(title).trim(), description: String(description || "").trim(), status, ...dates, person };
+}
+
+// Board columns for the given names, in order. The one that reads like "done"
+// becomes the Done column, which goes last; without one, an empty one is added.
+function importColumns(labels) {
+  const columns = [];
+  labels.forEach((raw) => {
+    const label = String(raw || "").trim();
+    if (!label || columns.some((c) => c.label.toLowerCase() === label.toLowerCase())) return;
+    const done = DONE_LABEL.test(label) && !columns.some((c) => c.id === "done");
+    columns.push({ id: done ? "done" : uid("col"), label, wipLimit: null });
+  });
+  const done = columns.find((c) => c.id === "done") || { id: "done", label: "Done", wipLimit: null };
+  return [...columns.filter((c) => c !== done), done];
+}
 
-  const overdue = task.dueDate && new Date(task.dueDate).getTime() < Date.now() && task.status !== "done";
+function columnByLabel(columns, label) {
+  const column = columns.find((c) => c.label.toLowerCase() === String(label || "").trim().toLowerCase());
+  return column ? column.id : columns[0].id;
+}
 
-  return (
-    <div className={`border rounded-xl p-3 hover:shadow-sm transition ${overdue ? 'border-rose-300' : ''}`}>
-      <div className="flex items-start justify-between gap-2">
-        <div>
-          <div className="font-medium truncate">{task.title}</div>
-          <div className="text-xs text-slate-600 line-clamp-2">{task.description}</div>
-          <div className="flex items-center gap-2 mt-2 text-xs">
-            <Avatar className="h-6 w-6"><AvatarFallback>{initials(assignee?.name || assignee?.email)}</AvatarFallback></Avatar>
-            <span className="text-slate-600">{assignee?.name || assignee?.email}</span>
-            <Clock className="h-3.5 w-3.5" /> {dateFriendly(task.dueDate)}
-            {dueSoon(task.dueDate) && <Badge>Due soon</Badge>}
-            {task.status === 'done' && <CheckCircle2 className="h-4 w-4 text-emerald-600" />}
-          </div>
-        </div>
-        <DropdownMenu>
-          <DropdownMenuTrigger asChild>
-            <Button size="icon" variant="ghost"><MoreVertical className="h-4 w-4" /></Button>
-          </DropdownMenuTrigger>
-          <DropdownMenuContent align="end">
-            <DropdownMenuLabel>Change status</DropdownMenuLabel>
-            <DropdownMenuItem onClick={() => updateStatus("todo")}>{STATUS.todo.label}</DropdownMenuItem>
-            <DropdownMenuItem onClick={() => updateStatus("inprogress")}>{STATUS.inprogress.label}</DropdownMenuItem>
-            <DropdownMenuItem onClick={() => updateStatus("done")}>{STATUS.done.label}</DropdownMenuItem>
-            <DropdownMenuSeparator />
-            <DropdownMenuItem className="text-rose-600" onClick={removeTask}>
-              <Trash2 className="h-4 w-4 mr-2" /> Delete task
-            </DropdownMenuItem>
-          </DropdownMenuContent>
-        </DropdownMenu>
-      </div>
-    </div>
-  );
+function draftsFromExport(data) {
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error("This file comes from a newer version of SynergySphere");
+  }
+  const users = data.users || [];
+  const personOf = (id) => {
+    const user = users.find((u) => u.id === id);
+    return user ? importPerson(user.email, user.name) : null;
+  };
+  return (data.projects || []).map((p) => {
+    const problems = [];
+    const byColumn = tasksByColumn(p, (data.tasks || []).filter((t) => t.projectId === p.id && !t.deletedAt));
+    const tasks = projectColumns(p).flatMap((c) =>
+      byColumn[c.id].map((t) => draftTask({ ...t, person: personOf(t.assigneeId) }, `"${t.title}"`, problems))
+    );
+    return { name: p.name, columns: p.columns || null, tasks, people: p.members.map(personOf).filter(Boolean), problems };
+  });
 }
 
-function TaskModal({ store, setStore, project, open, onOpenChange, currentUser }) {
-  const [title, setTitle] = useState("");
-  const [description, setDescription] = useState("");
-  const [assigneeId, setAssigneeId] = useState(currentUser.id);
-  const [dueDate, setDueDate] = useState("");
+// Trello's "Export as JSON": lists become columns, open cards become tasks
+function draftFromTrello(board) {
+  const problems = [];
+  const lists = board.lists.filter((l) => !l.closed).sort((a, b) => (a.pos || 0) - (b.pos || 0));
+  const columns = importColumns(lists.map((l) => l.name));
+  const listPos = Object.fromEntries(lists.map((l, i) => [l.id, i]));
+  const people = Object.fromEntries((board.members || []).map((m) => [m.id, importPerson(m.email, m.fullName || m.username)]));
+  const cards = board.cards
+    .filter((c) => !c.closed && c.idList in listPos)
+    .sort((a, b) => listPos[a.idList] - listPos[b.idList] || (a.pos || 0) - (b.pos || 0));
+  const skipped = board.cards.length - cards.length;
+  if (skipped) problems.push(`${skipped} archived ${skipped === 1 ? "card is" : "cards are"} left out`);
+  const tasks = cards.map((c) => {
+    const memberIds = c.idMembers || [];
+    if (memberIds.length > 1) problems.push(`"${c.name}": only the first of its ${memberIds.length} members is kept`);
+    const list = lists[listPos[c.idList]];
+    const task = { title: c.name, description: c.desc, status: columnByLabel(columns, list.name), startDate: c.start, dueDate: c.due };
+    return draftTask({ ...task, person: people[memberIds[0]] || null }, `"${c.name}"`, problems);
+  });
+  return { name: board.name || "Imported board", columns, tasks, people: Object.values(people).filter(Boolean), problems };
+}
 
-  const members = project.members
-    .map((uid) => store.users.find((u) => u.id === uid))
-    .filter(Boolean);
+// Header index per import field, or -1
+function guessMapping(header) {
+  const taken = new Set();
+  return Object.fromEntries(
+    Object.entries(IMPORT_FIELDS).map(([field, { guess }]) => {
+      const index = header.findIndex((h, i) => !taken.has(i) && guess.test(h.trim()));
+      taken.add(index);
+      return [field, index];
+    })
+  );
+}
 
-  function createTask() {
-    if (!title.trim()) return;
+function draftFromCsv(rows, mapping, name) {
+  const problems = [];
+  const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] || "" : "");
+  const columns = mapping.status >= 0 ? importColumns(rows.slice(1).map((row) => cell(row, "status"))) : null;
+  const tasks = [];
+  rows.slice(1).forEach((row, i) => {
+    const where = `Row ${i + 2}`;
+    if (!cell(row, "title").trim()) {
+      problems.push(`${where} has no title, so it is left out`);
+      return;
+    }
+    // The assignee column may hold a name, an email or "Name <email>"
+    const [, named, address] = cell(row, "assignee").match(/^(.*?)\s*<([^>]+)>$/) || [];
+    const assignee = named ?? cell(row, "assignee");
+    const email = cell(row, "assigneeEmail") || address || (isEmail(assignee.trim().toLowerCase()) ? assignee : "");
     const task = {
-      id: uid("task"),
-      projectId: project.id,
-      title: title.trim(),
-      description: description.trim(),
-      assigneeId,
-      dueDate,
-      status: "todo",
-      createdAt: nowISO(),
+      title: cell(row, "title"),
+      description: cell(row, "description"),
+      status: columns ? columnByLabel(columns, cell(row, "status")) : DEFAULT_COLUMNS[0].id,
+      startDate: cell(row, "startDate"),
+      dueDate: cell(row, "dueDate"),
+      person: importPerson(email, assignee === email ? "" : assignee),
     };
-    setStore((s) => ({ ...s, tasks: [task, ...s.tasks] }));
-    notify(safeUserId(assigneeId), `You were assigned \"${task.title}\" in ${project.name}.`, setStore);
-    setTitle("");
-    setDescription("");
-    setAssigneeId(currentUser.id);
-    setDueDate("");
-    onOpenChange(false);
+    tasks.push(draftTask(task, where, problems));
+  });
+  return { name, columns, tasks, people: [], problems };
+}
+
+// Reads an import file into { drafts } (JSON) or { rows } (CSV, mapped later)
+function parseImportFile(filename, text) {
+  if (/\.csv$/i.test(filename)) {
+    const rows = parseCsv(text);
+    if (rows.length < 2) throw new Error("The CSV file has no rows to import");
+    return { kind: "csv", rows, name: filename.replace(/\.csv$/i, "") };
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Choose a .json or .csv file");
+  }
+  if (data && data.format === EXPORT_FORMAT) return { kind: "json", drafts: draftsFromExport(data) };
+  if (data && Array.isArray(data.lists) && Array.isArray(data.cards)) return { kind: "json", drafts: [draftFromTrello(data)] };
+  throw new Error("This file isn't a SynergySphere export or a Trello board");
+}
+
+function personKey(person) {
+  return person.email || `name:${person.name.toLowerCase()}`;
+}
+
+// Everyone the drafts mention, matched against the people we know: by email,
+// or by name when the file has none. Also flags likely duplicates.
+function resolvePeople(store, currentUser, drafts) {
+  const found = new Map();
+  drafts
+    .flatMap((d) => [...d.people, ...d.tasks.map((t) => t.person)])
+    .filter(Boolean)
+    .forEach((person) => {
+      const key = personKey(person);
+      const entry = found.get(key) || { key, email: person.email, names: [], tasks: 0 };
+      if (person.name && !entry.names.includes(person.name)) entry.names.push(person.name);
+      found.set(key, entry);
+    });
+  drafts.forEach((d) =>
+    d.tasks.forEach((t) => {
+      if (t.person) found.get(personKey(t.person)).tasks += 1;
+    })
+  );
+
+  const warnings = [];
+  const people = [...found.values()].map((entry) => {
+    if (entry.email) {
+      if (entry.names.length > 1) warnings.push(`${entry.email} appears as ${entry.names.join(", ")}; they are treated as one person`);
+      const user = store.users.find((u) => u.email === entry.email);
+      return { ...entry, user, status: entry.email === currentUser.email ? "you" : "invite" };
+    }
+    const matches = store.users.filter((u) => (u.name || "").toLowerCase() === entry.names[0].toLowerCase());
+    if (matches.length > 1) warnings.push(`"${entry.names[0]}" matches ${matches.length} people here; pick who gets their tasks`);
+    if (matches.length !== 1) return { ...entry, user: null, status: matches.length ? "ambiguous" : "unknown" };
+    return { ...entry, user: matches[0], status: matches[0].id === currentUser.id ? "you" : "matched" };
+  });
+  const byName = {};
+  people.filter((p) => p.email).forEach((p) => p.names.forEach((n) => (byName[n.toLowerCase()] = [...(byName[n.toLowerCase()] || []), p.email])));
+  Object.entries(byName)
+    .filter(([, emails]) => emails.length > 1)
+    .forEach(([, emails]) => warnings.push(`${emails.join(" and ")} share a name; check they aren't the same person`));
+  return { people, warnings };
+}
+
+// Who a person's tasks go to by default: an email, or "none" for unassigned
+function defaultChoice(person) {
+  if (person.status === "invite") return person.email;
+  if (person.status === "you" || person.status === "matched") return person.user.email;
+  return "none";
+}
+
+// What importProject() takes. `choices` maps a person's key to an email or "none".
+function importPayload(draft, name, choices) {
+  const emailOf = (person) => (person && choices[personKey(person)] !== "none" ? choices[personKey(person)] : null);
+  return {
+    name,
+    columns: draft.columns || undefined,
+    tasks: draft.tasks.map(({ person, ...t }) => ({ ...t, assigneeEmail: emailOf(person) })),
+    invites: [...new Set(draft.people.map(emailOf).filter(Boolean))],
+  };
+}
+
+function ImportDialog({ store, actions, currentUser }) {
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [names, setNames] = useState({}); // draft index -> project name
+  const [skipped, setSkipped] = useState([]); // draft indexes left out
+  const [choices, setChoices] = useState({}); // person key -> email or "none"
+  const [error, setError] = useState("");
+  const [importing, setImporting] = useState(false);
+
+  function reset() {
+    setFile(null);
+    setMapping({});
+    setNames({});
+    setSkipped([]);
+    setChoices({});
+    setError("");
+  }
+
+  async function pick(e) {
+    const picked = e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    reset();
+    try {
+      const parsed = parseImportFile(picked.name, await picked.text());
+      if (parsed.kind === "csv") setMapping(guessMapping(parsed.rows[0]));
+      setFile(parsed);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const drafts = useMemo(() => {
+    if (!file) return [];
+    return file.kind === "csv" ? [draftFromCsv(file.rows, mapping, file.name)] : file.drafts;
+  }, [file, mapping]);
+  const selected = drafts.map((draft, i) => ({ draft, i, name: names[i] ?? draft.name })).filter(({ i }) => !skipped.includes(i));
+  const { people, warnings } = useMemo(() => resolvePeople(store, currentUser, selected.map((s) => s.draft)), [store.users, drafts, skipped]);
+  const choiceOf = (person) => choices[person.key] ?? defaultChoice(person);
+  const ownNames = new Set(store.projects.filter((p) => p.members.includes(currentUser.id)).map((p) => p.name.toLowerCase()));
+  const others = store.users.filter((u) => u.id !== currentUser.id);
+
+  async function runImport() {
+    const resolved = Object.fromEntries(people.map((p) => [p.key, choiceOf(p)]));
+    setImporting(true);
+    for (const { draft, name } of selected) {
+      if (!(await actions.importProject(importPayload(draft, name.trim(), resolved)))) {
+        setImporting(false);
+        return;
+      }
+    }
+    setImporting(false);
+    setOpen(false);
+    reset();
   }
 
   return (
-    <DialogContent>
-      <DialogHeader>
-        <DialogTitle>New Task</DialogTitle>
-        <DialogDescription>Create and assign a task with a due date.</DialogDescription>
-      </DialogHeader>
-      <div className="space-y-3">
-        <div>
-          <label className="text-sm">Title</label>
-          <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Write a clear title" />
-        </div>
-        <div>
-          <label className="text-sm">Description</label>
-          <Textarea value={description} onChange={(e) => setDescription(e.target.value)} placeholder="What needs to be done?" rows={4} />
-        </div>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-          <div>
-            <label className="text-sm">Assignee</label>
-            <Select value={assigneeId} onValueChange={(v) => setAssigneeId(v)}>
-              <SelectTrigger><SelectValue placeholder="Select a member" /></SelectTrigger>
-              <SelectContent>
-                {members.map((m) => (
-                  <SelectItem key={m.id} value={m.id}>{m.name || m.email}</SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
+    <Dialog
+      open={open}
+      onOpenChange={(o) => {
+        setOpen(o);
+        if (!o) reset();
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="outline" className="gap-2"><Upload className="h-4 w-4" /> Import</Button>
+      </DialogTrigger>
+      <DialogContent className="max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import projects</DialogTitle>
+          <DialogDescription>A SynergySphere export, a Trello board (JSON) or a CSV of tasks, e.g. from Jira.</DialogDescription>
+        </DialogHeader>
+        <Input type="file" accept=".json,.csv" onChange={pick} aria-label="Import file" />
+        {error && <div className="text-sm text-rose-600">{error}</div>}
+
+        {file?.kind === "csv" && (
+          <div className="border rounded-xl p-3 space-y-2">
+            <div className="text-sm font-medium">Columns</div>
+            {Object.entries(IMPORT_FIELDS).map(([field, { label }]) => (
+              <div key={field} className="flex items-center justify-between gap-2 text-sm">
+                <span>{label}</span>
+                <Select value={String(mapping[field])} onValueChange={(v) => setMapping((m) => ({ ...m, [field]: Number(v) }))}>
+                  <SelectTrigger className="h-8 w-44" aria-label={`${label} column`}><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="-1">Not in the file</SelectItem>
+                    {file.rows[0].map((h, i) => (
+                      <SelectItem key={i} value={String(i)}>{h || `Column ${i + 1}`}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+            {mapping.title < 0 && <div className="text-sm text-rose-600">Pick the column that holds task titles.</div>}
           </div>
-          <div>
-            <label className="text-sm">Due date</label>
-            <Input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+        )}
+
+        {drafts.map((draft, i) => {
+          const name = names[i] ?? draft.name;
+          const included = !skipped.includes(i);
+          const titles = draft.tasks.map((t) => t.title.toLowerCase());
+          const repeated = titles.filter((t, j) => titles.indexOf(t) !== j).length;
+          return (
+            <div key={i} className="border rounded-xl p-3 space-y-2 text-sm">
+              <div className="flex items-center gap-2">
+                {drafts.length > 1 && (
+                  <Switch
+                    checked={included}
+                    onCheckedChange={(on) => setSkipped((s) => (on ? s.filter((x) => x !== i) : [...s, i]))}
+                    aria-label={`Import ${draft.name}`}
+                  />
+                )}
+                <Input value={name} onChange={(e) => setNames((n) => ({ ...n, [i]: e.target.value }))} aria-label="Project name" className="h-8" />
+              </div>
+              {included && (
+                <>
+                  <div className="text-slate-600">
+                    {draft.tasks.length} {draft.tasks.length === 1 ? "task" : "tasks"} in {projectColumns(draft).map((c) => c.label).join(", ")}
+                  </div>
+                  {!name.trim() && <div className="text-rose-600">Give the project a name.</div>}
+                  {ownNames.has(name.trim().toLowerCase()) && (
+                    <div className="text-amber-700">You already have a project called “{name.trim()}”; this creates a second one.</div>
+                  )}
+                  {repeated > 0 && <div className="text-amber-700">{repeated} {repeated === 1 ? "task has" : "tasks have"} the same title as another task.</div>}
+                  {draft.problems.length > 0 && (
+                    <ul className="list-disc pl-5 text-amber-700">
+                      {draft.problems.slice(0, 5).map((p, j) => <li key={j}>{p}</li>)}
+                      {draft.problems.length > 5 && <li>…and {draft.problems.length - 5} more</li>}
+                    </ul>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+
+        {people.length > 0 && (
+          <div className="border rounded-xl p-3 space-y-2 text-sm">
+            <div className="font-medium">People</div>
+            <div className="text-slate-600">Others are invited to the project and get their tasks when they accept.</div>
+            {warnings.map((w) => (
+              <div key={w} className="flex items-start gap-1 text-amber-700"><AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" /> {w}</div>
+            ))}
+            {people.map((p) => (
+              <div key={p.key} className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="truncate">{p.names[0] || p.email}</div>
+                  <div className="text-xs text-slate-500 truncate">
+                    {p.email || "No email"} · {p.tasks} {p.tasks === 1 ? "task" : "tasks"}
+                  </div>
+                </div>
+                <Select value={choiceOf(p)} onValueChange={(v) => setChoices((c) => ({ ...c, [p.key]: v }))}>
+                  <SelectTrigger className="h-8 w-48" aria-label={`Tasks of ${p.names[0] || p.email}`}><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={currentUser.email}>Assign to me</SelectItem>
+                    {p.email && p.email !== currentUser.email && !others.some((u) => u.email === p.email) && (
+                      <SelectItem value={p.email}>Invite {p.email}</SelectItem>
+                    )}
+                    {others.map((u) => (
+                      <SelectItem key={u.id} value={u.email}>Invite {u.name || u.email}</SelectItem>
+                    ))}
+                    <SelectItem value="none">Leave unassigned</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
           </div>
-        </div>
-      </div>
-      <DialogFooter>
-        <Button onClick={createTask} className="gap-2"><Plus className="h-4 w-4" /> Save Task</Button>
-      </DialogFooter>
-    </DialogContent>
+        )}
+
+        <DialogFooter>
+          <Button
+            onClick={runImport}
+            disabled={importing || selected.length === 0 || selected.some((s) => !s.name.trim()) || mapping.title < 0}
+          >
+            {selected.length > 1 ? `Import ${selected.length} projects` : "Import"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// Project menu: the project as JSON, or its tasks as CSV
+function ProjectExportMenu({ store, actions, project }) {
+  const slug = fileSlug(project.name);
+  const downloadBundle = useBundleDownload(store, actions);
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" className="gap-2"><Download className="h-4 w-4" /> Export</Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={() => downloadBundle(`${slug}.json`, [project.id])}>Project (JSON)</DropdownMenuItem>
+        <DropdownMenuItem onClick={() => downloadFile(`${slug}-tasks.csv`, tasksCsv(store, project), "text/csv")}>Tasks (CSV)</DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
   );
 }
 
 // ------------------ Profile & Settings ------------------
-function ProfileSettings({ store, setStore, currentUser, onBack }) {
+function ProfileSettings({ store, actions, currentUser, onBack }) {
   const [name, setName] = useState(currentUser.name || "");
-  const [notificationsEnabled, setNotificationsEnabled] = useState(
-    store.settings.notificationsEnabled
-  );
+  const [prefs, setPrefs] = useState(() => notificationPrefs(currentUser));
 
-  function save() {
-    setStore((s) => ({
-      ...s,
-      users: s.users.map((u) => (u.id === currentUser.id ? { ...u, name } : u)),
-      settings: { ...s.settings, notificationsEnabled },
-    }));
-    onBack();
+  async function save() {
+    if (await actions.updateProfile({ name, notificationPrefs: prefs })) onBack();
   }
 
   return (
@@ -836,12 +6841,21 @@ function ProfileSettings({ store, setStore, currentUser, onBack }) {
             <label className="text-sm">Email</label>
             <Input value={currentUser.email} disabled />
           </div>
-          <div className="flex items-center justify-between border rounded-xl p-3">
+          <div className="border rounded-xl p-3 space-y-3">
             <div>
               <div className="font-medium">Notifications</div>
-              <div className="text-sm text-slate-600">Enable basic in-app notifications</div>
+              <div className="text-sm text-slate-600">Choose which events show up in your notifications</div>
             </div>
-            <Switch checked={notificationsEnabled} onCheckedChange={setNotificationsEnabled} />
+            {Object.entries(NOTIFICATION_TYPES).map(([type, label]) => (
+              <div key={type} className="flex items-center justify-between gap-2 text-sm">
+                <span>{label}</span>
+                <Switch
+                  checked={prefs[type]}
+                  onCheckedChange={(on) => setPrefs((p) => ({ ...p, [type]: on }))}
+                  aria-label={label}
+                />
+              </div>
+            ))}
           </div>
           <div className="pt-2">
             <Button onClick={save} className="w-full">Save changes</Button>
@@ -853,12 +6867,361 @@ function ProfileSettings({ store, setStore, currentUser, onBack }) {
 }
 
 // ------------------ Notifications ------------------
-function notify(userId, text, setStore) {
-  if (!userId) return;
-  const notif = { id: uid("ntf"), userId, text, createdAt: nowISO(), read: false };
-  setStore((s) => ({ ...s, notifications: [notif, ...s.notifications] }));
+// Event types users can opt out of (mirrors NOTIFICATION_TYPES in index.js)
+const NOTIFICATION_TYPES = {
+  assigned: "A task is assigned to me",
+  status: "My task changes status",
+  comment: "Someone comments on my task",
+  mention: "Someone mentions me in chat",
+  invite: "I'm invited to a project",
+  joined: "Someone joins a project I invited them to",
+  dueSoon: "My task is due soon",
+  overdue: "My task is overdue",
+};
+
+function notificationPrefs(user) {
+  return Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map((t) => [t, user?.notificationPrefs?.[t] !== false]));
+}
+
+function notify(s, userId, type, text, { projectId = null, taskId = null } = {}) {
+  const user = userId && s.users.find((u) => u.id === userId);
+  if (!user || !notificationPrefs(user)[type]) return s;
+  const notif = { id: uid("ntf"), userId, type, text, projectId, taskId, createdAt: nowISO(), read: false };
+  return { ...s, notifications: [notif, ...s.notifications] };
 }
 function safeUserId(id) { return id || null; }
+function taskRefs(task) { return { projectId: task.projectId, taskId: task.id }; }
+
+// Due-soon/overdue reminders (local mode): at most one of each per task and
+// due date, so moving the date re-arms them. Returns `s` untouched when there
+// is nothing to send.
+function dueReminders(s) {
+  let next = s;
+  const tasks = s.tasks.map((t) => {
+    if (t.deletedAt || !t.assigneeId || !t.dueDate || t.status === "done") return t;
+    const project = projectOf(s, t.projectId);
+    const reminded = t.reminded || {};
+    if (!project) return t;
+    if (isOverdue(t) && reminded.overdue !== t.dueDate) {
+      next = notify(next, t.assigneeId, "overdue", `"${t.title}" in ${project.name} is overdue.`, taskRefs(t));
+      return { ...t, reminded: { ...reminded, overdue: t.dueDate } };
+    }
+    if (dueSoon(t.dueDate) && reminded.dueSoon !== t.dueDate) {
+      next = notify(next, t.assigneeId, "dueSoon", `"${t.title}" in ${project.name} is due ${dateFriendly(t.dueDate)}.`, taskRefs(t));
+      return { ...t, reminded: { ...reminded, dueSoon: t.dueDate } };
+    }
+    return t;
+  });
+  return next === s ? s : { ...next, tasks };
+}
+
+// ------------------ Search & Commands ------------------
+// Ranking mirrors the server (search.js): query words match words exactly, by
+// prefix or with a typo or two, every query word has to match and title
+// matches count double. Local mode, and http mode while offline, search the
+// store with it.
+const SEARCH_WORD = /[\p{L}\p{N}]+/gu;
+const SEARCH_SNIPPET_LENGTH = 160;
+const SEARCH_DEBOUNCE_MS = 150;
+const SEARCH_KINDS = { project: "Projects", task: "Tasks", message: "Messages" };
+
+function searchWords(text) {
+  return [...text.matchAll(SEARCH_WORD)].map((m) => ({
+    word: m[0].normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase(),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+// Edit distance counting swapped neighbours as one edit, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], before[j - 2] + 1);
+    }
+    if (Math.min(...row) > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 1 exact, 0.7 prefix, 0.4 with typos (one from 4 letters, two from 8)
+function matchScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.7;
+  const max = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!max) return 0;
+  return editDistance(term, word, max) <= max || editDistance(term, word.slice(0, term.length), max) <= max ? 0.4 : 0;
+}
+
+function queryTerms(query) {
+  return [...new Set(searchWords(query).map((w) => w.word))];
+}
+
+function highlightRanges(text, terms) {
+  return searchWords(text)
+    .filter(({ word }) => terms.some((t) => matchScore(t, word) > 0))
+    .map(({ start, end }) => [start, end]);
+}
+
+function scoreDocument(doc, terms) {
+  let total = 0;
+  for (const term of terms) {
+    const best = (list, weight) => Math.max(0, ...list.map(({ word }) => matchScore(term, word) * weight));
+    const score = Math.max(best(doc.titleWords, 2), best(doc.bodyWords, 1));
+    if (!score) return 0;
+    total += score;
+  }
+  return total;
+}
+
+function searchSnippet(body, terms) {
+  const ranges = highlightRanges(body, terms);
+  if (body.length <= SEARCH_SNIPPET_LENGTH) return { text: body, ranges };
+  let start = ranges.length ? Math.max(0, ranges[0][0] - 40) : 0;
+  if (start > 0) start = body.indexOf(" ", start) + 1 || start;
+  const end = start + SEARCH_SNIPPET_LENGTH;
+  const prefix = start > 0 ? "…" : "";
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${body.slice(start, end)}${end < body.length ? "…" : ""}`,
+    ranges: ranges.filter(([s, e]) => s >= start && e <= end).map(([s, e]) => [s + shift, e + shift]),
+  };
+}
+
+// Same results as GET /api/search, computed from the store
+function searchStore(s, query, limit = 20) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+  const mine = s.projects.filter((p) => p.members.includes(s.currentUserId));
+  const ids = new Set(mine.map((p) => p.id));
+  const docs = [
+    ...mine.map((p) => ({ kind: "project", id: p.id, projectId: p.id, title: p.name, body: "", at: p.createdAt })),
+    ...s.tasks
+      .filter((t) => !t.deletedAt && ids.has(t.projectId))
+      .map((t) => ({ kind: "task", id: t.id, projectId: t.projectId, title: t.title, body: t.description || "", at: t.createdAt })),
+    ...s.messages
+      .filter((m) => !m.deletedAt && ids.has(m.projectId))
+      .map((m) => ({ kind: "message", id: m.id, projectId: m.projectId, title: "", body: toEditable(m.content).text, at: m.createdAt })),
+  ];
+  return docs
+    .map((doc) => ({ doc, score: scoreDocument({ titleWords: searchWords(doc.title), bodyWords: searchWords(doc.body) }, terms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || (b.doc.at || "").localeCompare(a.doc.at || ""))
+    .slice(0, limit)
+    .map(({ doc, score }) => {
+      const body = searchSnippet(doc.body, terms);
+      return {
+        kind: doc.kind,
+        id: doc.id,
+        projectId: doc.projectId,
+        title: doc.title,
+        titleHighlights: highlightRanges(doc.title, terms),
+        snippet: body.text,
+        snippetHighlights: body.ranges,
+        score,
+      };
+    });
+}
+
+function Highlighted({ text, ranges }) {
+  const out = [];
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > last) out.push(text.slice(last, start));
+    out.push(<mark key={start} className="rounded-sm bg-amber-100 text-inherit">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < text.length) out.push(text.slice(last));
+  return <>{out}</>;
+}
+
+// Ctrl/Cmd+K: searches through the adapter (the server's index in http mode)
+// and lists quick actions whose names match. Arrow keys move, Enter runs.
+function CommandPalette({ open, onOpenChange, store, currentUser, onNavigate, onSignOut }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState("");
+  const [active, setActive] = useState(0);
+  const storeRef = useRef(store);
+  storeRef.current = store;
+
+  useEffect(() => {
+    if (open) return;
+    setQuery("");
+    setResults([]);
+    setError("");
+  }, [open]);
+
+  useEffect(() => {
+    setActive(0);
+    if (!query.trim()) {
+      setResults([]);
+      setError("");
+      return;
+    }
+    let current = true;
+    const timer = setTimeout(() => {
+      dataAdapter
+        .search(storeRef.current, query)
+        .then((found) => {
+          if (!current) return;
+          setResults(found);
+          setError("");
+        })
+        .catch((e) => current && setError(e.message || "Search failed"));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const commands = useMemo(() => {
+    const go = (route) => () => onNavigate(route);
+    const editable = store.projects.filter((p) => p.members.includes(currentUser.id) && can(p, currentUser.id, "editTasks"));
+    return [
+      { id: "dashboard", label: "Go to dashboard", run: go({ name: "dashboard" }) },
+      { id: "calendar", label: "Go to my calendar", run: go({ name: "calendar" }) },
+      { id: "timesheet", label: "Go to timesheet", run: go({ name: "timesheet" }) },
+      { id: "profile", label: "Go to profile", run: go({ name: "profile" }) },
+      ...editable.map((p) => ({
+        id: `new-task-${p.id}`,
+        label: `New task in ${p.name}`,
+        run: () => onNavigate({ name: "project", id: p.id, newTask: Date.now() }),
+      })),
+      { id: "sign-out", label: "Sign out", run: onSignOut },
+    ];
+  }, [store.projects, currentUser.id]);
+
+  const terms = queryTerms(query);
+  const matchingCommands = terms.length
+    ? commands
+        .map((c) => ({ ...c, score: scoreDocument({ titleWords: searchWords(c.label), bodyWords: [] }, terms) }))
+        .filter((c) => c.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map((c) => ({ ...c, highlights: highlightRanges(c.label, terms) }))
+    : commands.filter((c) => !c.id.startsWith("new-task-")).map((c) => ({ ...c, highlights: [] }));
+  const items = [
+    ...matchingCommands.map((c) => ({ key: c.id, group: "Actions", command: c })),
+    ...results.map((r) => ({ key: `${r.kind}-${r.id}`, group: SEARCH_KINDS[r.kind], result: r })),
+  ];
+
+  function choose(item) {
+    onOpenChange(false);
+    if (item.command) return item.command.run();
+    const { kind, id, projectId } = item.result;
+    if (kind === "task") onNavigate({ name: "task", projectId, id });
+    else onNavigate({ name: "project", id: projectId });
+  }
+
+  function keyDown(e) {
+    if (items.length === 0) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((a) => (a + step + items.length) % items.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      choose(items[Math.min(active, items.length - 1)]);
+    }
+  }
+
+  function describe(result) {
+    const project = projectOf(store, result.projectId);
+    if (result.kind !== "message") return project && result.kind !== "project" ? project.name : "";
+    const msg = store.messages.find((m) => m.id === result.id);
+    const author = msg && store.users.find((u) => u.id === msg.authorId);
+    return [author && (author.name || author.email), project && `in ${project.name}`].filter(Boolean).join(" ");
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl p-0 gap-0">
+        <DialogHeader className="sr-only">
+          <DialogTitle>Search</DialogTitle>
+          <DialogDescription>Search projects, tasks and messages, or run an action.</DialogDescription>
+        </DialogHeader>
+        <div className="flex items-center gap-2 border-b px-3">
+          <Search className="h-4 w-4 text-slate-400" />
+          <Input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={keyDown}
+            placeholder="Search or type a command..."
+            className="border-0 shadow-none focus-visible:ring-0"
+            aria-label="Search"
+            autoFocus
+          />
+        </div>
+        <div className="max-h-96 overflow-auto p-1" role="listbox">
+          {error && <div className="px-3 py-2 text-sm text-rose-600">{error}</div>}
+          {query.trim() && items.length === 0 && !error && <div className="px-3 py-6 text-center text-sm text-slate-500">No matches.</div>}
+          {items.map((item, i) => (
+            <React.Fragment key={item.key}>
+              {(i === 0 || items[i - 1].group !== item.group) && <div className="px-3 pt-2 pb-1 text-xs font-medium text-slate-500">{item.group}</div>}
+              <button
+                role="option"
+                aria-selected={i === active}
+                className={`block w-full rounded-lg px-3 py-2 text-left text-sm ${i === active ? "bg-slate-100" : ""}`}
+                onMouseEnter={() => setActive(i)}
+                onClick={() => choose(item)}
+              >
+                {item.command ? (
+                  <Highlighted text={item.command.label} ranges={item.command.highlights} />
+                ) : (
+                  <>
+                    {item.result.title && (
+                      <div className="truncate font-medium">
+                        <Highlighted text={item.result.title} ranges={item.result.titleHighlights} />
+                      </div>
+                    )}
+                    {item.result.snippet && (
+                      <div className="line-clamp-2 text-slate-600">
+                        <Highlighted text={item.result.snippet} ranges={item.result.snippetHighlights} />
+                      </div>
+                    )}
+                    {describe(item.result) && <div className="text-xs text-slate-500">{describe(item.result)}</div>}
+                  </>
+                )}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// ------------------ Generic Confirm Dialog ------------------
+function ConfirmDialog({ open, onOpenChange, title, description, confirmLabel = "Confirm", onConfirm }) {
+  async function confirm() {
+    onOpenChange(false);
+    await onConfirm();
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>{description}</DialogDescription>
+        </DialogHeader>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button variant="destructive" onClick={confirm}>{confirmLabel}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
 
 // ------------------ Generic Empty State ------------------
 function EmptyState({ title, subtitle, action }) {
@@ -0,0 +1,42 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./server");
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.stop());
+
+test("refresh tokens rotate on use", async () => {
+  const ada = await api.signup("ada@example.com");
+  const first = await api.request("POST", "/refresh", { refreshToken: ada.refreshToken });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, ada.refreshToken);
+  const second = await api.request("POST", "/refresh", { refreshToken: first.body.refreshToken });
+  assert.equal(second.status, 200);
+  assert.equal((await api.request("GET", "/me", undefined, second.body.token)).status, 200);
+});
+
+test("a spent refresh token coming back ends every session of the user", async () => {
+  const bob = await api.signup("bob@example.com");
+  const other = (await api.request("POST", "/login", { email: "bob@example.com", password: "secret-pw" })).body;
+  const rotated = (await api.request("POST", "/refresh", { refreshToken: bob.refreshToken })).body;
+  assert.equal((await api.request("POST", "/refresh", { refreshToken: bob.refreshToken })).status, 401);
+  assert.equal((await api.request("POST", "/refresh", { refreshToken: rotated.refreshToken })).status, 401);
+  assert.equal((await api.request("POST", "/refresh", { refreshToken: other.refreshToken })).status, 401);
+  assert.equal((await api.request("GET", "/me", undefined, rotated.token)).status, 401);
+});
+
+test("logging out revokes the session", async () => {
+  const cy = await api.signup("cy@example.com");
+  assert.equal((await api.request("POST", "/logout", { refreshToken: cy.refreshToken })).status, 200);
+  assert.equal((await api.request("POST", "/refresh", { refreshToken: cy.refreshToken })).status, 401);
+  assert.equal((await api.request("GET", "/me", undefined, cy.token)).status, 401);
+});
+
+test("credentials of the wrong type are turned away", async () => {
+  assert.equal((await api.request("POST", "/signup", { email: "dee@example.com", password: { a: 1 } })).status, 400);
+  assert.equal((await api.request("POST", "/login", { email: "ada@example.com", password: 5 })).status, 400);
+  assert.equal((await api.request("POST", "/login", { email: "ada@example.com", password: "wrong" })).status, 400);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./server");
+
+let api;
+let ada;
+let project;
+let task;
+
+before(async () => {
+  api = await startServer();
+  ada = await api.signup("ada@example.com");
+  project = (await api.request("POST", "/projects", { name: "Dates" }, ada.token)).body;
+  task = (await api.request("POST", `/projects/${project.id}/tasks`, { title: "Plan" }, ada.token)).body;
+});
+after(() => api.stop());
+
+const impossible = ["2026-02-30", "2026-13-01", "2026-4-1", 20260401];
+
+test("tasks only take real calendar dates", async () => {
+  for (const dueDate of impossible) {
+    const created = await api.request("POST", `/projects/${project.id}/tasks`, { title: "T", dueDate }, ada.token);
+    assert.equal(created.status, 400, `create with ${dueDate}`);
+    const patched = await api.request("PATCH", `/projects/${project.id}/tasks/${task.id}`, { startDate: dueDate }, ada.token);
+    assert.equal(patched.status, 400, `update with ${dueDate}`);
+  }
+  const leap = await api.request("POST", `/projects/${project.id}/tasks`, { title: "T", dueDate: "2028-02-29" }, ada.token);
+  assert.equal(leap.status, 201);
+});
+
+test("a task can't start after it is due", async () => {
+  const fields = { title: "T", startDate: "2026-05-02", dueDate: "2026-05-01" };
+  assert.equal((await api.request("POST", `/projects/${project.id}/tasks`, fields, ada.token)).status, 400);
+});
+
+test("imports are held to the same dates", async () => {
+  for (const row of [{ dueDate: "2026-02-30" }, { startDate: "2026-05-02", dueDate: "2026-05-01" }]) {
+    const imported = await api.request("POST", "/projects/import", { name: "X", tasks: [{ title: "t", ...row }] }, ada.token);
+    assert.equal(imported.status, 400);
+  }
+});
+
+test("time entries and timers only take real calendar dates", async () => {
+  const base = `/projects/${project.id}/tasks/${task.id}`;
+  assert.equal((await api.request("POST", `${base}/time`, { date: "2026-13-45", minutes: 30 }, ada.token)).status, 400);
+  assert.equal((await api.request("POST", `${base}/timer`, { date: "2026-02-30" }, ada.token)).status, 400);
+  assert.equal((await api.request("POST", `${base}/time`, { date: "2026-02-28", minutes: 30 }, ada.token)).status, 201);
+  assert.equal((await api.request("POST", `${base}/time`, { date: "2026-02-28", minutes: 24 * 60 + 1 }, ada.token)).status, 400);
+});
+
+test("repeat end dates must be real calendar dates", async () => {
+  const recurrence = { freq: "daily", until: "2026-02-30" };
+  const created = await api.request("POST", `/projects/${project.id}/tasks`, { title: "T", dueDate: "2026-02-01", recurrence }, ada.token);
+  assert.equal(created.status, 400);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./server");
+
+let api;
+let owner;
+let member;
+let viewer;
+let outsider;
+let project;
+
+// Invites `user` to the project with `role` and accepts for them
+async function join(user, role) {
+  const { body: invite } = await api.request("POST", `/projects/${project.id}/invites`, { email: user.email, role }, owner.token);
+  await api.request("POST", `/invites/${invite.id}/accept`, undefined, user.token);
+}
+
+before(async () => {
+  api = await startServer();
+  owner = await api.signup("owner@example.com");
+  member = await api.signup("member@example.com");
+  viewer = await api.signup("viewer@example.com");
+  outsider = await api.signup("outsider@example.com");
+  project = (await api.request("POST", "/projects", { name: "Launch" }, owner.token)).body;
+  await join(member, "member");
+  await join(viewer, "viewer");
+});
+after(() => api.stop());
+
+test("only members see a project", async () => {
+  assert.equal((await api.request("GET", `/projects/${project.id}`, undefined, viewer.token)).status, 200);
+  assert.equal((await api.request("GET", `/projects/${project.id}`, undefined, outsider.token)).status, 403);
+});
+
+test("viewers can't change tasks or post", async () => {
+  const tasks = `/projects/${project.id}/tasks`;
+  assert.equal((await api.request("POST", tasks, { title: "Plan" }, member.token)).status, 201);
+  assert.equal((await api.request("POST", tasks, { title: "Plan" }, viewer.token)).status, 403);
+  assert.equal((await api.request("POST", `/projects/${project.id}/messages`, { content: "hi" }, viewer.token)).status, 403);
+});
+
+test("members can't manage the project", async () => {
+  assert.equal((await api.request("PATCH", `/projects/${project.id}`, { name: "Mine" }, member.token)).status, 403);
+  const invite = { email: "new@example.com", role: "member" };
+  assert.equal((await api.request("POST", `/projects/${project.id}/invites`, invite, member.token)).status, 403);
+  assert.equal((await api.request("DELETE", `/projects/${project.id}`, undefined, member.token)).status, 403);
+});
+
+test("messages can only be changed by their author while they may post", async () => {
+  const messages = `/projects/${project.id}/messages`;
+  const { body: message } = await api.request("POST", messages, { content: "draft" }, member.token);
+  assert.equal((await api.request("PATCH", `${messages}/${message.id}`, { content: "x" }, owner.token)).status, 403);
+  assert.equal((await api.request("PATCH", `${messages}/${message.id}`, { content: "final" }, member.token)).status, 200);
+  await api.request("PATCH", `/projects/${project.id}/members/${member.id}`, { role: "viewer" }, owner.token);
+  assert.equal((await api.request("PATCH", `${messages}/${message.id}`, { content: "y" }, member.token)).status, 403);
+  assert.equal((await api.request("DELETE", `${messages}/${message.id}`, undefined, member.token)).status, 403);
+  await api.request("PATCH", `/projects/${project.id}/members/${member.id}`, { role: "member" }, owner.token);
+});
+
+test("archived projects keep their tasks as they are", async () => {
+  const { body: archived } = await api.request("POST", "/projects", { name: "Old" }, owner.token);
+  assert.equal((await api.request("PATCH", `/projects/${archived.id}`, { archived: true }, owner.token)).status, 200);
+  assert.equal((await api.request("POST", `/projects/${archived.id}/tasks`, { title: "Late" }, owner.token)).status, 403);
+});
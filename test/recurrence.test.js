@@ -0,0 +1,51 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./server");
+
+let api;
+let ada;
+let project;
+
+before(async () => {
+  api = await startServer();
+  ada = await api.signup("ada@example.com");
+  project = (await api.request("POST", "/projects", { name: "Routines" }, ada.token)).body;
+});
+after(() => api.stop());
+
+// Creates a recurring task, completes it and resolves to the due dates of the
+// occurrences that follow (the completed one not included)
+async function complete(dueDate, recurrence, times = 1) {
+  const tasks = `/projects/${project.id}/tasks`;
+  let { body: task } = await api.request("POST", tasks, { title: `Every ${recurrence.freq}`, dueDate, recurrence }, ada.token);
+  const series = task.series.id;
+  for (let i = 0; i < times && task; i++) {
+    await api.request("PATCH", `${tasks}/${task.id}`, { status: "done" }, ada.token);
+    const { body: all } = await api.request("GET", tasks, undefined, ada.token);
+    task = all.find((t) => t.series && t.series.id === series && t.status !== "done");
+  }
+  const { body: all } = await api.request("GET", tasks, undefined, ada.token);
+  return all
+    .filter((t) => t.series && t.series.id === series && t.dueDate !== dueDate)
+    .map((t) => t.dueDate)
+    .sort();
+}
+
+test("daily tasks come back after the interval", async () => {
+  assert.deepEqual(await complete("2026-03-02", { freq: "daily", interval: 3 }), ["2026-03-05"]);
+});
+
+test("weekly tasks come back on the next picked weekday", async () => {
+  // 2026-03-02 is a Monday; Mondays and Wednesdays
+  assert.deepEqual(await complete("2026-03-02", { freq: "weekly", weekdays: [1, 3] }), ["2026-03-04"]);
+  assert.deepEqual(await complete("2026-03-04", { freq: "weekly", interval: 2, weekdays: [1, 3] }), ["2026-03-16"]);
+});
+
+test("monthly tasks keep to the last day of shorter months", async () => {
+  assert.deepEqual(await complete("2026-01-31", { freq: "monthly", monthDay: 31 }), ["2026-02-28"]);
+});
+
+test("series stop at their end date or number of occurrences", async () => {
+  assert.deepEqual(await complete("2026-03-02", { freq: "daily", until: "2026-03-02" }), []);
+  assert.deepEqual(await complete("2026-03-02", { freq: "daily", count: 2 }, 3), ["2026-03-03"]);
+});
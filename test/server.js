@@ -0,0 +1,52 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Starts the API on a free port with its own empty data directory. Resolves to
+// { request, signup, stop }; `request(method, path, body, token)` resolves to
+// { status, body }.
+async function startServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "synergysphere-test-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, JWT_SECRET: "test-secret", MAIL_TRANSPORT: "file" },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) resolve();
+    });
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("exit", (code) => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+
+  async function request(method, route, body, token) {
+    const res = await fetch(`http://localhost:${port}/api${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+
+  // Signs up and logs in; resolves to the user with their tokens
+  async function signup(email, name = email.split("@")[0]) {
+    await request("POST", "/signup", { email, name, password: "secret-pw" });
+    const { body: tokens } = await request("POST", "/login", { email, password: "secret-pw" });
+    const { body: me } = await request("GET", "/me", undefined, tokens.token);
+    return { ...me, ...tokens };
+  }
+
+  function stop() {
+    child.removeAllListeners("exit");
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { request, signup, stop };
+}
+
+module.exports = { startServer };